@@ -219,6 +219,9 @@ async function processJsFile(filePath) {
             outfile: filePath,
             minify: true,
             bundle: false,
+            // Dropped while parsing, as the regexes in stripConsoleStatements can't
+            // safely take a call out of a minified comma expression
+            drop: stripConsole ? ['console'] : [],
             allowOverwrite: true
         });
         
@@ -229,6 +232,37 @@ async function processJsFile(filePath) {
     }
 }
 
+async function bundleEntryScript(targetDir) {
+    // script.js is the entry point - pull in the modules it requires (e.g. levels.js),
+    // then drop those from target so they aren't shipped twice
+    const entryPath = path.join(targetDir, 'script.js');
+    if (!(await fs.pathExists(entryPath))) {
+        return;
+    }
+    
+    try {
+        const result = await esbuild.build({
+            entryPoints: [entryPath],
+            outfile: entryPath,
+            bundle: true,
+            format: 'iife',
+            allowOverwrite: true,
+            metafile: true
+        });
+        
+        for (const input of Object.keys(result.metafile.inputs)) {
+            const inputPath = path.resolve(input);
+            if (inputPath !== entryPath) {
+                await fs.remove(inputPath);
+                log(`📦 Bundled ${path.basename(inputPath)} into script.js`, 'info');
+            }
+        }
+    } catch (error) {
+        log(`❌ Failed to bundle script.js: ${error.message}`, 'error');
+        throw error;
+    }
+}
+
 async function processCssFile(filePath) {
     try {
         const stats = await fs.stat(filePath);
@@ -602,6 +636,10 @@ async function build() {
         await fs.copy(srcDir, targetDir);
         log('📁 Copied source files to target directory', 'info');
         
+        // Bundle before timestamping so the required module paths still match
+        await bundleEntryScript(targetDir);
+        log('📦 Bundled script.js', 'info');
+        
         // Add timestamps to files to prevent caching
         const timestamp = await addTimestampsToFiles(targetDir);
         log('⏰ Added timestamps to files', 'info');
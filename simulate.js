@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+// Headless simulation runner - drives GameplayState under Node with no canvas or audio.
+// Use it from the command line, or require it and call simulate() from a test script.
+
+// Input scripts return the keys held on a given frame
+const INPUT_SCRIPTS = {
+    idle: () => ({}),
+    autofire: () => ({ Space: true }),
+    weave: (frame) => ({
+        Space: true,
+        ArrowUp: frame % 240 < 120,
+        ArrowDown: frame % 240 >= 120
+    })
+};
+
+function loadGameModule() {
+    return require(path.join(__dirname, 'src', 'script.js'));
+}
+
+function getReport(game, frame, time) {
+    const gameplay = game.states.gameplay;
+    const boss = game.enemies.find(enemy => enemy.kind === 'ratboss');
+
+    return {
+        seed: game.seed,
+        state: Object.keys(game.states).find(name => game.states[name] === game.currentState),
+        frames: frame,
+        time: Math.round(time),
+        score: game.gameData.score,
+        lives: game.gameData.lives,
+        level: game.gameData.level,
+        metal: game.gameData.metal,
+        spawnCounts: { ...gameplay.spawnCounts },
+        entities: {
+            enemies: game.enemies.length,
+            bullets: game.bullets.length,
+            particles: game.particles.length,
+            metal: game.metal.length,
+            proximityBombs: game.proximityBombs.length
+        },
+        boss: boss ? { health: boss.health, phase: boss.phase, stage: boss.stage, currentAttack: boss.currentAttack } : null
+    };
+}
+
+/**
+ * Run one game headless and return a report of how it ended.
+ *
+ * options.seed     - run seed (random if left out)
+ * options.level    - level to start on (default 1)
+ * options.seconds  - simulated time limit (default 300)
+ * options.step     - fixed deltaTime in ms (default the game's own fixed step)
+ * options.input    - INPUT_SCRIPTS name or function (frame, time, game) => keys held
+ * options.replay   - replay JSON text to play back instead of scripted input
+ * options.onFrame  - called after every frame with (game, frame, time)
+ * options.keepShop - stay in the shop instead of leaving it straight away
+ * options.verbose  - keep the game's console.log output
+ */
+function simulate(options = {}) {
+    const { Game, ReplayManager } = loadGameModule();
+    const maxTime = (options.seconds || 300) * 1000;
+    const input = typeof options.input === 'function' ? options.input : INPUT_SCRIPTS[options.input || 'idle'];
+    if (!input) {
+        throw new Error(`Unknown input script: ${options.input}`);
+    }
+
+    // The game logs a lot; keep the runner output readable unless asked not to
+    const originalLog = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    try {
+        const game = new Game({ headless: true });
+        const step = options.step || game.fixedStep;
+
+        if (options.replay) {
+            game.replay.play(ReplayManager.parse(options.replay));
+        } else {
+            game.playSeed(options.seed !== undefined ? options.seed : null);
+        }
+
+        const gameplay = game.states.gameplay;
+        if (options.level && options.level !== game.gameData.level && !options.replay) {
+            // Same as the dev level keys
+            game.gameData.level = options.level;
+            gameplay.setupLevel(options.level);
+            gameplay.resetLevelState();
+        }
+
+        let frame = 0;
+        let time = 0;
+        while (time < maxTime) {
+            if (game.currentState === game.states.shop && !options.keepShop && !options.replay) {
+                game.goBack();
+            }
+            if (game.currentState !== gameplay && game.currentState !== game.states.shop) {
+                break;
+            }
+
+            if (!options.replay) {
+                // Scripted input replaces the whole key map each frame
+                game.keys = { ...input(frame, time, game) };
+            }
+
+            game.update(step);
+            frame++;
+            time += step;
+
+            if (options.onFrame) {
+                options.onFrame(game, frame, time);
+            }
+        }
+
+        return getReport(game, frame, time);
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+module.exports = { simulate, getReport, INPUT_SCRIPTS };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+🧪 Headless Simulation Runner
+
+Usage: node simulate.js [options]
+
+Options:
+  --seed=N            Run seed (random if not given)
+  --level=N           Level to start on (default 1)
+  --seconds=N         Simulated time limit in seconds (default 300)
+  --step=MS           Fixed update step in milliseconds (default 8.33, same as the browser)
+  --input=NAME        Input script: ${Object.keys(INPUT_SCRIPTS).join(', ')} (default idle)
+  --replay=FILE       Play back a saved replay file instead of scripted input
+  --runs=N            Run N times with consecutive seeds and print each report
+  --verbose           Show the game's console output
+  --help, -h          Show this help message
+
+Examples:
+  node simulate.js --seed=42 --input=weave
+  node simulate.js --level=10 --input=autofire --seconds=120
+  node simulate.js --replay=panther-replay-1234.json
+`);
+        process.exit(0);
+    }
+
+    const getArg = (name) => {
+        const arg = args.find(a => a.startsWith(`--${name}=`));
+        return arg ? arg.split('=')[1] : undefined;
+    };
+    const getNumber = (name) => {
+        const value = getArg(name);
+        return value !== undefined ? Number(value) : undefined;
+    };
+
+    const options = {
+        seed: getNumber('seed'),
+        level: getNumber('level'),
+        seconds: getNumber('seconds'),
+        step: getNumber('step'),
+        input: getArg('input'),
+        verbose: args.includes('--verbose')
+    };
+
+    const replayFile = getArg('replay');
+    if (replayFile) {
+        options.replay = fs.readFileSync(replayFile, 'utf8');
+    }
+
+    const runs = getNumber('runs') || 1;
+    for (let i = 0; i < runs; i++) {
+        const runOptions = { ...options };
+        if (runs > 1 && options.seed !== undefined) {
+            runOptions.seed = options.seed + i;
+        }
+        console.log(JSON.stringify(simulate(runOptions), null, 2));
+    }
+}
@@ -0,0 +1,86 @@
+// Black Cat in Space - level definitions, bundled into script.js by the build
+//
+// Plain data so new levels can be added without touching GameplayState.
+// Each entry is one level (index 0 = level 1). Objective and spawn rule keys must be the
+// objective of a registered enemy kind (see ENEMY_KINDS in script.js); spawnInterval (ms) and enemySpeedScale are optional.
+//
+// A level may also define a scripted `timeline` instead of using the shuffled enemy pool:
+//   timeline: [
+//       { time: 20000, type: 'mice', y: 0.5, count: 5, formation: 'v', delay: 0 }
+//   ]
+// time is ms from level start, y is 0 (top) to 1 (bottom) and random when left out,
+// formation is a key of FORMATIONS in script.js and delay is ms between each member of the group.
+const LEVELS = [
+    {
+        description: "Survive 50 asteroids",
+        objectives: { asteroids: 50 },
+        spawnRules: { asteroids: true },
+        maxEnemies: 8
+    },
+    {
+        description: "Survive 50 asteroids and 15 mice",
+        objectives: { asteroids: 50, mice: 15 },
+        spawnRules: { asteroids: true, mice: true },
+        maxEnemies: 10,
+        timeline: [
+            { time: 1000, type: 'asteroids', count: 10, delay: 700 },
+            { time: 9000, type: 'mice', y: 0.3, count: 5, formation: 'v' },
+            { time: 12000, type: 'asteroids', count: 15, delay: 500 },
+            { time: 16000, type: 'mice', y: 0.7, count: 5, formation: 'v' },
+            { time: 21000, type: 'asteroids', y: 0.2, count: 5, formation: 'line' },
+            { time: 23000, type: 'asteroids', y: 0.8, count: 5, formation: 'line' },
+            { time: 26000, type: 'mice', y: 0.5, count: 5, formation: 'column' },
+            { time: 29000, type: 'asteroids', count: 15, delay: 400 }
+        ]
+    },
+    {
+        description: "Collect the floating shop",
+        objectives: { shops: 1 },
+        spawnRules: { shops: true },
+        maxEnemies: 1
+    },
+    {
+        description: "Survive 60 asteroids and 20 mice",
+        objectives: { asteroids: 60, mice: 20 },
+        spawnRules: { asteroids: true, mice: true },
+        maxEnemies: 12
+    },
+    {
+        description: "Survive 70 asteroids, 25 mice, and 10 snakes",
+        objectives: { asteroids: 70, mice: 25, snakes: 10 },
+        spawnRules: { asteroids: true, mice: true, snakes: true },
+        maxEnemies: 15
+    },
+    {
+        description: "Collect the floating shop",
+        objectives: { shops: 1 },
+        spawnRules: { shops: true },
+        maxEnemies: 1
+    },
+    {
+        description: "Survive 80 asteroids, 30 mice, and 10 snakes",
+        objectives: { asteroids: 80, mice: 30, snakes: 10 },
+        spawnRules: { asteroids: true, mice: true, snakes: true },
+        maxEnemies: 18
+    },
+    {
+        description: "Survive 90 asteroids, 35 mice, 15 snakes, and 5 birds",
+        objectives: { asteroids: 90, mice: 35, snakes: 15, birds: 5 },
+        spawnRules: { asteroids: true, mice: true, snakes: true, birds: true },
+        maxEnemies: 20
+    },
+    {
+        description: "Collect the floating shop",
+        objectives: { shops: 1 },
+        spawnRules: { shops: true },
+        maxEnemies: 1
+    },
+    {
+        description: "First Boss Battle",
+        objectives: { ratboss: 1 },
+        spawnRules: { ratboss: true },
+        maxEnemies: 10
+    }
+];
+
+module.exports = { LEVELS };
@@ -4,6 +4,172 @@
 function lerp(start, end, t) {
     return start + (end - start) * t;
 }
+
+// Small seedable PRNG (mulberry32) so a run can be reproduced from its seed
+class Random {
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Returns a float in [0, 1), same contract as Math.random()
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Uniform grid broadphase - rebuilt every frame so collision checks only
+// compare things that share a cell instead of every bullet against every enemy
+class SpatialGrid {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.queryId = 0;
+        this.results = [];
+    }
+    
+    clear() {
+        this.cells.clear();
+    }
+    
+    // Cell keys pack x and y into one number; y stays well inside +-32768 cells
+    getKey(cx, cy) {
+        return cx * 65536 + cy;
+    }
+    
+    insert(item) {
+        const x0 = Math.floor(item.x / this.cellSize);
+        const y0 = Math.floor(item.y / this.cellSize);
+        const x1 = Math.floor((item.x + item.width) / this.cellSize);
+        const y1 = Math.floor((item.y + item.height) / this.cellSize);
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const key = this.getKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+    
+    // Returns every item sharing a cell with the rect, each once, in insertion order.
+    // The array is reused, so copy it if it has to outlive the next query
+    query(rect) {
+        const x0 = Math.floor(rect.x / this.cellSize);
+        const y0 = Math.floor(rect.y / this.cellSize);
+        const x1 = Math.floor((rect.x + rect.width) / this.cellSize);
+        const y1 = Math.floor((rect.y + rect.height) / this.cellSize);
+        const id = ++this.queryId;
+        const results = this.results;
+        results.length = 0;
+        for (let cx = x0; cx <= x1; cx++) {
+            for (let cy = y0; cy <= y1; cy++) {
+                const cell = this.cells.get(this.getKey(cx, cy));
+                if (!cell) continue;
+                for (const item of cell) {
+                    // Large items sit in several cells, only report them once
+                    if (item.gridQueryId !== id) {
+                        item.gridQueryId = id;
+                        results.push(item);
+                    }
+                }
+            }
+        }
+        // Keep the old array order so hits resolve the same way they used to
+        if (results.length > 1) {
+            results.sort((a, b) => a.gridIndex - b.gridIndex);
+        }
+        return results;
+    }
+}
+
+// Free list for one entity class. Pooled classes keep their constructor
+// body in reset() so a recycled object starts out exactly like a new one
+class ObjectPool {
+    constructor(Type) {
+        this.Type = Type;
+        this.free = [];
+        this.created = 0;
+    }
+    
+    acquire(...args) {
+        if (this.free.length === 0) {
+            this.created++;
+            return new this.Type(...args);
+        }
+        const obj = this.free.pop();
+        obj.inPool = false;
+        obj.prevX = undefined; // Nothing to interpolate from after a recycle
+        obj.reset(...args);
+        return obj;
+    }
+    
+    release(obj) {
+        if (obj.inPool) return; // Already released, don't hand it out twice
+        obj.inPool = true;
+        this.free.push(obj);
+    }
+}
+
+// Pools for short-lived entities (bullets, particles, metal, bombs) so busy
+// fights don't leave a pile of garbage behind every frame
+class PoolManager {
+    constructor() {
+        this.pools = new Map();
+    }
+    
+    acquire(Type, ...args) {
+        let pool = this.pools.get(Type);
+        if (!pool) {
+            pool = new ObjectPool(Type);
+            this.pools.set(Type, pool);
+        }
+        return pool.acquire(...args);
+    }
+    
+    release(obj) {
+        // Objects of unpooled classes (enemies) are simply dropped
+        const pool = this.pools.get(obj.constructor);
+        if (pool) {
+            pool.release(obj);
+        }
+    }
+    
+    releaseAll(list) {
+        list.forEach(obj => this.release(obj));
+        list.length = 0;
+    }
+    
+    // In-place replacement for list = list.filter(keep) that releases what it drops
+    compact(list, keep) {
+        let kept = 0;
+        for (let i = 0; i < list.length; i++) {
+            const obj = list[i];
+            if (keep(obj)) {
+                list[kept++] = obj;
+            } else {
+                this.release(obj);
+            }
+        }
+        list.length = kept;
+    }
+    
+    // One "Name live/created" entry per pool for the debug overlay
+    getStats() {
+        return [...this.pools.values()].map(pool => `${pool.Type.name} ${pool.created - pool.free.length}/${pool.created}`);
+    }
+}
+
+const entityPools = new PoolManager();
 // Base State class for all game states
 class GameState {
     constructor(game) {
@@ -26,62 +192,460 @@ class GameState {
         // Override in subclasses
     }
     
-    handleInput(keys) {
-        // Override in subclasses
+    handleInput(input) {
+        // Override in subclasses - query actions with input.justPressed('confirm') etc.
+    }
+    
+    getTapAction(x, y) {
+        // Override in subclasses - the action a touch-screen tap at (x, y) presses, or null
+        return null;
+    }
+    
+    getTappedOption(y, top, spacing) {
+        // Index of the options row drawn with its text baseline at top + i * spacing, or -1
+        const index = Math.floor((y - top) / spacing + 0.75);
+        return index >= 0 && index < this.options.length ? index : -1;
+    }
+    
+    tapOption(index) {
+        // Jump the highlight to the tapped option and pick it
+        if (index === -1) return null;
+        this.selectedOption = index;
+        return 'confirm';
     }
 }
 
+const ZZFX_SAMPLE_RATE = 44100;
+
   class AudioManager {
     constructor() {
-        this.context = new (window.AudioContext || window.webkitAudioContext)();
-    }
-
-    // Minimal zzfx generator for compact sound effects
-    zzfx(...p) {
-        let S = Math,
-            R = 44100,
-            x = S.PI * 2,
-            t = p[2] * (1 + p[1] * (2 * S.random() - 1)),
-            e = p[3] * R,
-            a = p[4] * R,
-            n = p[5] * R,
-            i = p[6],
-            o = [],
-            A = 0;
-
-        for (let c = 0; c < e + a + n; c++) {
-            let s = c < e ? c / e : c < e + a ? 1 - (c - e) / a : 0;
-            A += t * S.cos(i * c / R);
-            o[c] = s * S.sin(A / R * x);
-            t += p[7];
-        }
-
-        const B = this.context.createBuffer(1, o.length, R);
-        B.getChannelData(0).set(o);
-        const source = this.context.createBufferSource();
-        source.buffer = B;
-        source.connect(this.context.destination);
+        // Created on first use so the game can load where Web Audio doesn't exist (headless runs)
+        this.context = null;
+        
+        // Set from the settings screen
+        this.masterVolume = 1;
+        this.sfxVolume = 1;
+        this.musicVolume = 1;
+        
+        // Effects go through sfxGain and music through musicGain, both into
+        // masterGain - made along with the context
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.musicGain = null;
+        
+        // Sounds are rendered once, then replayed from their buffer
+        this.buffers = new Map(); // sound definition -> { buffer, randomness }
+        this.voices = new Map(); // sound definition -> sources still playing, oldest first
+        this.maxVoices = 4; // Copies of one sound playing at once
+    }
+
+    getContext() {
+        if (!this.context && typeof window !== 'undefined') {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (AudioContextClass) {
+                this.context = new AudioContextClass();
+                this.masterGain = this.context.createGain();
+                this.masterGain.connect(this.context.destination);
+                this.sfxGain = this.context.createGain();
+                this.sfxGain.connect(this.masterGain);
+                this.musicGain = this.context.createGain();
+                this.musicGain.connect(this.masterGain);
+                this.applyVolume();
+            }
+        }
+        return this.context;
+    }
+
+    setVolume(masterVolume, sfxVolume, musicVolume) {
+        this.masterVolume = masterVolume;
+        this.sfxVolume = sfxVolume;
+        this.musicVolume = musicVolume;
+        this.applyVolume();
+    }
+
+    applyVolume() {
+        if (!this.context) return;
+        this.masterGain.gain.value = this.masterVolume;
+        this.sfxGain.gain.value = this.sfxVolume;
+        this.musicGain.gain.value = this.musicVolume;
+    }
+
+    unlock() {
+        // Browsers keep audio off until the player does something, so key presses
+        // and touches make the context (music needs it before any effect plays)
+        if (this.getContext()) {
+            this.resume();
+        }
+    }
+
+    // Follow the page lifecycle so nothing plays while the tab is hidden
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // ZzFX - Zuper Zmall Zound Zynth by Frank Force (MIT). A sound is one array of
+    // numbers, in this order (trailing ones can be left out):
+    // [volume, randomness, frequency, attack, sustain, release, shape, shapeCurve,
+    //  slide, deltaSlide, pitchJump, pitchJumpTime, repeatTime, noise, modulation,
+    //  bitCrush, delay, sustainVolume, decay, tremolo, filter]
+    // Shapes: 0 sine, 1 triangle, 2 saw, 3 tan, 4 noise, 5 square (duty from shapeCurve).
+    // Times are in seconds; a negative filter is a low-pass, positive a high-pass.
+    // This renders a fresh waveform every call; playSound caches it instead.
+    zzfx(...parameters) {
+        if (this.masterVolume * this.sfxVolume <= 0) return;
+        const context = this.getContext();
+        if (!context) return;
+        
+        const source = context.createBufferSource();
+        source.buffer = this.createBuffer(AudioManager.buildSamples(...parameters));
+        source.connect(this.sfxGain);
+        source.start();
+    }
+
+    createBuffer(samples) {
+        const buffer = this.context.createBuffer(1, samples.length, ZZFX_SAMPLE_RATE);
+        buffer.getChannelData(0).set(samples);
+        return buffer;
+    }
+
+    static buildSamples(
+        volume = 1, randomness = 0.05, frequency = 220, attack = 0, sustain = 0,
+        release = 0.1, shape = 0, shapeCurve = 1, slide = 0, deltaSlide = 0,
+        pitchJump = 0, pitchJumpTime = 0, repeatTime = 0, noise = 0, modulation = 0,
+        bitCrush = 0, delay = 0, sustainVolume = 1, decay = 0, tremolo = 0, filter = 0
+    ) {
+        const { PI, abs, sin, cos, tan, sign, min, max, round, random } = Math;
+        const PI2 = PI * 2;
+        const sampleRate = ZZFX_SAMPLE_RATE;
+        
+        // Frequencies become radians per sample, slides radians per sample per sample
+        let startSlide = slide *= 500 * PI2 / sampleRate / sampleRate;
+        let startFrequency = frequency *= (1 + randomness * (2 * random() - 1)) * PI2 / sampleRate;
+        let modOffset = 0; // Modulation phase
+        let repeat = 0; // Samples since the last repeat
+        let crush = 0; // Samples since the last bit-crush hold
+        let jump = 1; // Pitch jump timer, 0 once jumped
+        let t = 0; // Wave phase
+        let s = 0; // Current sample
+        const b = [];
+        
+        // Biquad low- or high-pass filter
+        const quality = 2;
+        const w = PI2 * abs(filter) * 2 / sampleRate;
+        const alpha = sin(w) / 2 / quality;
+        const a0 = 1 + alpha;
+        const a1 = -2 * cos(w) / a0;
+        const a2 = (1 - alpha) / a0;
+        const b0 = (1 + sign(filter) * cos(w)) / 2 / a0;
+        const b1 = -(sign(filter) + cos(w)) / a0;
+        const b2 = b0;
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        
+        // Scale the times to samples
+        attack = attack * sampleRate || 9; // A few samples of attack avoid a click
+        decay *= sampleRate;
+        sustain *= sampleRate;
+        release *= sampleRate;
+        delay *= sampleRate;
+        deltaSlide *= 500 * PI2 / sampleRate ** 3;
+        modulation *= PI2 / sampleRate;
+        pitchJump *= PI2 / sampleRate;
+        pitchJumpTime *= sampleRate;
+        repeatTime = repeatTime * sampleRate | 0;
+        
+        const length = attack + decay + sustain + release + delay | 0;
+        for (let i = 0; i < length; b[i++] = s * volume) {
+            // Bit crush holds the last sample for a while
+            if (!(++crush % (bitCrush * 100 | 0))) {
+                s = shape > 4 ? (t / PI2 % 1 < shapeCurve / 2) * 2 - 1 : // Square
+                    shape > 3 ? sin(t ** 3) : // Noise
+                    shape > 2 ? max(min(tan(t), 1), -1) : // Tan
+                    shape > 1 ? 1 - (2 * t / PI2 % 2 + 2) % 2 : // Saw
+                    shape > 0 ? 1 - 4 * abs(round(t / PI2) - t / PI2) : // Triangle
+                    sin(t); // Sine
+                
+                // Tremolo, shape curve, then the envelope
+                s = (repeatTime ? 1 - tremolo + tremolo * sin(PI2 * i / repeatTime) : 1) *
+                    (shape > 4 ? s : sign(s) * abs(s) ** shapeCurve) *
+                    (i < attack ? i / attack :
+                    i < attack + decay ? 1 - ((i - attack) / decay) * (1 - sustainVolume) :
+                    i < attack + decay + sustain ? sustainVolume :
+                    i < length - delay ? (length - i - delay) / release * sustainVolume :
+                    0);
+                
+                // Echo of the sample delay seconds back
+                s = delay ? s / 2 + (delay > i ? 0 :
+                    (i < length - delay ? 1 : (length - i) / delay) * b[i - delay | 0] / 2 / volume) : s;
+                
+                if (filter) {
+                    s = y1 = b2 * x2 + b1 * (x2 = x1) + b0 * (x1 = s) - a2 * y2 - a1 * (y2 = y1);
+                }
+            }
+            
+            // Advance the phase with slide, modulation and noise
+            const f = (frequency += slide += deltaSlide) * cos(modulation * modOffset++);
+            t += f - f * noise * (1 - (sin(i) + 1) * 1e9 % 2);
+            
+            if (jump && ++jump > pitchJumpTime) {
+                frequency += pitchJump;
+                startFrequency += pitchJump;
+                jump = 0;
+            }
+            
+            // Repeat restarts the pitch sweep
+            if (repeatTime && !(++repeat % repeatTime)) {
+                frequency = startFrequency;
+                slide = startSlide;
+                jump = jump || 1;
+            }
+        }
+        
+        return b;
+    }
+
+    // Plays a ZzFX array, or one of the older SFXR-like objects below. The buffer is
+    // cached by the definition itself, so keep sounds in constants, not inline arrays.
+    playSound(sound) {
+        if (this.masterVolume * this.sfxVolume <= 0) return;
+        const context = this.getContext();
+        if (!context) return;
+        
+        let cached = this.buffers.get(sound);
+        if (!cached) {
+            // Rendered without randomness - the pitch varies through the playback rate instead
+            const parameters = Array.isArray(sound) ? sound : AudioManager.fromSfxr(sound);
+            const [volume, randomness = 0.05, ...rest] = parameters;
+            cached = {
+                buffer: this.createBuffer(AudioManager.buildSamples(volume, 0, ...rest)),
+                randomness
+            };
+            this.buffers.set(sound, cached);
+        }
+        
+        // Too many copies of one sound only add up to noise, so cut the oldest
+        let voices = this.voices.get(sound);
+        if (!voices) {
+            voices = [];
+            this.voices.set(sound, voices);
+        }
+        if (voices.length >= this.maxVoices) {
+            voices.shift().stop();
+        }
+        
+        const source = context.createBufferSource();
+        source.buffer = cached.buffer;
+        source.playbackRate.value = 1 + cached.randomness * (2 * Math.random() - 1);
+        source.connect(this.sfxGain);
+        source.onended = () => {
+            const index = voices.indexOf(source);
+            if (index !== -1) {
+                voices.splice(index, 1);
+            }
+        };
         source.start();
+        voices.push(source);
     }
 
-    // Converts SFXR-like JSON to zzfx params
-    playSound(params) {
-        const soundParams = [
-            params.sound_vol || 0.5,          // Volume
-            0,                                // Randomness
-            (params.p_base_freq || 0.5) * 2000, // Base frequency
-            params.p_env_attack || 0.01,      // Attack
-            params.p_env_sustain || 0.1,      // Sustain
-            params.p_env_decay || 0.2,        // Decay
-            0,                                // Phase offset
-            params.p_freq_ramp || 0           // Frequency ramp
+    static fromSfxr(params) {
+        // The old generator ramped up over the attack, faded out linearly over the
+        // "sustain" and was silent for the "decay", and slid in Hz per sample
+        return [
+            params.sound_vol || 0.5,                       // Volume
+            0.05,                                          // Randomness
+            (params.p_base_freq || 0.5) * 2000,            // Frequency
+            params.p_env_attack || 0.01,                   // Attack
+            0,                                             // Sustain
+            params.p_env_sustain || 0.1,                   // Release
+            0,                                             // Shape (sine)
+            1,                                             // Shape curve
+            (params.p_freq_ramp || 0) * ZZFX_SAMPLE_RATE / 500 // Slide
         ];
-        this.zzfx(...soundParams);
     }
 }
 
 const audioManager = new AudioManager();
 
+// Music instruments are ZzFX arrays (see AudioManager.zzfx), rendered once at
+// their own frequency and pitched per note through the playback rate
+const MUSIC_INSTRUMENTS = {
+    bass: [0.6, 0, 55, 0.01, 0.12, 0.08, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.8, 0.04, 0, -700],
+    lead: [0.3, 0, 220, 0.02, 0.08, 0.15, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0.08, 0.6, 0.05, 0, 0],
+    pad: [0.2, 0, 110, 0.3, 0.5, 0.8, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
+    kick: [0.7, 0, 120, 0, 0.03, 0.12, 0, 1, -8, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0],
+    hat: [0.15, 0, 4000, 0, 0.01, 0.03, 4, 1, 0, 0, 0, 0, 0, 0.5, 0, 0, 0, 1, 0, 0, 3000],
+    snare: [0.3, 0, 300, 0, 0.02, 0.1, 4, 1, 0, 0, 0, 0, 0, 0.8, 0, 0, 0, 1, 0, 0, 800]
+};
+
+// Songs, tracker-lite. Every channel steps through its notes one row at a time:
+// a number is semitones above the instrument's pitch, null is a rest. Channels
+// loop on their own, so a one-bar drum line can run under a four-bar melody.
+// Intense channels are silent until MusicPlayer.setIntensity brings them in.
+const REST = null;
+const MUSIC_TRACKS = {
+    menu: {
+        bpm: 80,
+        rowsPerBeat: 2,
+        volume: 0.7,
+        channels: [
+            { instrument: 'pad', notes: [
+                0, REST, REST, REST, REST, REST, REST, REST, -4, REST, REST, REST, REST, REST, REST, REST,
+                3, REST, REST, REST, REST, REST, REST, REST, -2, REST, REST, REST, REST, REST, REST, REST
+            ] },
+            { instrument: 'pad', notes: [
+                7, REST, REST, REST, REST, REST, REST, REST, 3, REST, REST, REST, REST, REST, REST, REST,
+                10, REST, REST, REST, REST, REST, REST, REST, 5, REST, REST, REST, REST, REST, REST, REST
+            ] },
+            { instrument: 'lead', notes: [
+                12, REST, 15, REST, 19, REST, 15, REST, 8, REST, 12, REST, 15, REST, REST, REST,
+                15, REST, 19, REST, 22, REST, 19, REST, 14, REST, 17, REST, 22, REST, REST, REST
+            ] }
+        ]
+    },
+    gameplay: {
+        bpm: 124,
+        rowsPerBeat: 4,
+        volume: 0.6,
+        channels: [
+            { instrument: 'kick', notes: [0, REST, REST, REST, 0, REST, REST, REST, 0, REST, REST, REST, 0, REST, REST, REST] },
+            { instrument: 'hat', notes: [REST, REST, 0, REST, REST, REST, 0, REST, REST, REST, 0, REST, REST, REST, 0, 0] },
+            { instrument: 'bass', notes: [
+                0, REST, 0, 12, REST, 0, 10, REST, 0, REST, 0, 12, REST, 0, 7, REST,
+                -4, REST, -4, 8, REST, -4, 7, REST, -2, REST, -2, 10, REST, -2, 5, REST
+            ] },
+            { instrument: 'lead', intense: true, notes: [
+                12, REST, REST, 15, REST, REST, 19, REST, 17, REST, 15, REST, 12, REST, REST, REST,
+                8, REST, REST, 12, REST, REST, 15, REST, 14, REST, 12, REST, 10, REST, REST, REST
+            ] }
+        ]
+    },
+    boss: {
+        bpm: 140,
+        rowsPerBeat: 4,
+        volume: 0.65,
+        channels: [
+            { instrument: 'kick', notes: [0, REST, REST, 0, REST, REST, 0, REST, 0, REST, REST, 0, REST, REST, 0, REST] },
+            { instrument: 'snare', notes: [REST, REST, REST, REST, 0, REST, REST, REST, REST, REST, REST, REST, 0, REST, REST, REST] },
+            { instrument: 'bass', notes: [0, 0, 12, 0, 1, 0, 12, 1, 0, 0, 12, 0, 6, 5, 3, 1] },
+            { instrument: 'hat', intense: true, notes: [0, REST, 0, 0, 0, REST, 0, 0, 0, REST, 0, 0, 0, REST, 0, 0] },
+            { instrument: 'lead', intense: true, notes: [
+                12, REST, 13, REST, 12, REST, 8, REST, 7, REST, 8, REST, 12, REST, REST, REST,
+                13, REST, 15, REST, 13, REST, 12, REST, 8, REST, 7, REST, 6, REST, REST, REST
+            ] }
+        ]
+    }
+};
+
+// Schedules the current song a little ahead on the shared AudioContext. Changing
+// track fades the old one out while the new one fades in.
+class MusicPlayer {
+    constructor(audio) {
+        this.audio = audio;
+        this.trackName = null; // Track asked for - started once there is a running context
+        this.intensity = 0; // 0..1, how loud the intense channels are
+        this.current = null; // Track being scheduled
+        this.playing = []; // Tracks still sounding, including ones fading out
+        this.buffers = new Map(); // Instrument name -> AudioBuffer
+        this.fadeTime = 1.5; // Seconds for crossfades
+        this.lookAhead = 0.2; // Seconds of notes scheduled in advance
+    }
+    
+    play(name) {
+        if (name === this.trackName) return;
+        this.trackName = name;
+        this.intensity = 0;
+    }
+    
+    setIntensity(level) {
+        this.intensity = level;
+        const context = this.audio.context;
+        if (context && this.current) {
+            const gain = this.current.intenseGain.gain;
+            gain.cancelScheduledValues(context.currentTime);
+            gain.setValueAtTime(gain.value, context.currentTime);
+            gain.linearRampToValueAtTime(level, context.currentTime + this.fadeTime);
+        }
+    }
+    
+    // Called every animation frame
+    update() {
+        const context = this.audio.context;
+        if (!context || context.state !== 'running') return;
+        const now = context.currentTime;
+        
+        const currentName = this.current ? this.current.name : null;
+        if (currentName !== this.trackName) {
+            this.crossfade(context, now);
+        }
+        
+        this.playing = this.playing.filter(track => track.stopTime === null || track.stopTime > now);
+        this.playing.forEach(track => this.schedule(context, track, now));
+    }
+    
+    crossfade(context, now) {
+        if (this.current) {
+            const gain = this.current.gain.gain;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(0, now + this.fadeTime);
+            this.current.stopTime = now + this.fadeTime;
+            this.current = null;
+        }
+        if (!this.trackName) return;
+        
+        const song = MUSIC_TRACKS[this.trackName];
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(song.volume, now + this.fadeTime);
+        gain.connect(this.audio.musicGain);
+        const intenseGain = context.createGain();
+        intenseGain.gain.value = this.intensity;
+        intenseGain.connect(gain);
+        
+        this.current = { name: this.trackName, song, gain, intenseGain, row: 0, nextTime: now + 0.05, stopTime: null };
+        this.playing.push(this.current);
+    }
+    
+    schedule(context, track, now) {
+        // Rows missed while the context was suspended are skipped, not played in a burst
+        if (track.nextTime < now) {
+            track.nextTime = now;
+        }
+        
+        const { song } = track;
+        const rowTime = 60 / song.bpm / song.rowsPerBeat;
+        while (track.nextTime < now + this.lookAhead) {
+            song.channels.forEach(channel => {
+                const note = channel.notes[track.row % channel.notes.length];
+                if (note === null) return;
+                const source = context.createBufferSource();
+                source.buffer = this.getBuffer(context, channel.instrument);
+                source.playbackRate.value = 2 ** (note / 12);
+                source.connect(channel.intense ? track.intenseGain : track.gain);
+                source.start(track.nextTime);
+            });
+            track.row++;
+            track.nextTime += rowTime;
+        }
+    }
+    
+    getBuffer(context, instrument) {
+        let buffer = this.buffers.get(instrument);
+        if (!buffer) {
+            buffer = this.audio.createBuffer(AudioManager.buildSamples(...MUSIC_INSTRUMENTS[instrument]));
+            this.buffers.set(instrument, buffer);
+        }
+        return buffer;
+    }
+}
+
 const laserSound = {
     "p_env_attack": 0,
     "p_env_sustain": 0.15,
@@ -109,6 +673,15 @@ const hitSound = {
     "sound_vol": 0.4
 };
 
+const enemyHitSound = {
+    "p_env_attack": 0,
+    "p_env_sustain": 0.03,
+    "p_env_decay": 0.08,
+    "p_base_freq": 0.6,
+    "p_freq_ramp": -0.4,
+    "sound_vol": 0.2
+};
+
 const metalCollectSound = {
     "p_env_attack": 0,
     "p_env_sustain": 0.05,
@@ -127,6 +700,119 @@ const enemyDestroySound = {
     "sound_vol": 0.35
 };
 
+// Level definitions live in levels.js (see there for the format)
+const { LEVELS } = require('./levels.js');
+
+// Objective/spawn rule keys mapped to the enemy kind passed to spawnEnemy -
+// filled in by registerEnemyKind from each kind's objective
+const LEVEL_ENEMY_TYPES = {};
+
+// Values used when a level leaves an optional field out
+const LEVEL_DEFAULTS = {
+    spawnInterval: 800,  // ms between spawns
+    enemySpeedScale: 1   // multiplier on the per-level enemy speed
+};
+
+// Formation shapes for timeline events - offset of member i out of count, relative to the leader
+const FORMATIONS = {
+    line: (i) => ({ x: i * 40, y: 0 }),
+    column: (i, count) => ({ x: 0, y: (i - (count - 1) / 2) * 40 }),
+    v: (i, count) => {
+        const d = i - (count - 1) / 2;
+        return { x: Math.abs(d) * 40, y: d * 40 };
+    },
+    diagonal: (i) => ({ x: i * 40, y: i * 40 })
+};
+
+// Check level data at load time so a typo fails loudly instead of producing an unwinnable level
+function validateLevels(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        throw new Error('Level data must be a non-empty array');
+    }
+
+    levels.forEach((level, index) => {
+        const name = `Level ${index + 1}`;
+
+        if (!level.objectives || Object.keys(level.objectives).length === 0) {
+            throw new Error(`${name}: missing objectives`);
+        }
+        if (!level.spawnRules) {
+            throw new Error(`${name}: missing spawnRules`);
+        }
+
+        for (const [type, count] of Object.entries(level.objectives)) {
+            if (!LEVEL_ENEMY_TYPES[type]) {
+                throw new Error(`${name}: unknown enemy type "${type}" in objectives`);
+            }
+            if (!Number.isInteger(count) || count <= 0) {
+                throw new Error(`${name}: objective "${type}" must be a positive whole number`);
+            }
+            if (!level.spawnRules[type]) {
+                throw new Error(`${name}: objective "${type}" can never complete because spawnRules.${type} is not enabled`);
+            }
+        }
+
+        for (const type of Object.keys(level.spawnRules)) {
+            if (!LEVEL_ENEMY_TYPES[type]) {
+                throw new Error(`${name}: unknown enemy type "${type}" in spawnRules`);
+            }
+        }
+
+        if (!(level.maxEnemies > 0)) {
+            throw new Error(`${name}: maxEnemies must be greater than 0`);
+        }
+        if (level.spawnInterval !== undefined && !(level.spawnInterval > 0)) {
+            throw new Error(`${name}: spawnInterval must be greater than 0`);
+        }
+        if (level.enemySpeedScale !== undefined && !(level.enemySpeedScale > 0)) {
+            throw new Error(`${name}: enemySpeedScale must be greater than 0`);
+        }
+        if (level.timeline !== undefined) {
+            validateTimeline(level, name);
+        }
+    });
+
+    return levels;
+}
+
+function validateTimeline(level, name) {
+    if (!Array.isArray(level.timeline)) {
+        throw new Error(`${name}: timeline must be an array of spawn events`);
+    }
+
+    // Total spawns per type, so we can tell whether the objectives are reachable
+    const totals = {};
+    level.timeline.forEach((event, index) => {
+        const eventName = `${name} timeline event ${index + 1}`;
+        if (!(event.time >= 0)) {
+            throw new Error(`${eventName}: time must be 0 or more`);
+        }
+        if (!LEVEL_ENEMY_TYPES[event.type]) {
+            throw new Error(`${eventName}: unknown enemy type "${event.type}"`);
+        }
+        if (event.count !== undefined && (!Number.isInteger(event.count) || event.count <= 0)) {
+            throw new Error(`${eventName}: count must be a positive whole number`);
+        }
+        if (event.formation !== undefined && !FORMATIONS[event.formation]) {
+            throw new Error(`${eventName}: unknown formation "${event.formation}"`);
+        }
+        if (event.y !== undefined && !(event.y >= 0 && event.y <= 1)) {
+            throw new Error(`${eventName}: y must be between 0 and 1`);
+        }
+        if (event.delay !== undefined && !(event.delay >= 0)) {
+            throw new Error(`${eventName}: delay must be 0 or more`);
+        }
+        totals[event.type] = (totals[event.type] || 0) + (event.count || 1);
+    });
+
+    for (const [type, count] of Object.entries(level.objectives)) {
+        if ((totals[type] || 0) < count) {
+            throw new Error(`${name}: timeline only spawns ${totals[type] || 0} of the ${count} ${type} the objectives need`);
+        }
+    }
+}
+
+
 // Static utility functions for common rendering tasks
 class RenderUtils {
     static drawStars(ctx, width, height, count = 100) {
@@ -140,1849 +826,1718 @@ class RenderUtils {
     }
 }
 
-// Main Game class with state management
-class Game {
-    constructor() {
-        this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
-        
-        // State management
-        this.states = {};
-        this.currentState = null;
-        this.previousStateName = null; // Simple tracking of where we came from
+// Replays store one bit per INPUT_ACTIONS entry, so they play back the same
+// whatever the viewer's bindings are; player two's PLAYER_ACTIONS go in the bits
+// from REPLAY_PLAYER2_SHIFT up. Every frame also carries an analog field (see
+// ReplayManager.getAnalog). A replay only matches the build that recorded it,
+// so bump the version whenever the format or the simulation changes.
+const REPLAY_VERSION = 1;
+const REPLAY_PLAYER2_SHIFT = 20;
+const REPLAY_FRAME_SIZE = 4; // deltaTime, action mask, analog, repeat count
+
+// Records the per-frame input and deltaTime of a run so it can be played back exactly.
+// Combined with the run seed this reproduces the run inside the real GameplayState loop.
+class ReplayManager {
+    constructor(game) {
+        this.game = game;
+        this.mode = 'idle'; // idle, recording, recorded, pending (playback queued), playing
+        this.data = null;
+        this.frameIndex = 0; // Position in data.frames during playback
+        this.frameRepeat = 0; // How many times the current run-length entry has been used
+    }
+    
+    get isPlaying() {
+        return this.mode === 'playing' || this.mode === 'pending';
+    }
+    
+    get hasRecording() {
+        return this.mode === 'recorded' && this.data !== null;
+    }
+    
+    onRunStart() {
+        // Called by GameplayState when a new run begins
+        if (this.mode === 'pending') {
+            this.restoreStart(this.data.start);
+            this.mode = 'playing';
+            this.frameIndex = 0;
+            this.frameRepeat = 0;
+            console.log(`Replay started: seed ${this.data.seed}, ${this.data.frames.length / REPLAY_FRAME_SIZE} input runs`);
+            return;
+        }
         
-        // Game data (shared across states)
-        this.gameData = {
-            score: 0,
-            lives: 3,
-            level: 1,
-            highScore: 0,
-            metal: 0, // Metal collected from asteroids
-            shopVisited: false, // Track if shop has been visited
-            turboMultiplier: 1 // Global speed multiplier for turbo effect
+        this.mode = 'recording';
+        this.data = {
+            version: REPLAY_VERSION,
+            seed: this.game.seed,
+            start: this.captureStart(),
+            frames: [] // Flat run-length list: deltaTime, action mask, analog, repeat count
         };
-        
-        // Game objects (for gameplay state)
-        this.player = null;
-        this.bullets = [];
-        this.enemies = [];
-        this.stars = [];
-        this.particles = [];
-        this.metal = [];
-        this.proximityBombs = [];
-        
-        this.keys = {};
-        this.keys['StartPressed'] = false; // Initialize StartPressed flag
-        this.lastTime = 0;
-        this.enemySpawnTimer = 0;
-        this.starSpawnTimer = 0;
-        
-        // Controller support
-        this.controllers = [];
-        this.controllerConnected = false;
-        
-        // Frame rate tracking
-        this.frameCount = 0;
-        this.fps = 0;
-        this.fpsTimer = 0;
-        
-        // Screen shake system
-        this.screenShake = {
-            intensity: 0,
-            duration: 0,
-            maxIntensity: 100, // Increased from 10 to allow much bigger shakes
-            decayRate: 0.9    // Slower decay for longer-lasting shakes
+    }
+    
+    onRunEnd() {
+        // Called when the run ends on the game over or win screen
+        if (this.mode === 'recording') {
+            this.mode = 'recorded';
+        } else if (this.mode === 'playing') {
+            console.log('Replay finished');
+            this.mode = 'idle';
+        }
+    }
+    
+    cancel() {
+        // Abandon any recording or playback (e.g. quitting to the main menu)
+        if (this.mode !== 'recorded') {
+            this.mode = 'idle';
+        }
+    }
+    
+    captureStart() {
+        // Player state carries over between runs and continued runs start mid-game,
+        // so store what the run started with
+        const [player, player2] = this.game.players;
+        const start = {
+            level: this.game.gameData.level,
+            score: this.game.gameData.score,
+            lives: this.game.gameData.lives,
+            metal: this.game.gameData.metal,
+            shopVisited: this.game.gameData.shopVisited,
+            player: { x: player.x, y: player.y, ...player.getUpgrades() }
         };
-        
-        this.init();
+        if (player2) {
+            start.coop = {
+                sharedLives: this.game.states.gameplay.sharedLives,
+                player2: { x: player2.x, y: player2.y, ...player2.getUpgrades() },
+                lives: this.game.players.map(p => p.lives)
+            };
+        }
+        return start;
+    }
+    
+    restoreStart(start) {
+        this.game.gameData.level = start.level;
+        this.game.gameData.score = start.score;
+        this.game.gameData.lives = start.lives;
+        this.game.gameData.metal = start.metal;
+        this.game.gameData.shopVisited = start.shopVisited;
+        this.game.player.applyUpgrades(start.player);
+        if (start.coop) {
+            // play() already switched co-op on, so player two exists
+            const player2 = this.game.players[1];
+            player2.applyUpgrades(start.coop.player2);
+            this.game.states.gameplay.sharedLives = start.coop.sharedLives;
+            this.game.players.forEach((player, index) => {
+                player.lives = start.coop.lives[index];
+                player.out = this.game.states.gameplay.hasSplitLives() && player.lives === 0;
+            });
+        }
     }
     
-    init() {
-        this.setupStates();
-        this.bindEvents();
-        this.checkExistingControllers();
-        this.changeState('menu');
-        this.gameLoop();
+    processFrame(deltaTime, input) {
+        // Returns the deltaTime the simulation should use this frame
+        if (this.mode === 'recording') {
+            return this.recordFrame(deltaTime, input);
+        }
+        if (this.mode === 'playing') {
+            return this.playFrame(input);
+        }
+        return deltaTime;
     }
     
-    checkExistingControllers() {
-        // Check if any controllers are already connected
-        const gamepads = navigator.getGamepads();
-        const gamepad = gamepads[0];
-        if (!gamepad) return;
+    recordFrame(deltaTime, input) {
+        // Updates run on the fixed step, so nearly every frame has the same dt
+        // and the run-length encoding below stays short
+        const dt = deltaTime;
+        let mask = 0;
+        for (let i = 0; i < INPUT_ACTIONS.length; i++) {
+            if (input.state[INPUT_ACTIONS[i]]) mask |= 1 << i;
+        }
+        for (let i = 0; i < PLAYER_ACTIONS.length; i++) {
+            if (input.player2.state[PLAYER_ACTIONS[i]]) mask |= 1 << (REPLAY_PLAYER2_SHIFT + i);
+        }
         
-        this.controllers[0] = gamepad;
-        this.controllerConnected = true;
+        const analog = ReplayManager.getAnalog(input);
         
-        // Store initial button states for existing controllers too
-        this.initialButtonStates = {};
-        for (let j = 0; j < gamepad.buttons.length; j++) {
-            this.initialButtonStates[j] = gamepad.buttons[j]?.pressed || false;
+        // Extend the last run if nothing changed since the previous frame
+        const frames = this.data.frames;
+        const last = frames.length - REPLAY_FRAME_SIZE;
+        if (last >= 0 && frames[last] === dt && frames[last + 1] === mask && frames[last + 2] === analog) {
+            frames[last + 3]++;
+        } else {
+            frames.push(dt, mask, analog, 1);
         }
-        
+        return dt;
     }
     
-    setupStates() {
-        // Create all game states
-        this.states = {
-            menu: new MenuState(this),
-            gameplay: new GameplayState(this),
-            pause: new PauseState(this),
-            gameOver: new GameOverState(this),
-            win: new WinState(this),
-            settings: new SettingsState(this),
-            highscore: new HighScoreState(this),
-            shop: new ShopState(this),
-            controllerTest: new ControllerTestState(this)
-        };
+    static getAnalog(input) {
+        // Ship vectors as one string of hundredths: move x/y and aim x/y for player
+        // one, then player two. Empty when they are exactly what the digital
+        // directions give, which is every frame of a keyboard-only run.
+        const ships = [input, input.player2];
+        const digital = ships.every(ship => {
+            const expected = InputManager.getDigitalMove(ship.state);
+            return ship.move.x === expected.x && ship.move.y === expected.y &&
+                ship.aim.x === 0 && ship.aim.y === 0;
+        });
+        if (digital) return '';
+        return ships.map(ship => [ship.move.x, ship.move.y, ship.aim.x, ship.aim.y]
+            .map(value => Math.round(value * 100)).join(',')).join(',');
     }
     
-    changeState(stateName) {
-        if (this.currentState) {
-            this.currentState.exit();
-            // Store the current state name as previous
-            for (let [name, state] of Object.entries(this.states)) {
-                if (state === this.currentState) {
-                    this.previousStateName = name;
-                    break;
-                }
-            }
+    static setAnalog(input, analog) {
+        const ships = [input, input.player2];
+        if (analog === '') {
+            ships.forEach(ship => {
+                ship.move = InputManager.getDigitalMove(ship.state);
+                ship.aim = { x: 0, y: 0 };
+            });
+            return;
+        }
+        const values = analog.split(',').map(value => Number(value) / 100);
+        ships.forEach((ship, i) => {
+            ship.move = { x: values[i * 4], y: values[i * 4 + 1] };
+            ship.aim = { x: values[i * 4 + 2], y: values[i * 4 + 3] };
+        });
+    }
+    
+    playFrame(input) {
+        const frames = this.data.frames;
+        if (this.frameIndex >= frames.length) {
+            // Out of input before the run ended - the tester quit, so stop here
+            console.log('Replay ran out of input');
+            this.mode = 'idle';
+            this.game.changeState('menu');
+            return 0;
         }
         
-        this.currentState = this.states[stateName];
-        if (this.currentState) {
-            this.currentState.enter();
-        } else {
-            console.error('Failed to change state to:', stateName);
+        const dt = frames[this.frameIndex];
+        const mask = frames[this.frameIndex + 1];
+        for (let i = 0; i < INPUT_ACTIONS.length; i++) {
+            input.state[INPUT_ACTIONS[i]] = (mask & (1 << i)) !== 0;
+        }
+        for (let i = 0; i < PLAYER_ACTIONS.length; i++) {
+            input.player2.state[PLAYER_ACTIONS[i]] = (mask & (1 << (REPLAY_PLAYER2_SHIFT + i))) !== 0;
+        }
+        ReplayManager.setAnalog(input, frames[this.frameIndex + 2]);
+        
+        this.frameRepeat++;
+        if (this.frameRepeat >= frames[this.frameIndex + 3]) {
+            this.frameIndex += REPLAY_FRAME_SIZE;
+            this.frameRepeat = 0;
         }
+        return dt;
     }
     
-    goBack() {
-        // Hard-coded navigation based on current state
-        if (this.currentState === this.states.settings) {
-            this.changeState('menu'); // Settings always goes back to main menu
-        } else if (this.currentState === this.states.shop) {
-            this.changeState('gameplay'); // Shop always goes back to gameplay
-        } else if (this.currentState === this.states.pause) {
-            this.changeState('gameplay'); // Pause goes back to gameplay
-        } else if (this.currentState === this.states.gameOver) {
-            this.changeState('menu'); // Game over always goes back to main menu
-        } else if (this.currentState === this.states.win) {
-            this.changeState('menu'); // Win state goes back to main menu
+    play(data) {
+        // Queue playback; the run starts from the replay's seed
+        this.data = data;
+        this.mode = 'pending';
+        this.game.coop = !!data.start.coop;
+        this.game.playSeed(data.seed);
+    }
+    
+    serialize() {
+        return JSON.stringify(this.data);
+    }
+    
+    static parse(text) {
+        const data = JSON.parse(text);
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
         }
-        // If we're in gameplay or menu, goBack does nothing
+        if (!Array.isArray(data.frames) || data.frames.length % REPLAY_FRAME_SIZE !== 0 || !data.start) {
+            throw new Error('Replay file is malformed');
+        }
+        return data;
     }
     
-    bindEvents() {
-        document.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
-            
-            // Global key handling
-            if (e.code === 'Escape') {
-                if (this.currentState === this.states.gameplay) {
-                    this.changeState('pause');
-                } else if (this.currentState === this.states.pause) {
-                    this.changeState('gameplay');
-                }
-            }
-        });
+    save() {
+        // Download the last recorded run as a small JSON file
+        if (!this.hasRecording) return false;
         
-        document.addEventListener('keyup', (e) => {
-            this.keys[e.code] = false;
+        const blob = new Blob([this.serialize()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `panther-replay-${this.data.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+        return true;
+    }
+    
+    openFile() {
+        // Ask for a replay file and play it once loaded
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                this.play(ReplayManager.parse(text));
+            }).catch(e => {
+                console.warn('Failed to load replay:', e);
+            });
         });
-        
-        // Controller support
-        window.addEventListener('gamepadconnected', (e) => {
-            console.log('Controller connected:', e.gamepad);
-            this.controllers[e.gamepad.index] = e.gamepad;
-            this.controllerConnected = true;
-            
-            // Store initial button states to detect stuck buttons
-            this.initialButtonStates = {};
-            for (let i = 0; i < e.gamepad.buttons.length; i++) {
-                this.initialButtonStates[i] = e.gamepad.buttons[i]?.pressed || false;
-            }
-            console.log('Initial button states stored:', this.initialButtonStates);
-            
+        input.click();
+    }
+}
 
-        });
-        
-        window.addEventListener('gamepaddisconnected', (e) => {
-            console.log('Controller disconnected:', e.gamepad);
-            delete this.controllers[e.gamepad.index];
-            this.controllerConnected = Object.keys(this.controllers).length > 0;
-        });
+const SAVE_VERSION = 1;
+
+// Upgrades a save from version N to N + 1. Add a step here whenever the save
+// layout changes so slots written by older builds keep loading
+const SAVE_MIGRATIONS = {};
+
+// Mid-run saves in localStorage. A continued run restarts the saved level
+// with the saved score, lives, metal and shop upgrades.
+class SaveManager {
+    constructor(game) {
+        this.game = game;
+        this.pending = null; // Save to apply when the next run starts
     }
     
-    update(deltaTime) {
-        // Update controller input
-        this.updateControllerInput();
+    getKey(slot) {
+        return `PantherProject.save.${slot}`;
+    }
+    
+    canWrite() {
+        // Headless simulations and replay playback must not touch the player's saves
+        return !this.game.headless && !this.game.replay.isPlaying;
+    }
+    
+    save(slot = 0) {
+        if (!this.canWrite() || !this.game.player) return false;
         
-        if (this.currentState) {
-            this.currentState.update(deltaTime);
-            this.currentState.handleInput(this.keys);
+        const gameData = this.game.gameData;
+        const data = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            gameData: {
+                level: gameData.level,
+                score: gameData.score,
+                lives: gameData.lives,
+                metal: gameData.metal
+            },
+            player: this.game.player.getUpgrades()
+        };
+        
+        // Co-op runs also keep player two's upgrades and each player's lives
+        const players = this.game.players;
+        if (this.game.coop && players[1]) {
+            data.coop = {
+                sharedLives: this.game.states.gameplay.sharedLives,
+                player2: players[1].getUpgrades(),
+                lives: players.map(player => player.lives)
+            };
         }
         
-        // Update screen shake
-        this.updateScreenShake(deltaTime);
+        try {
+            localStorage.setItem(this.getKey(slot), JSON.stringify(data));
+            console.log(`Run saved to slot ${slot}: level ${data.gameData.level}, score ${data.gameData.score}`);
+            return true;
+        } catch (e) {
+            console.warn('Failed to save run:', e);
+            return false;
+        }
     }
     
-    updateControllerInput() {
-    // Initial button states stored: {0: false, 1: false, 2: false, 3: false, 4: false, 5: false, 6: false, 7: false, 8: false, 9: false, 10: false, 11: false, 12: false, 13: true, 14: false, 15: false, 16: false}updateControllerInput() {
-        // Get the current gamepad state (required for fresh input data)
-        const gamepads = navigator.getGamepads();
-        console.log('navigator.getGamepads() returned:', gamepads);
-        let controller = gamepads[0];
-
-        // find controller
-        for (let i = 0; i < gamepads.length; i++) {
-            controller = gamepads[i];
-            if (controller) {
-                break;
-            }
+    load(slot = 0) {
+        if (this.game.headless) return null; // No storage outside the browser
+        try {
+            const text = localStorage.getItem(this.getKey(slot));
+            return text ? SaveManager.migrate(JSON.parse(text)) : null;
+        } catch (e) {
+            console.warn('Failed to load save:', e);
+            return null;
+        }
+    }
+    
+    hasSave(slot = 0) {
+        return this.load(slot) !== null;
+    }
+    
+    clear(slot = 0) {
+        if (!this.canWrite()) return;
+        try {
+            localStorage.removeItem(this.getKey(slot));
+        } catch (e) {
+            console.warn('Failed to clear save:', e);
+        }
+    }
+    
+    static migrate(save) {
+        let version = save.version;
+        if (!(version >= 1 && version <= SAVE_VERSION)) {
+            throw new Error(`Unsupported save version: ${version}`);
         }
+        while (version < SAVE_VERSION) {
+            save = SAVE_MIGRATIONS[version](save);
+            version = save.version;
+        }
+        return save;
+    }
+    
+    continueRun(slot = 0) {
+        const save = this.load(slot);
+        if (!save) return false;
         
-        console.log('First controller from gamepads[0]:', controller);
+        this.pending = save;
+        this.game.coop = !!save.coop;
+        this.game.changeState('gameplay');
+        return true;
+    }
+    
+    applyPending() {
+        // Called by GameplayState once a new run has been reset
+        const save = this.pending;
+        if (!save) return;
+        this.pending = null;
         
-        if (!controller) {
-            console.log('No controller found, exiting updateControllerInput');
-            return;
-        }
+        const gameData = this.game.gameData;
+        const saved = save.gameData;
+        gameData.level = Math.min(Math.max(saved.level || 1, 1), LEVELS.length);
+        gameData.score = saved.score || 0;
+        gameData.lives = saved.lives || 3;
+        gameData.metal = saved.metal || 0;
         
-        // DEBUG: Log controller connection status
-        console.log('Controller found:', controller.index, 'connected:', controller.connected);
-        
-        // Update our stored controller reference
-        this.controllers[0] = controller;
-        
-        // Reset ALL controller-mapped keys to false first (assume no movement/action)
-        this.keys['ControllerSpace'] = false;
-        this.keys['ControllerQ'] = false;
-        this.keys['ControllerShift'] = false;
-        this.keys['ControllerC'] = false;
-        
-        // Reset movement keys to false (assume no movement)
-        this.keys['ArrowUp'] = false;
-        this.keys['ArrowDown'] = false;
-        this.keys['ArrowLeft'] = false;
-        this.keys['ArrowRight'] = false;
-        
-        // Reset controller-mapped regular keys to false
-        this.keys['Space'] = false;
-        this.keys['Escape'] = false;
-        // Note: StartPressed is NOT reset here - it's handled in the button logic below
-        
-        // DEBUG: Log initial key states
-        console.log('Keys after reset:', {
-            ArrowUp: this.keys['ArrowUp'],
-            ArrowDown: this.keys['ArrowDown'],
-            ArrowLeft: this.keys['ArrowLeft'],
-            ArrowRight: this.keys['ArrowRight'],
-            Space: this.keys['Space'],
-            ControllerSpace: this.keys['ControllerSpace']
+        // Only take fields the shop can change; anything else in the save is ignored
+        const players = this.game.players;
+        const savedUpgrades = [save.player, save.coop && save.coop.player2];
+        players.forEach((player, index) => {
+            const upgrades = player.getUpgrades();
+            Object.keys(upgrades).forEach(key => {
+                if (savedUpgrades[index] && typeof savedUpgrades[index][key] === 'number') {
+                    upgrades[key] = savedUpgrades[index][key];
+                }
+            });
+            player.applyUpgrades(upgrades);
+            player.shieldLevel = player.maxShieldLevel;
         });
         
-        // Map controller buttons to controller-specific keys
-        if (controller.buttons[0] && controller.buttons[0].pressed) { // A button
-            this.keys['ControllerSpace'] = true; // Fire laser
-            this.keys['Space'] = true; // Also for menu selection
-            console.log('A button pressed - Space keys set to true');
+        // Split co-op lives pick up per player; otherwise the total above is the pool
+        const gameplay = this.game.states.gameplay;
+        if (save.coop) {
+            gameplay.sharedLives = save.coop.sharedLives !== false;
         }
-        
-        if (controller.buttons[1] && controller.buttons[1].pressed) { // B button
-            this.keys['ControllerQ'] = true; // Fire rocket
-            console.log('B button pressed - ControllerQ set to true');
+        const savedLives = save.coop && save.coop.lives;
+        if (gameplay.hasSplitLives() && Array.isArray(savedLives)) {
+            players.forEach((player, index) => {
+                player.lives = Math.max(0, Math.floor(savedLives[index]) || 0);
+                player.out = player.lives === 0;
+            });
+            gameData.lives = players.reduce((total, player) => total + player.lives, 0);
         }
         
-        if (controller.buttons[2] && controller.buttons[2].pressed) { // X button
-            this.keys['ControllerShift'] = true; // Turbo
-            console.log('X button pressed - ControllerShift set to true');
+        console.log(`Continuing run at level ${gameData.level}`);
+    }
+}
+
+const SETTINGS_DEFAULTS = {
+    masterVolume: 1,
+    sfxVolume: 1,
+    musicVolume: 0.6,
+    screenShake: 1, // Multiplier on every triggerScreenShake call
+    debugHud: true, // FPS, pool and controller readouts in the gameplay HUD
+    deadzone: 0.1, // Radial stick deadzone
+    stickCurve: 1, // Stick response exponent - 1 is linear, higher is finer near the centre
+    reducedFlash: false, // Dim instead of blink for hit flashes and warning lights
+    sharedLives: true // Co-op players draw from one pool of lives instead of three each
+};
+
+// Player options, stored in localStorage and applied as soon as they change
+class Settings {
+    constructor(game) {
+        this.game = game;
+        Object.assign(this, SETTINGS_DEFAULTS);
+        this.load();
+        this.apply();
+    }
+    
+    load() {
+        if (this.game.headless) return; // Simulations always use the defaults
+        try {
+            const saved = JSON.parse(localStorage.getItem('PantherProject.settings')) || {};
+            // Only take known settings of the right type
+            Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+                if (typeof saved[key] === typeof SETTINGS_DEFAULTS[key]) {
+                    this[key] = saved[key];
+                }
+            });
+        } catch (e) {
+            console.warn('Failed to load settings:', e);
         }
-        
-        if (controller.buttons[3] && controller.buttons[3].pressed) { // Y button
-            this.keys['ControllerC'] = true; // Cloak
-            console.log('Y button pressed - ControllerC set to true');
+    }
+    
+    save() {
+        if (this.game.headless) return;
+        try {
+            const values = {};
+            Object.keys(SETTINGS_DEFAULTS).forEach(key => {
+                values[key] = this[key];
+            });
+            localStorage.setItem('PantherProject.settings', JSON.stringify(values));
+        } catch (e) {
+            console.warn('Failed to save settings:', e);
         }
+    }
+    
+    set(key, value) {
+        this[key] = value;
+        this.apply();
+        this.save();
+    }
+    
+    apply() {
+        // Everything else reads its setting when it is used
+        audioManager.setVolume(this.masterVolume, this.sfxVolume, this.musicVolume);
+    }
+}
+
+// Everything the game reads from the player. The order is part of the replay
+// format (one bit per action), so only ever add new actions at the end.
+const INPUT_ACTIONS = [
+    'up', 'down', 'left', 'right',
+    'fire', 'rocket', 'turbo',
+    'pause', 'confirm', 'back', 'saveReplay',
+    'devMetal', 'devTurbo', 'devLevelDown', 'devLevelUp', 'devInfo',
+    'cloak', 'fullscreen'
+];
+
+// Keyboard codes and standard-mapping gamepad buttons for each action
+const DEFAULT_BINDINGS = {
+    up: { keys: ['ArrowUp', 'KeyW'], buttons: [12] },
+    down: { keys: ['ArrowDown', 'KeyS'], buttons: [13] },
+    left: { keys: ['ArrowLeft', 'KeyA'], buttons: [14] },
+    right: { keys: ['ArrowRight', 'KeyD'], buttons: [15] },
+    fire: { keys: ['Space'], buttons: [0] }, // A
+    rocket: { keys: ['KeyQ'], buttons: [1] }, // B
+    turbo: { keys: ['ShiftLeft', 'ShiftRight'], buttons: [2] }, // X
+    pause: { keys: ['Escape'], buttons: [9] }, // Start
+    confirm: { keys: ['Enter', 'Space'], buttons: [0] }, // A
+    back: { keys: ['KeyM', 'Backspace'], buttons: [3] }, // Y - B fires rockets
+    saveReplay: { keys: ['KeyR'], buttons: [2] }, // X
+    // Dev shortcuts - fixed keys, not shown on the controls screen
+    devMetal: { keys: ['Digit0'], buttons: [] },
+    devTurbo: { keys: ['Digit9'], buttons: [] },
+    devLevelDown: { keys: ['Digit1'], buttons: [] },
+    devLevelUp: { keys: ['Digit2'], buttons: [] },
+    devInfo: { keys: ['KeyD'], buttons: [] },
+    cloak: { keys: ['KeyC'], buttons: [4] }, // LB
+    fullscreen: { keys: ['KeyF'], buttons: [] }
+};
+
+// Actions that fly a ship. In co-op, player two's gamepad sends only these
+// to its own ship; its other buttons still pause and work the menus.
+const PLAYER_ACTIONS = ['up', 'down', 'left', 'right', 'fire', 'rocket', 'turbo', 'cloak'];
+
+// Actions only read outside gameplay. These may share a key or button with
+// PLAYER_ACTIONS (Space fires and confirms), since the two are never read together.
+const MENU_ACTIONS = ['confirm', 'back', 'saveReplay'];
+
+// Actions listed on the controls screen, in display order
+const REBINDABLE_ACTIONS = {
+    up: 'Move Up',
+    down: 'Move Down',
+    left: 'Move Left',
+    right: 'Move Right',
+    fire: 'Fire',
+    rocket: 'Rocket',
+    turbo: 'Turbo',
+    cloak: 'Cloak',
+    pause: 'Pause',
+    confirm: 'Confirm',
+    back: 'Back',
+    saveReplay: 'Save Replay'
+};
+
+// Turns raw keyboard and gamepad state into named actions. States ask
+// isDown('fire') instead of checking key codes, so bindings can change.
+// The previous frame is kept too, so menus can act once per press with
+// justPressed() instead of running their own cooldown timers.
+class InputManager {
+    constructor(game) {
+        this.game = game;
+        this.bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        this.state = {}; // action -> held this frame (player one, and every menu)
+        this.previous = {}; // action -> held last frame
+        this.latched = {}; // action -> ignored until released
+        INPUT_ACTIONS.forEach(action => {
+            this.state[action] = false;
+            this.previous[action] = false;
+        });
+        
+        // Analog vectors for player one's ship, each axis -1..1 in steps of 0.01
+        this.move = { x: 0, y: 0 }; // Left stick, or the digital directions
+        this.aim = { x: 0, y: 0 }; // Right stick - zero when not aiming
+        
+        // Player two's ship in co-op - same methods as this manager so Player.update takes either
+        this.player2 = {
+            state: {},
+            move: { x: 0, y: 0 },
+            aim: { x: 0, y: 0 },
+            isDown(action) {
+                return this.state[action];
+            },
+            getMove() {
+                return this.move;
+            },
+            getAim() {
+                return this.aim;
+            }
+        };
+        PLAYER_ACTIONS.forEach(action => {
+            this.player2.state[action] = false;
+        });
         
-        // Select button (button 8) - no longer used for pause
-        // if (controller.buttons[8] && controller.buttons[8].pressed) { // Select button
-        //     // Removed pause functionality - now only Start button (button 9) pauses
-        // }
+        // Rebinding - the next key or button goes to this action
+        this.capture = null; // { action, device: 'keys' | 'buttons' }
+        this.lastButtons = {}; // pad index -> buttons held last frame
         
-        // Start button (button 9) for pause/menu
-        if (controller.buttons[9] && controller.buttons[9].pressed) { // Start button
-            if (!this.keys['StartPressed']) { // Prevent multiple triggers
-                this.keys['StartPressed'] = true;
-                
-                // Handle pause/resume based on current state
-                if (this.currentState === this.states.gameplay) {
-                    this.changeState('pause');
-                } else if (this.currentState === this.states.pause) {
-                    this.changeState('gameplay');
+        this.load();
+    }
+    
+    static copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = { keys: [...bindings[action].keys], buttons: [...bindings[action].buttons] };
+        });
+        return copy;
+    }
+    
+    load() {
+        if (this.game.headless) return; // Simulations always use the defaults
+        try {
+            const saved = JSON.parse(localStorage.getItem('PantherProject.bindings')) || {};
+            Object.keys(REBINDABLE_ACTIONS).forEach(action => {
+                const binding = saved[action];
+                if (binding && Array.isArray(binding.keys) && Array.isArray(binding.buttons)) {
+                    this.bindings[action] = { keys: [...binding.keys], buttons: [...binding.buttons] };
                 }
-            }
-        } else {
-            if (this.keys['StartPressed']) {
-                this.keys['StartPressed'] = false;
-            }
+            });
+        } catch (e) {
+            console.warn('Failed to load bindings:', e);
+        }
+    }
+    
+    save() {
+        if (this.game.headless) return;
+        try {
+            const saved = {};
+            Object.keys(REBINDABLE_ACTIONS).forEach(action => {
+                saved[action] = this.bindings[action];
+            });
+            localStorage.setItem('PantherProject.bindings', JSON.stringify(saved));
+        } catch (e) {
+            console.warn('Failed to save bindings:', e);
+        }
+    }
+    
+    resetDefaults() {
+        this.bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        this.save();
+    }
+    
+    getController() {
+        return this.game.controllers.find(controller => controller) || null;
+    }
+    
+    getPlayer2Controller() {
+        // During co-op gameplay the last connected pad flies player two (player one
+        // keeps the keyboard and any other pad); menus listen to every device
+        if (!this.game.coop || this.game.currentState !== this.game.states.gameplay) {
+            return null;
         }
+        const pads = this.game.controllers.filter(controller => controller);
+        return pads[pads.length - 1] || null;
+    }
+    
+    forPlayer(index) {
+        return index === 0 ? this : this.player2;
+    }
+    
+    update() {
+        // Last frame's snapshot (after any replay playback) is what edges compare against
+        INPUT_ACTIONS.forEach(action => {
+            this.previous[action] = this.state[action];
+        });
         
-        // D-pad and analog stick movement
-        const leftStickX = controller.axes[0];
-        const leftStickY = controller.axes[1];
+        // Rebuild every action from the keys, gamepads and touch buttons held right now
+        const keys = this.game.keys;
+        const touch = this.game.touch;
+        const pads = this.game.controllers.filter(controller => controller);
+        const player2Pad = this.getPlayer2Controller();
+        const buttons = pads.map(pad => pad.buttons.map(button => !!(button && button.pressed)));
+        const player2Buttons = buttons[pads.indexOf(player2Pad)] || [];
+        
+        INPUT_ACTIONS.forEach(action => {
+            const binding = this.bindings[action];
+            const shipAction = PLAYER_ACTIONS.includes(action);
+            this.state[action] = binding.keys.some(code => keys[code]) ||
+                pads.some((pad, p) => (pad !== player2Pad || !shipAction) && binding.buttons.some(index => buttons[p][index])) ||
+                touch.isDown(action);
+            if (shipAction) {
+                this.player2.state[action] = binding.buttons.some(index => player2Buttons[index]);
+            }
+        });
         
-        // DEBUG: Log analog stick values
-        console.log('Analog sticks:', { x: leftStickX.toFixed(3), y: leftStickY.toFixed(3) });
+        // Ship vectors - a stick pushed past the deadzone wins over the digital directions.
+        // The touch joystick belongs to player one.
+        const touchPad = touch.getStickPad();
+        const player1Pads = pads.filter(pad => pad !== player2Pad);
+        if (touchPad) {
+            player1Pads.push(touchPad);
+        }
+        this.updateVectors(this, player1Pads);
+        this.updateVectors(this.player2, player2Pad ? [player2Pad] : []);
         
-        // Map analog stick to movement (with deadzone) - map to actual arrow keys
-        const deadzone = 0.1;
-        if (Math.abs(leftStickX) > deadzone) {
-            if (leftStickX > 0) {
-                this.keys['ArrowRight'] = true;
-                console.log('Right stick movement detected - ArrowRight set to true');
-            } else {
-                this.keys['ArrowLeft'] = true;
-                console.log('Left stick movement detected - ArrowLeft set to true');
-            }
+        // Left sticks also drive the movement actions, so menus can be worked with them
+        player1Pads.forEach(pad => this.applyStick(this.state, pad));
+        if (player2Pad) {
+            this.applyStick(this.player2.state, player2Pad);
         }
         
-        if (Math.abs(leftStickY) > deadzone) {
-            if (leftStickY > 0) {
-                this.keys['ArrowDown'] = true;
-                console.log('Down stick movement detected - ArrowDown set to true');
+        // A press that was used up stays off until it is let go
+        Object.keys(this.latched).forEach(action => {
+            if (this.state[action]) {
+                this.state[action] = false;
             } else {
-                this.keys['ArrowUp'] = true;
-                console.log('Up stick movement detected - ArrowUp set to true');
+                delete this.latched[action];
             }
-        }
+        });
         
-        // D-pad support (alternative movement) - map to actual arrow keys
-        // Simplified D-pad handling - just check if buttons are pressed
-        if (controller.buttons[12] && controller.buttons[12].pressed) { // D-pad up
-            this.keys['ArrowUp'] = true;
-            console.log('D-pad up pressed - ArrowUp set to true');
-        }
-        if (controller.buttons[13] && controller.buttons[13].pressed) { // D-pad down
-            this.keys['ArrowDown'] = true;
-            console.log('D-pad down pressed - ArrowDown set to true');
-        }
-        if (controller.buttons[14] && controller.buttons[14].pressed) { // D-pad left
-            this.keys['ArrowLeft'] = true;
-            console.log('D-pad left pressed - ArrowLeft set to true');
-        }
-        if (controller.buttons[15] && controller.buttons[15].pressed) { // D-pad right
-            this.keys['ArrowRight'] = true;
-            console.log('D-pad right pressed - ArrowRight set to true');
-        }
+        // Taps become presses for the current screen
+        touch.takeTaps().forEach(tap => {
+            const action = this.game.currentState.getTapAction(tap.x, tap.y);
+            if (action) {
+                this.state[action] = true;
+            }
+        });
         
-        // DEBUG: Log final key states
-        console.log('Final keys state:', {
-            ArrowUp: this.keys['ArrowUp'],
-            ArrowDown: this.keys['ArrowDown'],
-            ArrowLeft: this.keys['ArrowLeft'],
-            ArrowRight: this.keys['ArrowRight'],
-            Space: this.keys['Space'],
-            ControllerSpace: this.keys['ControllerSpace']
+        // A button pressed this frame on any gamepad finishes a rebind
+        if (this.capture && this.capture.device === 'buttons') {
+            for (let p = 0; p < pads.length && this.capture; p++) {
+                const last = this.lastButtons[pads[p].index] || [];
+                const index = buttons[p].findIndex((pressed, i) => pressed && !last[i]);
+                if (index !== -1) {
+                    this.finishCapture(index);
+                }
+            }
+        }
+        this.lastButtons = {};
+        pads.forEach((pad, p) => {
+            this.lastButtons[pad.index] = buttons[p];
         });
     }
     
-    triggerScreenShake(intensity = 100, duration = 400) {
-        this.screenShake.intensity = Math.min(intensity, this.screenShake.maxIntensity);
-        this.screenShake.duration = duration;
+    updateVectors(target, pads) {
+        const { deadzone, stickCurve } = this.game.settings;
+        let move = InputManager.getDigitalMove(target.state);
+        let aim = { x: 0, y: 0 };
+        pads.forEach(pad => {
+            const stick = InputManager.shapeStick(pad.axes[0] || 0, pad.axes[1] || 0, deadzone, stickCurve);
+            if (stick.x !== 0 || stick.y !== 0) move = stick;
+            const aimStick = InputManager.shapeStick(pad.axes[2] || 0, pad.axes[3] || 0, deadzone, stickCurve);
+            if (aimStick.x !== 0 || aimStick.y !== 0) aim = aimStick;
+        });
+        target.move = move;
+        target.aim = aim;
     }
     
-    updateScreenShake(deltaTime) {
-        if (this.screenShake.duration > 0) {
-            this.screenShake.duration -= deltaTime;
-            this.screenShake.intensity *= this.screenShake.decayRate;
-            
-            // Stop shake completely when intensity gets very low or duration expires
-            if (this.screenShake.intensity < 0.5 || this.screenShake.duration <= 0) {
-                this.screenShake.intensity = 0;
-                this.screenShake.duration = 0;
-            }
-        }
+    static getDigitalMove(state) {
+        // Keys and d-pad give full speed in eight directions, without the
+        // diagonal being faster than straight movement
+        const x = (state.right ? 1 : 0) - (state.left ? 1 : 0);
+        const y = (state.down ? 1 : 0) - (state.up ? 1 : 0);
+        const scale = x !== 0 && y !== 0 ? Math.SQRT1_2 : 1;
+        return { x: InputManager.quantize(x * scale), y: InputManager.quantize(y * scale) };
     }
     
-    getScreenShakeOffset() {
-        if (this.screenShake.intensity <= 0) return { x: 0, y: 0 };
-        
+    static shapeStick(x, y, deadzone, curve) {
+        // Radial deadzone - the cut-off is on how far the stick is pushed, not on
+        // each axis, so slow diagonals work. What is left is rescaled to 0..1 and
+        // bent by the response curve (1 = linear, higher = finer control near the centre).
+        const length = Math.sqrt(x * x + y * y);
+        if (length <= deadzone) {
+            return { x: 0, y: 0 };
+        }
+        const strength = Math.pow(Math.min(1, (length - deadzone) / (1 - deadzone)), curve);
         return {
-            x: (Math.random() - 0.5) * 4 * this.screenShake.intensity, // Double the range for bigger shake
-            y: (Math.random() - 0.5) * 4 * this.screenShake.intensity  // Double the range for bigger shake
+            x: InputManager.quantize(x / length * strength),
+            y: InputManager.quantize(y / length * strength)
         };
     }
     
-    render() {
-        // Apply screen shake offset
-        const shakeOffset = this.getScreenShakeOffset();
-        this.ctx.save();
-        this.ctx.translate(shakeOffset.x, shakeOffset.y);
-        
-        if (this.currentState) {
-            this.currentState.render(this.ctx);
-        }
-        
-        this.ctx.restore();
+    static quantize(value) {
+        // Vectors are kept to hundredths so replays store exactly what was played
+        return Math.round(value * 100) / 100;
     }
     
-    gameLoop(currentTime = 0) {
-        const deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
-        
-        // Calculate FPS
-        this.frameCount++;
-        this.fpsTimer += deltaTime;
-        if (this.fpsTimer >= 1000) { // Update FPS every second
-            this.fps = this.frameCount;
-            this.frameCount = 0;
-            this.fpsTimer = 0;
-        }
-        
-        this.update(deltaTime);
-        this.render();
-        
-        requestAnimationFrame((time) => this.gameLoop(time));
+    getMove() {
+        return this.move;
     }
     
-    // Shared Milky Way drawing method
-    drawMilkyWay(ctx) {
-        // Animated Milky Way with noise and detail
-        const time = Date.now() * 0.001; // Animation speed
-        const centerY = this.height * 0.5; // Center the band better
-        const bandHeight = this.height * 0.3; // 30% of screen height
-        
-        ctx.save();
-        
-        // Animate the background layers
-        const offsetX = (time * 20) % this.width; // Move right to left
-        
-        // Draw orange stellar background
-        const stellarGradient = ctx.createLinearGradient(0, centerY - bandHeight/2, 0, centerY + bandHeight/2);
-        stellarGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        stellarGradient.addColorStop(0.2, 'rgba(80, 40, 20, 0.3)');
-        stellarGradient.addColorStop(0.4, 'rgba(120, 60, 30, 0.5)');
-        stellarGradient.addColorStop(0.6, 'rgba(160, 80, 40, 0.6)');
-        stellarGradient.addColorStop(0.8, 'rgba(120, 60, 30, 0.5)');
-        stellarGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        
-        ctx.fillStyle = stellarGradient;
-        ctx.fillRect(offsetX, centerY - bandHeight/2, this.width, bandHeight);
-        ctx.fillRect(offsetX - this.width, centerY - bandHeight/2, this.width, bandHeight);
-        
-        // Add orange noise for stellar background
-        this.addAnimatedNoise(ctx, offsetX, centerY, bandHeight, 'rgba(160, 80, 40, 0.2)', 0.4);
-        
-        // Draw blue galactic plane
-        const planeGradient = ctx.createLinearGradient(0, centerY - bandHeight/2, 0, centerY + bandHeight/2);
-        planeGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        planeGradient.addColorStop(0.1, 'rgba(40, 60, 100, 0.15)');
-        planeGradient.addColorStop(0.3, 'rgba(60, 90, 140, 0.3)');
-        planeGradient.addColorStop(0.5, 'rgba(80, 120, 180, 0.4)');
-        planeGradient.addColorStop(0.7, 'rgba(60, 90, 140, 0.3)');
-        planeGradient.addColorStop(0.9, 'rgba(40, 60, 100, 0.15)');
-        planeGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        
-        ctx.fillStyle = planeGradient;
-        ctx.fillRect(offsetX, centerY - bandHeight/2, this.width, bandHeight);
-        ctx.fillRect(offsetX - this.width, centerY - bandHeight/2, this.width, bandHeight);
-        
-        // Add blue noise for galactic plane
-        this.addAnimatedNoise(ctx, offsetX, centerY, bandHeight, 'rgba(60, 90, 140, 0.1)', 0.3);
-        
-        // Add animated dark dust lanes
-        this.addAnimatedDustLanes(ctx, offsetX, centerY, bandHeight);
-        
-        ctx.restore();
+    getAim() {
+        return this.aim;
     }
     
-    // Helper methods for Milky Way
-    addAnimatedNoise(ctx, offsetX, centerY, bandHeight, color, intensity) {
-        // Add noise texture that moves with the background - restore 2D approach
-        for (let x = 0; x < this.width * 2; x += 8) {
-            for (let y = centerY - bandHeight/2; y < centerY + bandHeight/2; y += 8) {
-                const noiseX = (x + offsetX) * 0.05;
-                const noiseY = y * 0.03;
-                
-                if ((this.simpleNoise(noiseX + noiseY + 42) * 0.5 + 0.5) < 0.3) {
-                    ctx.fillStyle = color;
-                    ctx.fillRect(x + offsetX, y, 8, 8);
-                    ctx.fillRect(x + offsetX - this.width, y, 8, 8);
-                }
+    applyStick(state, controller) {
+        const deadzone = this.game.settings.deadzone;
+        const stickX = controller.axes[0] || 0;
+        const stickY = controller.axes[1] || 0;
+        if (stickX < -deadzone) state.left = true;
+        if (stickX > deadzone) state.right = true;
+        if (stickY < -deadzone) state.up = true;
+        if (stickY > deadzone) state.down = true;
+    }
+    
+    isDown(action) {
+        return this.state[action];
+    }
+    
+    held(action) {
+        return this.state[action] && this.previous[action];
+    }
+    
+    justPressed(action) {
+        return this.state[action] && !this.previous[action];
+    }
+    
+    justReleased(action) {
+        return !this.state[action] && this.previous[action];
+    }
+    
+    consumePressed() {
+        // Everything pressed this frame has done its job (changed screen, finished a
+        // rebind) - e.g. the Space that restarts from game over must not also fire
+        INPUT_ACTIONS.forEach(action => {
+            if (this.justPressed(action)) {
+                this.latched[action] = true;
+                this.state[action] = false;
             }
+        });
+    }
+    
+    startCapture(action, device) {
+        this.capture = { action, device };
+    }
+    
+    cancelCapture() {
+        this.capture = null;
+    }
+    
+    captureKey(code, repeat = false) {
+        // Called from keydown; returns true if the key was used for a rebind
+        if (!this.capture) return false;
+        // Auto-repeat of the key that opened the capture (or is still held) isn't a choice
+        if (repeat) return true;
+        if (code === 'Escape') {
+            this.cancelCapture();
+        } else if (this.capture.device === 'keys') {
+            this.finishCapture(code);
         }
+        return true;
     }
     
-    addAnimatedDustLanes(ctx, offsetX, centerY, bandHeight) {
-        // Create more organic, varied dust lanes with smaller, scattered elements
-        const dustCount = 150; // 10x more dust particles for very dense look
-        
-        // Make dust move slower by using a fraction of offsetX
-        const slowDustOffset = offsetX * 0.3; // Dust moves at 30% speed of background
+    finishCapture(input) {
+        const { action, device } = this.capture;
+        // Only the first binding (the one shown on the controls screen) changes
+        const list = this.bindings[action][device];
+        const previous = list[0];
+        this.bindings[action][device] = [input, ...list.slice(1).filter(entry => entry !== input)];
         
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-        for (let i = 0; i < dustCount; i++) {
-            // Vary the dust particle positions and sizes more naturally
-            const dustX = (slowDustOffset + this.simpleNoise(i * 50) * this.width * 2) % (this.width * 2);
-            const dustY = centerY + (this.simpleNoise(i * 100) * 0.5 - 0.25) * bandHeight * 0.4;
-            const dustSize = this.simpleNoise(i * 150) * 0.5 + 0.5; // 0.5 to 1.0
-            
-            // Only draw if within the Milky Way band
-            if (dustY >= centerY - bandHeight/2 && dustY <= centerY + bandHeight/2) {
-                // Draw smaller, more varied dust particles
-                const particleSize = Math.max(2, dustSize * 8); // 2-10px particles
-                ctx.fillRect(dustX, dustY, particleSize, particleSize);
-                
-                // Draw wrapped version for seamless scrolling
-                if (dustX < this.width) {
-                    ctx.fillRect(dustX + this.width, dustY, particleSize, particleSize);
-                } else {
-                    ctx.fillRect(dustX - this.width, dustY, particleSize, particleSize);
-                }
-            }
-        }
+        // An action that clashes and was already using the input swaps to the one replaced
+        Object.keys(REBINDABLE_ACTIONS).forEach(other => {
+            const otherList = this.bindings[other][device];
+            if (other === action || !InputManager.canClash(action, other) || !otherList.includes(input)) return;
+            this.bindings[other][device] = previous === undefined || otherList.includes(previous)
+                ? otherList.filter(entry => entry !== input)
+                : otherList.map(entry => entry === input ? previous : entry);
+        });
+        this.capture = null;
+        this.consumePressed(); // The button that was bound shouldn't also confirm
+        this.save();
+        console.log(`Bound ${action} to ${device === 'keys' ? input : 'button ' + input}`);
     }
     
-    simpleNoise(x) {
-        // Simple pseudo-random noise function using trigonometric approach
-        return Math.sin(x * 12.9898) * Math.cos(x * 78.233) * 43758.5453 % 1;
+    static canClash(action, other) {
+        const menuOnly = name => MENU_ACTIONS.includes(name);
+        return !(menuOnly(action) && PLAYER_ACTIONS.includes(other)) && !(menuOnly(other) && PLAYER_ACTIONS.includes(action));
+    }
+    
+    // Short names for on-screen prompts, e.g. "Space", "R", "Esc"
+    static getKeyName(code) {
+        const names = { Escape: 'Esc', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', ShiftLeft: 'Shift', ShiftRight: 'Shift' };
+        return names[code] || code.replace(/^(Key|Digit)/, '');
+    }
+    
+    static getButtonName(index) {
+        const names = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', 'D-Up', 'D-Down', 'D-Left', 'D-Right'];
+        return names[index] || `Button ${index}`;
+    }
+    
+    getKeyLabel(action) {
+        const code = this.bindings[action].keys[0];
+        return code ? InputManager.getKeyName(code) : '-';
+    }
+    
+    getButtonLabel(action) {
+        const index = this.bindings[action].buttons[0];
+        return index !== undefined ? InputManager.getButtonName(index) : '-';
     }
 }
 
-// Menu State
-class MenuState extends GameState {
+// On-screen controls for phones and tablets. Nothing is drawn until the first
+// touch, then gameplay gets a floating joystick on the left half of the canvas
+// and action buttons on the right. Every finger is tracked by its pointer id,
+// so the stick and buttons can be held together. On other screens a touch is a
+// tap, which the current state turns into a press (see GameState.getTapAction).
+class TouchControls {
     constructor(game) {
-        super(game);
-        this.selectedOption = 0;
-        this.options = ['Play Game', 'Settings', 'High Score'];
-        this.keyCooldown = 0;
-        this.cooldownTime = 200; // 0.2 seconds in milliseconds
-        this.enterCooldown = 0; // Will be set in enter() method
-        
-        // Add controller test option if controller is connected
-        if (this.game.controllerConnected) {
-            this.options.push('Controller Test');
-        }
+        this.game = game;
+        this.enabled = false; // Set by the first touch
+        this.pointers = {}; // pointer id -> 'stick' or the action of the button it holds
+        this.stick = null; // { id, originX, originY, x, y } while a finger is on the stick
+        this.stickRadius = 70;
+        this.taps = []; // Canvas points tapped since InputManager last looked
+        
+        const { width, height } = game;
+        this.buttons = [
+            { action: 'fire', label: 'FIRE', x: width - 90, y: height - 90, radius: 45 },
+            { action: 'rocket', label: 'ROCKET', x: width - 200, y: height - 60, radius: 32 },
+            { action: 'turbo', label: 'TURBO', x: width - 60, y: height - 200, radius: 32 },
+            { action: 'cloak', label: 'CLOAK', x: width - 170, y: height - 160, radius: 32 },
+            { action: 'pause', label: 'II', x: width - 40, y: 100, radius: 24 }
+        ];
     }
     
-    enter() {
-        // Reset menu selection
-        this.selectedOption = 0;
-        this.keyCooldown = 0;
-        // Add a brief cooldown when entering to prevent immediate key press
-        this.enterCooldown = 300; // 0.3 seconds to prevent accidental selection
+    bindEvents(canvas) {
+        // Only touches are handled here - a mouse keeps working the keyboard way
+        const handle = (e, callback) => {
+            if (e.pointerType !== 'touch') return;
+            e.preventDefault();
+            callback.call(this, e.pointerId, this.toCanvas(canvas, e));
+        };
+        canvas.addEventListener('pointerdown', (e) => handle(e, this.onDown));
+        canvas.addEventListener('pointermove', (e) => handle(e, this.onMove));
+        canvas.addEventListener('pointerup', (e) => handle(e, this.onUp));
+        canvas.addEventListener('pointercancel', (e) => handle(e, this.onUp));
     }
     
-    update(deltaTime) {
-        // Update key cooldown
-        if (this.keyCooldown > 0) {
-            this.keyCooldown -= deltaTime;
-        }
-        // Update enter cooldown
-        if (this.enterCooldown > 0) {
-            this.enterCooldown -= deltaTime;
-        }
+    toCanvas(canvas, e) {
+        // The canvas is scaled to the window, so map back to logical units
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.game.width / rect.width,
+            y: (e.clientY - rect.top) * this.game.height / rect.height
+        };
     }
     
-    handleInput(keys) {
-        // Keyboard navigation
-        if (keys['ArrowUp'] && this.keyCooldown <= 0) {
-            this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
-        }
-        if (keys['ArrowDown'] && this.keyCooldown <= 0) {
-            this.selectedOption = (this.selectedOption + 1) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
-        }
-        if ((keys['Enter'] || keys['Space']) && this.enterCooldown <= 0) {
-            this.selectOption();
+    isActive() {
+        // The stick and buttons only exist while flying
+        return this.enabled && this.game.currentState === this.game.states.gameplay;
+    }
+    
+    onDown(id, point) {
+        this.enabled = true;
+        audioManager.unlock();
+        if (!this.isActive()) {
+            this.taps.push(point);
+            return;
         }
         
-        // Controller navigation (now using standard arrow keys)
-        if ((keys['Enter'] || keys['Space'] || keys['ControllerSpace']) && this.enterCooldown <= 0) {
-            this.selectOption();
+        const button = this.buttons.find(button => Math.hypot(point.x - button.x, point.y - button.y) <= button.radius);
+        if (button) {
+            this.pointers[id] = button.action;
+        } else if (point.x < this.game.width / 2 && !this.stick) {
+            // The stick is centred wherever the thumb lands
+            this.pointers[id] = 'stick';
+            this.stick = { id, originX: point.x, originY: point.y, x: point.x, y: point.y };
         }
     }
     
-    selectOption() {
-        switch (this.selectedOption) {
-            case 0: // Play Game
-                this.game.changeState('gameplay');
-                break;
-            case 1: // Settings
-                this.game.changeState('settings');
-                break;
-            case 2: // High Score
-                this.game.changeState('highscore');
-                break;
-            case 3: // Controller Test (only available when controller connected)
-                if (this.game.controllerConnected) {
-                    this.game.changeState('controllerTest');
-                }
-                break;
+    onMove(id, point) {
+        if (this.stick && this.stick.id === id) {
+            this.stick.x = point.x;
+            this.stick.y = point.y;
+        }
+    }
+    
+    onUp(id) {
+        if (this.stick && this.stick.id === id) {
+            this.stick = null;
         }
+        delete this.pointers[id];
+    }
+    
+    releaseAll() {
+        this.pointers = {};
+        this.stick = null;
+    }
+    
+    isDown(action) {
+        return this.isActive() && Object.values(this.pointers).includes(action);
+    }
+    
+    getStickPad() {
+        // The joystick reads like a gamepad with only a left stick, each axis -1..1
+        if (!this.isActive() || !this.stick) return null;
+        const dx = (this.stick.x - this.stick.originX) / this.stickRadius;
+        const dy = (this.stick.y - this.stick.originY) / this.stickRadius;
+        const length = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+        return { axes: [dx / length, dy / length] };
+    }
+    
+    takeTaps() {
+        const taps = this.taps;
+        this.taps = [];
+        return taps;
     }
     
     render(ctx) {
-        // Clear canvas
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
-        
-        // Draw Milky Way background first (behind everything)
-        this.game.drawMilkyWay(ctx);
-        
-        // Draw stars background
-        RenderUtils.drawStars(ctx, this.game.width, this.game.height);
-        
-        // Draw title
-        ctx.fillStyle = '#fff';
-        ctx.font = '48px monospace';
+        ctx.save();
+        ctx.lineWidth = 2;
         ctx.textAlign = 'center';
-        ctx.fillText('Project Panther', this.game.width / 2, 150);
-        
-        // Draw subtitle
-        ctx.font = '24px monospace';
-        ctx.fillText('js13k 2025 Entry', this.game.width / 2, 200);
+        ctx.font = '12px monospace';
         
-        // Draw menu options
-        ctx.font = '20px monospace';
-        for (let i = 0; i < this.options.length; i++) {
-            if (i === this.selectedOption) {
-                ctx.fillStyle = '#00ffff';
-                ctx.fillText('> ' + this.options[i], this.game.width / 2, 300 + i * 40);
-            } else {
-                ctx.fillStyle = '#fff';
-                ctx.fillText(this.options[i], this.game.width / 2, 300 + i * 40);
-            }
-        }
+        // Joystick - a faint hint until a thumb is on it
+        const pad = this.getStickPad();
+        const stick = this.stick || { originX: 120, originY: this.game.height - 120 };
+        ctx.globalAlpha = this.stick ? 0.5 : 0.2;
+        ctx.strokeStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(stick.originX, stick.originY, this.stickRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#00ffff';
+        ctx.beginPath();
+        ctx.arc(
+            stick.originX + (pad ? pad.axes[0] * this.stickRadius : 0),
+            stick.originY + (pad ? pad.axes[1] * this.stickRadius : 0),
+            28, 0, Math.PI * 2
+        );
+        ctx.fill();
         
-        // Draw instructions
-        ctx.fillStyle = '#888';
-        ctx.font = '16px monospace';
-        ctx.fillText('Use Arrow Keys to navigate, Enter to select', this.game.width / 2, 500);
+        // Buttons light up while held
+        this.buttons.forEach(button => {
+            const held = this.isDown(button.action);
+            ctx.globalAlpha = held ? 0.6 : 0.3;
+            ctx.fillStyle = held ? '#00ffff' : '#333';
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.globalAlpha = 0.8;
+            ctx.fillStyle = '#fff';
+            ctx.fillText(button.label, button.x, button.y + 4);
+        });
         
-        // Draw controller instructions if controller is connected
-        if (this.game.controllerConnected) {
-            ctx.fillText('Controller: A=Select, B=Back, Start=Pause', this.game.width / 2, 520);
-        }
+        ctx.restore();
     }
 }
 
-// Gameplay State (contains the original game logic)
-class GameplayState extends GameState {
-    constructor(game) {
-        super(game);
-        this.gameOver = false;
-        this.levelComplete = false;
-        this.levelObjectives = {};
-        this.currentLevelData = null;
+// Main Game class with state management
+class Game {
+    // options.headless runs the simulation only: no canvas, input events, gamepads or
+    // animation loop. The caller advances it with update(deltaTime) (see simulate.js).
+    constructor(options = {}) {
+        this.headless = options.headless || false;
+        if (this.headless) {
+            this.canvas = null;
+            this.ctx = null;
+            this.width = options.width || 800;
+            this.height = options.height || 600;
+        } else {
+            this.canvas = document.getElementById('gameCanvas');
+            this.ctx = this.canvas.getContext('2d');
+            // Logical resolution from index.html - everything is positioned in these
+            // units, and resize() scales the canvas to fit the window
+            this.width = this.canvas.width;
+            this.height = this.canvas.height;
+        }
+        this.pixelRatio = 1; // devicePixelRatio the canvas was last sized for
         
-        // Dev control cooldowns
-        this.devCooldowns = {
-            metal: 0,
-            turbo: 0,
-            levelNav: 0
-        };
-    }
-    
-    enter() {
-        // Initialize gameplay if first time
-        if (!this.game.player) {
-            this.initGameplay();
-        }
-        // If returning from pause or shop, resume without resetting
-        if (this.game.previousStateName === 'pause' || this.game.previousStateName === 'shop') {
-            return;
-        }
-
-        // Starting a new run: reset game state
-        this.gameOver = false;
-        this.levelComplete = false;
-        this.game.gameData.lives = 3;
-        this.game.gameData.score = 0;
-        this.game.gameData.level = 1;
-
-        // Clear arrays
-        this.game.bullets = [];
-        this.game.enemies = [];
-        this.game.particles = [];
-        this.game.metal = [];
-        
-        // Reset timers
-        this.game.enemySpawnTimer = 0;
-        this.game.starSpawnTimer = 0;
-
-        // Reset player shield and turbo when starting new game
-        if (this.game.player) {
-            this.game.player.shieldLevel = this.game.player.maxShieldLevel;
-            this.game.player.shieldRechargeTimer = 0;
-            this.game.player.turboLevel = 0;
-            this.game.player.turboCharge = 0;
-            this.game.player.turboActive = false;
-            this.game.player.cloakLevel = 0;
-            this.game.player.cloakTimer = 0;
-            this.game.player.isCloaked = false;
-            this.game.player.isHit = false;
-            this.game.player.hitTimer = 0;
-            this.game.player.blinkTimer = 0;
-            this.game.player.isVisible = true;
-        }
-
-        this.setupLevel(this.game.gameData.level);
-    }
-
-    setupLevel(level) {
-        this.currentLevelData = this.getLevelData(level);
-        this.levelObjectives = { ...this.currentLevelData.objectives };
-        
-        // Reset spawn counters
-        this.spawnCounts = {
-            asteroids: 0,
-            mice: 0,
-            shops: 0,
-            snakes: 0,
-            birds: 0,
-            ratboss: 0
+        // State management
+        this.states = {};
+        this.currentState = null;
+        this.previousStateName = null; // Simple tracking of where we came from
+        
+        // Game data (shared across states)
+        this.gameData = {
+            score: 0,
+            lives: 3,
+            level: 1,
+            highScore: 0,
+            metal: 0, // Metal collected from asteroids
+            shopVisited: false, // Track if shop has been visited
+            turboMultiplier: 1 // Global speed multiplier for turbo effect
         };
         
-        // Reset enemy pool for new level
-        this.enemyPool = null;
-        
-        console.log(`Level ${level}: ${this.currentLevelData.description}`);
-    }
-    
-    getLevelData(level) {
-                 const levels = {
-            1: {
-                 description: "Survive 50 asteroids",
-                 objectives: { asteroids: 50 },
-                 spawnRules: { asteroids: true, mice: false, shops: false },
-                 maxEnemies: 8
-             },
-            2: {
-                 description: "Survive 50 asteroids and 15 mice",
-                 objectives: { asteroids: 50, mice: 15 },
-                 spawnRules: { asteroids: true, mice: true, shops: false },
-                 maxEnemies: 10
-             },
-            3: {
-                description: "Collect the floating shop",
-                objectives: { shops: 1 },
-                spawnRules: { asteroids: false, mice: false, shops: true },
-                maxEnemies: 1
-            },
-            4: {
-                 description: "Survive 60 asteroids and 20 mice",
-                 objectives: { asteroids: 60, mice: 20 },
-                 spawnRules: { asteroids: true, mice: true, shops: false },
-                 maxEnemies: 12
-             },
-            5: {
-                 description: "Survive 70 asteroids, 25 mice, and 10 snakes",
-                 objectives: { asteroids: 70, mice: 25, snakes: 10 },
-                 spawnRules: { asteroids: true, mice: true, snakes: true, shops: false },
-                 maxEnemies: 15
-             },
-            6: {
-                 description: "Collect the floating shop",
-                 objectives: { shops: 1 },
-                 spawnRules: { asteroids: false, mice: false, shops: true },
-                 maxEnemies: 1
-             },
-            7: {
-                 description: "Survive 80 asteroids, 30 mice, and 10 snakes",
-                 objectives: { asteroids: 80, mice: 30, snakes: 10 },
-                 spawnRules: { asteroids: true, mice: true, snakes: true, shops: false },
-                 maxEnemies: 18
-             },
-            8: {
-                 description: "Survive 90 asteroids, 35 mice, 15 snakes, and 5 birds",
-                 objectives: { asteroids: 90, mice: 35, snakes: 15, birds: 5 },
-                 spawnRules: { asteroids: true, mice: true, snakes: true, birds: true, shops: false },
-                 maxEnemies: 20
-             },
-             9: {
-                description: "Collect the floating shop",
-                objectives: { shops: 1 },
-                spawnRules: { asteroids: false, mice: false, shops: true },
-                maxEnemies: 1
-            },
-            10: {
-                description: "First Boss Battle",
-                objectives: { ratboss: 1 },
-                spawnRules: { asteroids: false, mice: false, shops: false, ratboss: true },
-                maxEnemies: 10
-            }
-         };
-        
-        return levels[level] || levels[1];
-    }
-    
-    initGameplay() {
-        // Create initial stars
-        for (let i = 0; i < 50; i++) {
-            const star = new Star(
-                Math.random() * this.game.width,
-                Math.random() * this.game.height,
-                Math.random() * 3 + 1
-            );
-            star.game = this.game; // Set the game reference
-            this.game.stars.push(star);
-        }
+        // Game objects (for gameplay state)
+        this.player = null; // Player one - the shop, saves and HUD default to this ship
+        this.players = []; // Every ship in the run, player one first
+        this.coop = false; // Two-player run, picked from the main menu
+        this.shopper = null; // Ship that docked with the shop - gets what is bought
+        this.bullets = [];
+        this.enemies = [];
+        this.stars = [];
+        this.particles = [];
+        this.metal = [];
+        this.proximityBombs = [];
+        this.enemyProjectiles = [];
         
-        // Create player - positioned on left side for side-scroller
-        this.game.player = new Player(100, this.game.height / 2, this.game);
-    }
-    
-    update(deltaTime) {
-    if (this.gameOver || this.levelComplete) return;
+        this.keys = {}; // Raw keyboard state by event.code - read through this.input
+        this.lastTime = null; // Set on the first animation frame
         
-        // Update dev control cooldowns
-        Object.keys(this.devCooldowns).forEach(key => {
-            if (this.devCooldowns[key] > 0) {
-                this.devCooldowns[key] -= deltaTime;
-            }
-        });
+        // Fixed-timestep simulation - updates always advance by fixedStep so
+        // movement and collisions don't depend on the display refresh rate
+        this.fixedStep = 1000 / 120;
+        this.maxStepsPerFrame = 12; // Catch up at most 100ms per frame, drop the rest
+        this.accumulator = 0;
+        this.renderAlpha = 1; // How far between the last two updates we are drawing (0..1)
+        this.enemySpawnTimer = 0;
         
-        // Update player
-        this.game.player.update(deltaTime, this.game.keys, this.game.height);
+        // Seeded randomness - gameplay and cosmetic streams are kept apart so
+        // particles and screen shake never change enemy layouts or drops
+        this.seed = 0;
+        this.nextSeed = this.headless ? null : this.getSeedFromUrl(); // Seed for the next run, null = pick one
+        this.rng = new Random();
+        this.cosmeticRng = new Random();
         
-        // Update bullets
-        this.game.bullets = this.game.bullets.filter(bullet => {
-            bullet.update(deltaTime);
-            
-            // Remove bullets that go off right side
-            if (bullet.x > this.game.width + 10) {
-                return false;
-            }
-            
-            // Remove rockets that have exceeded their lifetime
-            if (bullet instanceof Rocket && bullet.age >= bullet.lifetime) {
-                return false;
-            }
-            
-            return true;
-        });
+        // Input recording and playback of runs
+        this.replay = new ReplayManager(this);
         
-        // Update enemies (separate update and filtering to avoid array modification issues)
-        this.game.enemies.forEach(enemy => {
-            enemy.update(deltaTime);
-        });
+        // Mid-run save slots
+        this.saves = new SaveManager(this);
         
-        // Then filter enemies
-        this.game.enemies = this.game.enemies.filter(enemy => {
-            // Remove enemies that go off left side or defeated rat bosses
-            if (enemy instanceof RatBoss && enemy.phase === 'defeated' && enemy.defeatTimer <= 0) {
-                return false; // Remove defeated rat boss
-            }
-            return enemy.x > -50; // Remove enemies that go off left side
-        });
+        // Player options from the settings screen
+        this.settings = new Settings(this);
         
-        // Update proximity bombs
-        this.game.proximityBombs = this.game.proximityBombs.filter(bomb => {
-            bomb.update(deltaTime);
-            return !bomb.exploded;
-        });
+        // Action layer over keyboard and gamepad
+        this.input = new InputManager(this);
         
-        // Update stars
-        this.game.stars.forEach(star => star.update(deltaTime));
+        // On-screen joystick and buttons, shown once the screen is touched
+        this.touch = new TouchControls(this);
         
-        // Update particles
-        this.game.particles = this.game.particles.filter(particle => {
-            particle.update(deltaTime);
-            return particle.life > 0;
-        });
+        // Background music - picked per state in updateMusic()
+        this.music = new MusicPlayer(audioManager);
+        this.starSpawnTimer = 0;
         
-        // Update metal drops
-        this.game.metal = this.game.metal.filter(metal => {
-            metal.update(deltaTime);
-            // Remove if collected or drifted too far off-screen
-            return !metal.collected && metal.x > -100;
-        });
+        // Controller support
+        this.controllers = [];
+        this.controllerConnected = false;
         
-        // Spawn enemies based on level rules
-        this.spawnEnemies(deltaTime);
+        // Frame rate tracking
+        this.frameCount = 0;
+        this.fps = 0;
+        this.fpsTimer = 0;
         
-        // Check collisions
-        this.checkCollisions();
+        // Screen shake system
+        this.screenShake = {
+            intensity: 0,
+            duration: 0,
+            maxIntensity: 100, // Increased from 10 to allow much bigger shakes
+            decayRate: 0.9    // Slower decay for longer-lasting shakes
+        };
         
-        // UI is now rendered on canvas
-        // Check level completion
-        this.checkLevelCompletion();
+        this.init();
     }
-
-    spawnEnemies(deltaTime) {
-        if (!this.currentLevelData) return;
-        
-        // Initialize enemy pool if not done yet
-        if (!this.enemyPool) {
-            this.createEnemyPool();
+    
+    init() {
+        this.setupStates();
+        if (!this.headless) {
+            this.bindEvents();
+            this.checkExistingControllers();
+            this.resize();
         }
-        
-        // Only spawn if we have enemies in the pool and haven't reached screen limit
-        if (this.enemyPool.length > 0 && this.game.enemies.length < this.currentLevelData.maxEnemies) {
-            this.game.enemySpawnTimer += deltaTime;
-            
-            // Spawn enemies gradually (every 800ms instead of 1000ms for more action)
-            if (this.game.enemySpawnTimer > 800) {
-                this.spawnRandomEnemy();
-                this.game.enemySpawnTimer = 0;
-            }
+        this.changeState('menu');
+        if (!this.headless) {
+            requestAnimationFrame((time) => this.gameLoop(time));
         }
     }
     
-    createEnemyPool() {
-        this.enemyPool = [];
-        const rules = this.currentLevelData.spawnRules;
-        const objectives = this.levelObjectives;
-        
-        // Create a mixed pool of enemies based on level rules
-        if (rules.asteroids && objectives.asteroids) {
-            for (let i = 0; i < objectives.asteroids; i++) {
-                this.enemyPool.push({ type: 'asteroid', priority: Math.random() });
+    getSeedFromUrl() {
+        // Allow ?seed=1234 to start the first run from a known seed
+        const seed = parseInt(new URLSearchParams(window.location.search).get('seed'), 10);
+        return isNaN(seed) ? null : seed;
+    }
+    
+    startRun() {
+        // Seed both random streams for a new run, using the requested seed if there is one
+        this.seed = this.nextSeed !== null ? this.nextSeed >>> 0 : Math.floor(Math.random() * 4294967296);
+        this.nextSeed = null;
+        this.rng.setSeed(this.seed);
+        this.cosmeticRng.setSeed(this.seed ^ 0x9E3779B9);
+        console.log(`Starting run with seed ${this.seed}`);
+    }
+    
+    playSeed(seed) {
+        // Start a fresh run from the given seed
+        this.nextSeed = seed;
+        this.changeState('gameplay');
+    }
+    
+    getActivePlayers() {
+        // Ships still flying - a co-op player out of split lives drops out
+        return this.players.filter(player => !player.out);
+    }
+    
+    getNearestPlayer(x, y, ignoreCloaked = false) {
+        // Used by anything that homes in on or reacts to the players
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const player of this.getActivePlayers()) {
+            if (ignoreCloaked && player.isCloaked) continue;
+            const dx = player.x - x;
+            const dy = player.y - y;
+            const distance = dx * dx + dy * dy;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = player;
             }
         }
-        
-        if (rules.mice && objectives.mice) {
-            for (let i = 0; i < objectives.mice; i++) {
-                this.enemyPool.push({ type: 'mouse', priority: Math.random() });
+        return nearest;
+    }
+    
+    checkExistingControllers() {
+        // Check if any controllers are already connected
+        const gamepads = navigator.getGamepads();
+        for (let i = 0; i < gamepads.length; i++) {
+            if (gamepads[i]) {
+                this.controllers[i] = gamepads[i];
             }
         }
+        const gamepad = this.controllers.find(controller => controller);
+        if (!gamepad) return;
         
-        if (rules.shops && objectives.shops) {
-            for (let i = 0; i < objectives.shops; i++) {
-                this.enemyPool.push({ type: 'shop', priority: Math.random() });
-            }
-        }
+        this.controllerConnected = true;
         
-        if (rules.snakes && objectives.snakes) {
-            for (let i = 0; i < objectives.snakes; i++) {
-                this.enemyPool.push({ type: 'snake', priority: Math.random() });
-            }
+        // Store initial button states for existing controllers too
+        this.initialButtonStates = {};
+        for (let j = 0; j < gamepad.buttons.length; j++) {
+            this.initialButtonStates[j] = gamepad.buttons[j]?.pressed || false;
         }
         
-        if (rules.birds && objectives.birds) {
-            for (let i = 0; i < objectives.birds; i++) {
-                this.enemyPool.push({ type: 'bird', priority: Math.random() });
+    }
+    
+    setupStates() {
+        // Create all game states
+        this.states = {
+            menu: new MenuState(this),
+            gameplay: new GameplayState(this),
+            pause: new PauseState(this),
+            gameOver: new GameOverState(this),
+            win: new WinState(this),
+            settings: new SettingsState(this),
+            highscore: new HighScoreState(this),
+            shop: new ShopState(this),
+            controllerTest: new ControllerTestState(this),
+            controls: new ControlsState(this)
+        };
+    }
+    
+    changeState(stateName) {
+        if (this.currentState) {
+            this.currentState.exit();
+            // Store the current state name as previous
+            for (let [name, state] of Object.entries(this.states)) {
+                if (state === this.currentState) {
+                    this.previousStateName = name;
+                    break;
+                }
             }
         }
         
-        if (rules.ratboss && objectives.ratboss) {
-            for (let i = 0; i < objectives.ratboss; i++) {
-                this.enemyPool.push({ type: 'ratboss', priority: Math.random() });
-            }
-        }
+        // The press that changed screen shouldn't carry over into the next one
+        this.input.consumePressed();
         
-        // Sort by priority to create varied spawning order
-        this.enemyPool.sort((a, b) => a.priority - b.priority);
+        this.currentState = this.states[stateName];
+        if (this.currentState) {
+            this.currentState.enter();
+        } else {
+            console.error('Failed to change state to:', stateName);
+        }
         
-        console.log(`Created enemy pool: ${this.enemyPool.length} enemies for level ${this.game.gameData.level}`);
+        this.updateMusic();
     }
     
-    spawnRandomEnemy() {
-        if (this.enemyPool.length === 0) return;
-        
-        // Take the next enemy from the pool
-        const enemyData = this.enemyPool.shift();
-        this.spawnEnemy(enemyData.type);
-        
-        // Add some randomness to spawn timing for more organic feel
-        this.game.enemySpawnTimer += (Math.random() - 0.5) * 200;
+    updateMusic() {
+        // Menus share a track, runs have their own, and the Rat Boss brings its own
+        const state = this.currentState;
+        if (state === this.states.gameOver) {
+            this.music.play(null);
+        } else if (state === this.states.gameplay || state === this.states.pause || state === this.states.shop) {
+            const boss = this.enemies.find(enemy => enemy instanceof RatBoss && enemy.phase !== 'defeated');
+            this.music.play(boss ? 'boss' : 'gameplay');
+            this.music.setIntensity(boss && boss.phase !== 'entering' ? 1 : 0);
+        } else {
+            this.music.play('menu');
+        }
     }
     
-    spawnEnemy(type) {
-        const y = Math.random() * (this.game.height - 40);
-        let enemy;
-        
-        switch (type) {
-            case 'asteroid':
-                enemy = new Enemy(this.game.width + 50, y, this.game.gameData.level, 0);
-                this.spawnCounts.asteroids++;
-                break;
-            case 'mouse':
-                enemy = new Enemy(this.game.width + 50, y, this.game.gameData.level, 1);
-                this.spawnCounts.mice++;
-                break;
-            case 'shop':
-                enemy = new Enemy(this.game.width + 50, y, this.game.gameData.level, 2);
-                this.spawnCounts.shops++;
-                break;
-            case 'snake':
-                enemy = new Enemy(this.game.width + 50, y, this.game.gameData.level, 3);
-                this.spawnCounts.snakes++;
-                break;
-            case 'bird':
-                enemy = new Enemy(this.game.width + 50, y, this.game.gameData.level, 4);
-                this.spawnCounts.birds++;
-                break;
-            case 'ratboss':
-                enemy = new RatBoss(this.game.width + 50, y, this.game);
-                this.spawnCounts.ratboss++;
-                break;
-        }
-        
-        if (enemy) {
-            enemy.game = this.game;
-            // Set proper dimensions and placement for shop
-            if (type === 'shop') {
-                const shopHeight = this.game.height / 4;
-                const shopWidth = shopHeight * 1.5;
-                enemy.width = shopWidth;
-                enemy.height = shopHeight;
-                enemy.speed = 60; // slow float
-                // Center vertically so it looks intentional
-                enemy.y = (this.game.height - enemy.height) / 2;
-            }
-            this.game.enemies.push(enemy);
+    goBack() {
+        // Hard-coded navigation based on current state
+        if (this.currentState === this.states.settings) {
+            this.changeState('menu'); // Settings always goes back to main menu
+        } else if (this.currentState === this.states.controls) {
+            this.changeState('settings'); // Controls is a page of settings
+        } else if (this.currentState === this.states.shop) {
+            this.changeState('gameplay'); // Shop always goes back to gameplay
+        } else if (this.currentState === this.states.pause) {
+            this.changeState('gameplay'); // Pause goes back to gameplay
+        } else if (this.currentState === this.states.gameOver) {
+            this.changeState('menu'); // Game over always goes back to main menu
+        } else if (this.currentState === this.states.win) {
+            this.changeState('menu'); // Win state goes back to main menu
         }
+        // If we're in gameplay or menu, goBack does nothing
     }
     
-    checkLevelCompletion() {
-        if (!this.currentLevelData) return;
-        
-        let allComplete = true;
-        for (const [type, required] of Object.entries(this.levelObjectives)) {
-            if (this.spawnCounts[type] < required) {
-                allComplete = false;
-                break;
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            audioManager.unlock();
+            
+            // A key pressed on the controls screen becomes a binding, not input
+            if (this.input.captureKey(e.code, e.repeat)) {
+                e.preventDefault();
+                return;
             }
-        }
-        // Check if any enemies are still on screen
-        const enemiesOnScreen = this.game.enemies.some(enemy => enemy.x > -50);
-        
-        // Check if any metal drops are still on screen
-        const metalOnScreen = this.game.metal.some(metal => metal.x > -20);
-
-        if (allComplete && !enemiesOnScreen && !metalOnScreen) {
-            this.levelComplete = true;
-            this.completeLevel();
-        }
-    }
-    
-    completeLevel() {
-        console.log(`Level ${this.game.gameData.level} Complete!`);
-        this.game.gameData.score += 1000; // Bonus for completing level
-        
-        // Check if this was the final level (level 10)
-        if (this.game.gameData.level >= 10) {
-            // Game completed! Show win screen
-            setTimeout(() => {
-                this.game.changeState('win');
-            }, 2000);
-        } else {
-            // Wait a moment then advance to next level
-            setTimeout(() => {
-                this.game.gameData.level++;
-                this.setupLevel(this.game.gameData.level);
-                this.levelComplete = false;
-                
-                // Clear existing enemies and reset spawn counts
-                this.game.enemies = [];
-                this.game.particles = [];
-                this.game.metal = [];
-                this.spawnCounts = { asteroids: 0, mice: 0, shops: 0, snakes: 0, birds: 0, ratboss: 0 };
-                
-                // Reset shop visited flag for new level
-                this.game.gameData.shopVisited = false;
-            }, 2000);
-        }
-    }
-    
-    checkCollisions() {
-        // Bullet vs Enemy
-        this.game.bullets.forEach((bullet, bulletIndex) => {
-            this.game.enemies.forEach((enemy, enemyIndex) => {
-                if (this.checkCollision(bullet, enemy)) {
-                    // Shop is not destroyable by bullets
-                    if (enemy.enemyType === 2) {
-                        return;
-                    }
-                    
-                    // Check if it's a rat boss
-                    if (enemy instanceof RatBoss) {
-                        enemy.takeDamage(1);
-                        this.game.bullets.splice(bulletIndex, 1);
-                        this.game.gameData.score += 50; // Less points per hit for boss
-                        return; // Don't destroy boss, just damage it
-                    }
-                    
-                    // Handle rocket collisions differently
-                    if (bullet instanceof Rocket) {
-                        // Rockets explode on impact and destroy the enemy
-                        this.game.bullets.splice(bulletIndex, 1);
-                        this.game.enemies.splice(enemyIndex, 1);
-                        this.game.gameData.score += 100;
-                        
-                        // Play enemy destruction sound
-                        audioManager.playSound(enemyDestroySound);
-                        
-                        // Create rocket explosion (bigger than normal bullet)
-                        this.createRocketExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
-                        
-                        // Create metal drop (mice drop 3, others drop 1)
-                        this.createMetalDrop(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.enemyType);
-                        
-                        console.log('Rocket destroyed enemy!');
-                        return;
-                    }
-                    
-                    // Regular bullet collision
-                    this.game.bullets.splice(bulletIndex, 1);
-                    this.game.enemies.splice(enemyIndex, 1);
-                    this.game.gameData.score += 100;
-                    
-                    // Play enemy destruction sound
-                    audioManager.playSound(enemyDestroySound);
-                    
-                    this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
-                    
-                    // Create metal drop (mice drop 3, others drop 1)
-                    this.createMetalDrop(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, enemy.enemyType);
-                }
-            });
+            this.keys[e.code] = true;
         });
         
-                // Player vs Enemy
-        this.game.enemies.forEach((enemy, index) => {
-            if (this.checkCollision(this.game.player, enemy)) {
-                // Colliding with the shop opens the shop instead of damaging the player
-                if (enemy.enemyType === 2) {
-                    // Only allow shop collision if not already visited
-                    if (!this.game.gameData.shopVisited) {
-                        this.game.enemies.splice(index, 1);
-                        this.game.gameData.shopVisited = true; // Mark shop as visited
-                        this.game.changeState('shop');
-                        return;
-                    } else {
-                        // Shop already visited, just remove it without opening shop
-                        this.game.enemies.splice(index, 1);
-                        return;
-                    }
-                }
-                
-                // Check if it's a rat boss
-                if (enemy instanceof RatBoss) {
-                    // Boss collision does massive damage
-                    if (this.game.player.shieldLevel > 0) {
-                        this.game.player.shieldLevel = 0; // Destroy all shields
-                        this.game.player.shieldRechargeTimer = 0;
-                    } else {
-                        this.game.gameData.lives = Math.max(0, this.game.gameData.lives - 2); // Lose 2 lives
-                    }
-                    
-                    // Trigger hit effects on player
-                    this.game.player.hit();
-                    this.game.player.decloak();
-                    this.game.triggerScreenShake(15, 500);
-                    
-                    if (this.game.gameData.lives <= 0) {
-                        this.gameOver = true;
-                        this.game.changeState('gameOver');
-                    }
-                    return; // Don't destroy boss
-                }
-                
-                this.game.enemies.splice(index, 1);
-                this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
-                
-                // Use shield first, then lives
-                if (this.game.player.shieldLevel > 0) {
-                    this.game.player.shieldLevel--;
-                    // Reset recharge timer when shield is hit
-                    this.game.player.shieldRechargeTimer = 0;
-                } else {
-                    this.game.gameData.lives--;
-                }
-                
-                // Trigger hit effects on player
-                this.game.player.hit();
-                // Decloak immediately when hit
-                this.game.player.decloak();
-                
-                // Trigger screen shake
-                this.game.triggerScreenShake(8, 300);
-                
-                if (this.game.gameData.lives <= 0) {
-                    this.gameOver = true;
-                    this.game.changeState('gameOver');
-                }
-            }
+        document.addEventListener('keyup', (e) => {
+            this.keys[e.code] = false;
         });
         
-        // Player vs Proximity Bomb
-        this.game.proximityBombs.forEach((bomb, index) => {
-            if (this.checkCollision(this.game.player, bomb) && !bomb.exploded) {
-                bomb.explode();
+        // Controller support
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log('Controller connected:', e.gamepad);
+            this.controllers[e.gamepad.index] = e.gamepad;
+            this.controllerConnected = true;
+            
+            // Store initial button states to detect stuck buttons
+            this.initialButtonStates = {};
+            for (let i = 0; i < e.gamepad.buttons.length; i++) {
+                this.initialButtonStates[i] = e.gamepad.buttons[i]?.pressed || false;
             }
+            console.log('Initial button states stored:', this.initialButtonStates);
+            
+
         });
         
-        // Player vs Bird Beam Attack
-        this.game.enemies.forEach(enemy => {
-            if (enemy.enemyType === 4 && this.game.player.isHitByBeam(enemy)) {
-                // Bird beam hits player
-                if (this.game.player.shieldLevel > 0) {
-                    this.game.player.shieldLevel--;
-                    this.game.player.shieldRechargeTimer = 0;
-                    console.log('Bird beam hit player! Shield damaged. Shields remaining:', this.game.player.shieldLevel);
-                } else {
-                    this.game.gameData.lives--;
-                    console.log('Bird beam hit player! Life lost. Lives remaining:', this.game.gameData.lives);
-                }
-                
-                // Trigger hit effects on player
-                this.game.player.hit();
-                // Decloak immediately when hit
-                this.game.player.decloak();
-                
-                // Set beam hit cooldown to prevent rapid damage
-                this.game.player.beamHitCooldown = this.game.player.beamHitCooldownTime;
-                
-                // Create beam damage particles for visual feedback
-                this.createBeamDamageEffect();
-                
-                // Trigger screen shake for beam hit
-                if (this.game.triggerScreenShake) {
-                    this.game.triggerScreenShake(12, 300);
-                }
-                
-                // Check for game over
-                if (this.game.gameData.lives <= 0) {
-                    this.game.gameOver = true;
-                    this.game.changeState('gameOver');
-                }
-            }
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log('Controller disconnected:', e.gamepad);
+            delete this.controllers[e.gamepad.index];
+            this.controllerConnected = Object.keys(this.controllers).length > 0;
+            
+            // Don't leave the ship flying with nobody at the controls
+            this.autoPause();
         });
         
-        // Player vs Rat Boss Tail Attack
-        this.game.enemies.forEach(enemy => {
-            if (enemy instanceof RatBoss && enemy.currentAttack === 'tail' && enemy.tailAttackTimer < 500) {
-                if (this.checkTailAttackCollision(this.game.player, enemy)) {
-                    // Tail attack hits player
-                    if (this.game.player.shieldLevel > 0) {
-                        this.game.player.shieldLevel--;
-                        this.game.player.shieldRechargeTimer = 0;
-                    } else {
-                        this.game.gameData.lives--;
-                    }
-                    
-                    this.game.player.hit();
-                    this.game.player.decloak();
-                    this.game.triggerScreenShake(10, 400);
-                    
-                    if (this.game.gameData.lives <= 0) {
-                        this.gameOver = true;
-                        this.game.changeState('gameOver');
-                    }
-                }
+        // Pause when the player looks away, and carry on quietly when they come back
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.onFocusLost();
+            } else {
+                this.onFocusGained();
             }
         });
+        window.addEventListener('blur', () => this.onFocusLost());
+        window.addEventListener('focus', () => this.onFocusGained());
+        
+        // Touch screens
+        this.touch.bindEvents(this.canvas);
+        
+        // Keep the canvas fitted to the window
+        window.addEventListener('resize', () => this.resize());
+        document.addEventListener('fullscreenchange', () => this.resize());
+    }
+    
+    autoPause() {
+        if (this.currentState === this.states.gameplay) {
+            this.changeState('pause');
+        }
     }
     
-    checkTailAttackCollision(player, boss) {
-        // Check if player is in the tail attack zone
-        // The tail attack creates a curved damage zone
-        const tailStartX = boss.x + boss.width;
-        const tailStartY = boss.y + boss.height * 0.5;
-        const tailEndX = tailStartX + 150;
-        const tailEndY = tailStartY + 100;
+    onFocusLost() {
+        this.autoPause();
+        audioManager.suspend();
         
-        // Simple rectangular collision check for the tail attack zone
-        return player.x < tailEndX && 
-               player.x + player.width > tailStartX &&
-               player.y < tailEndY &&
-               player.y + player.height > tailStartY - 50;
+        // Key and touch releases are missed while the page is in the background
+        this.keys = {};
+        this.touch.releaseAll();
     }
     
-    checkCollision(rect1, rect2) {
-        return rect1.x < rect2.x + rect2.width &&
-               rect1.x + rect1.width > rect2.x &&
-               rect1.y < rect2.y + rect2.height &&
-               rect1.y + rect1.height > rect2.y;
+    onFocusGained() {
+        audioManager.resume();
+        
+        // Start timing afresh instead of catching up on the time away
+        this.lastTime = null;
+        this.accumulator = 0;
     }
     
-    createExplosion(x, y) {
-        for (let i = 0; i < 12; i++) { // More particles
-            this.game.particles.push(new AsteroidExplosion(x, y, Math.random() * 360));
-        }
+    canFullscreen() {
+        // False in iframes without allowfullscreen and on browsers without the API (e.g. iPhone Safari)
+        return !this.headless && !!document.fullscreenEnabled;
+    }
+    
+    isFullscreen() {
+        return !this.headless && !!document.fullscreenElement;
+    }
+    
+    toggleFullscreen() {
+        // Browsers only allow this shortly after a key press, click or touch
+        // (a gamepad button doesn't count); resize() runs on fullscreenchange
+        if (!this.canFullscreen()) return;
+        const request = this.isFullscreen() ? document.exitFullscreen() : document.documentElement.requestFullscreen();
+        request.catch(e => console.warn('Fullscreen change refused:', e));
     }
     
-    createMetalDrop(x, y, enemyType = 0) {
-        // 70% chance to drop metal for asteroids, 100% for mice
-        const dropChance = enemyType === 1 ? 1.0 : 0.7; // Mice always drop metal
-        const dropCount = enemyType === 1 ? 3 : 1; // Mice drop 3 metal, others drop 1
+    resize() {
+        // Letterbox the logical resolution into the window, then size the backing
+        // store in device pixels so it stays sharp on high-DPI screens
+        const scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
+        const cssWidth = Math.floor(this.width * scale);
+        const cssHeight = Math.floor(this.height * scale);
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.style.marginTop = `${Math.floor((window.innerHeight - cssHeight) / 2)}px`;
+        this.canvas.width = Math.round(cssWidth * this.pixelRatio);
+        this.canvas.height = Math.round(cssHeight * this.pixelRatio);
+    }
+    
+    update(deltaTime) {
+        this.input.update();
+        
+        // Pause and resume from any device
+        if (this.input.justPressed('pause')) {
+            if (this.currentState === this.states.gameplay) {
+                this.changeState('pause');
+            } else if (this.currentState === this.states.pause) {
+                this.changeState('gameplay');
+            }
+        }
         
-        if (Math.random() < dropChance) {
-            for (let i = 0; i < dropCount; i++) {
-                // Spread metal drops slightly for mice so they don't all stack
-                const offsetX = enemyType === 1 ? (Math.random() - 0.5) * 30 : 0;
-                const offsetY = enemyType === 1 ? (Math.random() - 0.5) * 20 : 0;
-                
-                const metal = new Metal(x + offsetX, y + offsetY, this.game);
-                this.game.metal.push(metal);
+        // Record or play back input for states that affect the run
+        if (this.currentState === this.states.gameplay || this.currentState === this.states.shop) {
+            deltaTime = this.replay.processFrame(deltaTime, this.input);
+        }
+        
+        const state = this.currentState;
+        if (state) {
+            state.update(deltaTime);
+            // Don't hand this frame's input to a state that was only just entered
+            if (this.currentState === state) {
+                state.handleInput(this.input);
             }
         }
+        
+        // Update screen shake
+        this.updateScreenShake(deltaTime);
     }
     
-    createBeamDamageEffect() {
-        // Create yellow beam damage particles around the player
-        const player = this.game.player;
-        for (let i = 0; i < 8; i++) {
-            const angle = Math.random() * 0.5 + 2;
-            const speed = Math.random() * 4 + 2;
-            const x = player.x + player.width / 2;
-            const y = player.y + player.height / 2;
-            this.game.particles.push(new BeamDamageParticle(x, y, angle, speed));
+    updateControllerInput() {
+        // Get the current gamepad state (required for fresh input data)
+        const gamepads = navigator.getGamepads();
+
+        // Keep every connected pad at its own index - InputManager reads their buttons
+        // and sticks, and in co-op the last one flies player two
+        for (let i = 0; i < gamepads.length; i++) {
+            if (gamepads[i]) {
+                this.controllers[i] = gamepads[i];
+            } else {
+                delete this.controllers[i];
+            }
         }
     }
     
-    createRocketExplosion(x, y) {
-        // Create a bigger explosion for rockets
-        for (let i = 0; i < 25; i++) { // More particles than normal explosion
-            const angle = Math.random() * 360;
-            const speed = Math.random() * 6 + 4; // Faster particles
-            this.game.particles.push(new RocketExplosionParticle(x, y, angle, speed));
-        }
-        
-        // Trigger screen shake for rocket explosion
-        if (this.game.triggerScreenShake) {
-            this.game.triggerScreenShake(8, 200);
+    triggerScreenShake(intensity = 100, duration = 400) {
+        intensity *= this.settings.screenShake;
+        this.screenShake.intensity = Math.min(intensity, this.screenShake.maxIntensity);
+        this.screenShake.duration = duration;
+    }
+    
+    updateScreenShake(deltaTime) {
+        if (this.screenShake.duration > 0) {
+            this.screenShake.duration -= deltaTime;
+            // decayRate is per 60Hz frame, scale it to the step length
+            this.screenShake.intensity *= Math.pow(this.screenShake.decayRate, deltaTime / (1000 / 60));
+            
+            // Stop shake completely when intensity gets very low or duration expires
+            if (this.screenShake.intensity < 0.5 || this.screenShake.duration <= 0) {
+                this.screenShake.intensity = 0;
+                this.screenShake.duration = 0;
+            }
         }
     }
     
-    render(ctx) {
-        // Clear canvas
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
+    getScreenShakeOffset() {
+        if (this.screenShake.intensity <= 0) return { x: 0, y: 0 };
         
-        // Draw Milky Way background first (behind everything)
-        this.game.drawMilkyWay(ctx);
+        return {
+            x: (this.cosmeticRng.next() - 0.5) * 4 * this.screenShake.intensity, // Double the range for bigger shake
+            y: (this.cosmeticRng.next() - 0.5) * 4 * this.screenShake.intensity  // Double the range for bigger shake
+        };
+    }
+    
+    render() {
+        // Draw in logical units whatever size the canvas is
+        this.ctx.setTransform(this.canvas.width / this.width, 0, 0, this.canvas.height / this.height, 0, 0);
         
-        // Draw stars
-        this.game.stars.forEach(star => star.render(ctx));
+        // Apply screen shake offset
+        const shakeOffset = this.getScreenShakeOffset();
+        this.ctx.save();
+        this.ctx.translate(shakeOffset.x, shakeOffset.y);
         
-        // Draw particles
-        this.game.particles.forEach(particle => particle.render(ctx));
+        if (this.currentState) {
+            this.currentState.render(this.ctx);
+        }
         
-        // Draw proximity bombs
-        this.game.proximityBombs.forEach(bomb => bomb.render(ctx));
+        this.ctx.restore();
         
-        // Draw metal drops
-        this.game.metal.forEach(metal => metal.render(ctx));
+        // Touch controls stay still while the screen shakes
+        if (this.touch.isActive()) {
+            this.touch.render(this.ctx);
+        }
+    }
+    
+    gameLoop(currentTime) {
+        if (this.lastTime === null) {
+            this.lastTime = currentTime;
+        }
+        const frameTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
         
-        // Draw enemies
-        this.game.enemies.forEach(enemy => enemy.render(ctx));
+        // Calculate FPS
+        this.frameCount++;
+        this.fpsTimer += frameTime;
+        if (this.fpsTimer >= 1000) { // Update FPS every second
+            this.fps = this.frameCount;
+            this.frameCount = 0;
+            this.fpsTimer = 0;
+        }
         
-        // Draw bullets
-        this.game.bullets.forEach(bullet => bullet.render(ctx));
+        // Pads only report fresh state once per animation frame, so poll them here
+        // rather than in every fixed step (headless runs set keys directly)
+        this.updateControllerInput();
+
+        // Run as many fixed steps as the elapsed time covers
+        this.accumulator += frameTime;
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep && steps < this.maxStepsPerFrame) {
+            this.update(this.fixedStep);
+            this.accumulator -= this.fixedStep;
+            steps++;
+        }
+        if (steps === this.maxStepsPerFrame) {
+            // Fell too far behind (tab switch, breakpoint) - skip ahead instead of spiralling
+            this.accumulator = 0;
+        }
         
-        // Draw proximity bombs
-        this.game.proximityBombs.forEach(bomb => bomb.render(ctx));
+        this.renderAlpha = this.accumulator / this.fixedStep;
         
-        // Draw player
-        if (this.game.player) {
-            this.game.player.render(ctx);
+        // Moving the window to another screen can change the pixel ratio without a resize event
+        if ((window.devicePixelRatio || 1) !== this.pixelRatio) {
+            this.resize();
         }
+        this.music.update();
+        this.render();
         
-        // Draw on-canvas UI
-        this.renderUI(ctx);
+        requestAnimationFrame((time) => this.gameLoop(time));
     }
     
-    renderUI(ctx) {
-        // Draw score
-        ctx.fillStyle = '#fff';
-        ctx.font = '20px monospace';
-        ctx.textAlign = 'left';
-        ctx.fillText(`Score: ${this.game.gameData.score}`, 20, 30);
+    // Shared Milky Way drawing method
+    drawMilkyWay(ctx) {
+        // Animated Milky Way with noise and detail
+        const time = Date.now() * 0.001; // Animation speed
+        const centerY = this.height * 0.5; // Center the band better
+        const bandHeight = this.height * 0.3; // 30% of screen height
         
-        // Draw lives
-        ctx.fillText(`Lives: ${this.game.gameData.lives}`, 20, 60);
+        ctx.save();
         
-        // Draw level
-        ctx.fillText(`Level: ${this.game.gameData.level}`, 20, 90);
+        // Animate the background layers
+        const offsetX = (time * 20) % this.width; // Move right to left
         
-        // Draw metal count
-        ctx.fillText(`Metal: ${this.game.gameData.metal}`, 20, 120);
+        // Draw orange stellar background
+        const stellarGradient = ctx.createLinearGradient(0, centerY - bandHeight/2, 0, centerY + bandHeight/2);
+        stellarGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        stellarGradient.addColorStop(0.2, 'rgba(80, 40, 20, 0.3)');
+        stellarGradient.addColorStop(0.4, 'rgba(120, 60, 30, 0.5)');
+        stellarGradient.addColorStop(0.6, 'rgba(160, 80, 40, 0.6)');
+        stellarGradient.addColorStop(0.8, 'rgba(120, 60, 30, 0.5)');
+        stellarGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
         
-        // Draw FPS below metal count
-        ctx.fillText(`FPS: ${this.game.fps}`, 20, 150);
+        ctx.fillStyle = stellarGradient;
+        ctx.fillRect(offsetX, centerY - bandHeight/2, this.width, bandHeight);
+        ctx.fillRect(offsetX - this.width, centerY - bandHeight/2, this.width, bandHeight);
         
-        // Draw controller status
-        if (this.game.controllerConnected) {
-            ctx.fillStyle = '#00ff00';
-            ctx.fillText('Controller Connected', 20, 180);
-            
-            // Draw controller controls
-            ctx.fillStyle = '#888';
-            ctx.font = '14px monospace';
-            ctx.fillText('Controls: A=Fire, B=Rocket, X=Turbo, Start=Pause', 20, 200);
-            
-            // Debug: Show controller input values
-            const controller = this.game.controllers[0];
-            if (controller) {
-                ctx.fillStyle = '#ffff00';
-                ctx.font = '12px monospace';
-                ctx.fillText(`Stick: ${controller.axes[0]?.toFixed(2)}, ${controller.axes[1]?.toFixed(2)}`, 20, 220);
-                ctx.fillText(`A:${controller.buttons[0]?.pressed} B:${controller.buttons[1]?.pressed} X:${controller.buttons[2]?.pressed} Y:${controller.buttons[3]?.pressed}`, 20, 235);
-                ctx.fillText(`Arrow Keys: Up:${this.game.keys['ArrowUp']} Down:${this.game.keys['ArrowDown']} Left:${this.game.keys['ArrowLeft']} Right:${this.game.keys['ArrowRight']}`, 20, 250);
-                ctx.fillText(`Actions: Fire:${this.game.keys['ControllerSpace']} Rocket:${this.game.keys['ControllerQ']} Turbo:${this.game.keys['ControllerShift']}`, 20, 265);
-            }
-        }
-        
-        // Draw cloaking bar
-        this.renderCloakingBar(ctx);
+        // Add orange noise for stellar background
+        this.addAnimatedNoise(ctx, offsetX, centerY, bandHeight, 'rgba(160, 80, 40, 0.2)', 0.4);
         
-        // Draw shield bar
-        this.renderShieldBar(ctx);
+        // Draw blue galactic plane
+        const planeGradient = ctx.createLinearGradient(0, centerY - bandHeight/2, 0, centerY + bandHeight/2);
+        planeGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        planeGradient.addColorStop(0.1, 'rgba(40, 60, 100, 0.15)');
+        planeGradient.addColorStop(0.3, 'rgba(60, 90, 140, 0.3)');
+        planeGradient.addColorStop(0.5, 'rgba(80, 120, 180, 0.4)');
+        planeGradient.addColorStop(0.7, 'rgba(60, 90, 140, 0.3)');
+        planeGradient.addColorStop(0.9, 'rgba(40, 60, 100, 0.15)');
+        planeGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
         
-        // Draw turbo bar
-        this.renderTurboBar(ctx);
+        ctx.fillStyle = planeGradient;
+        ctx.fillRect(offsetX, centerY - bandHeight/2, this.width, bandHeight);
+        ctx.fillRect(offsetX - this.width, centerY - bandHeight/2, this.width, bandHeight);
         
-        // Draw rocket cooldown bar (only if player has rockets)
-        if (this.game.player.secondaryWeaponLevel > 0) {
-            this.renderRocketCooldownBar(ctx);
-        }
-    }
-    
-    renderRocketCooldownBar(ctx) {
-        const barWidth = 120;
-        const barHeight = 15;
-        const barX = this.game.width - barWidth - 20;
-        const barY = 20;
+        // Add blue noise for galactic plane
+        this.addAnimatedNoise(ctx, offsetX, centerY, bandHeight, 'rgba(60, 90, 140, 0.1)', 0.3);
         
-        // Calculate cooldown progress
-        const cooldownProgress = this.game.player.rocketCooldown / this.game.player.rocketCooldownTime;
+        // Add animated dark dust lanes
+        this.addAnimatedDustLanes(ctx, offsetX, centerY, bandHeight);
         
-        this.renderBar(ctx, {
-            x: barX,
-            y: barY,
-            width: barWidth,
-            height: barHeight,
-            label: 'ROCKET',
-            value: 1 - cooldownProgress, // Invert so full bar means ready
-            maxValue: 1,
-            backgroundColor: '#333',
-            foregroundColor: cooldownProgress > 0 ? '#ff6600' : '#00ff00', // Orange when cooldown, green when ready
-            borderColor: '#fff',
-            textColor: '#fff',
-            showSegments: false,
-            showBorder: true,
-            showLabel: true
-        });
+        ctx.restore();
     }
     
-    renderBar(ctx, options) {
-        const {
-            x, y, width, height, label, value, maxValue = 1,
-            backgroundColor = '#333', foregroundColor = '#00ff00',
-            borderColor = '#fff', textColor = '#fff',
-            showSegments = false, segmentCount = 1,
-            showBorder = true, showLabel = true
-        } = options;
-        
-        // Draw background bar
-        ctx.fillStyle = backgroundColor;
-        ctx.fillRect(x, y, width, height);
-        
-        // Draw foreground (progress/value)
-        if (value > 0) {
-            ctx.fillStyle = foregroundColor;
-            if (showSegments) {
-                // Draw segmented bar (like shield)
-                const segmentWidth = width / segmentCount;
-                const filledSegments = Math.floor((value / maxValue) * segmentCount);
-                for (let i = 0; i < filledSegments; i++) {
-                    ctx.fillRect(x + (i * segmentWidth), y, segmentWidth, height);
-                }
+    // Helper methods for Milky Way
+    addAnimatedNoise(ctx, offsetX, centerY, bandHeight, color, intensity) {
+        // Add noise texture that moves with the background - restore 2D approach
+        for (let x = 0; x < this.width * 2; x += 8) {
+            for (let y = centerY - bandHeight/2; y < centerY + bandHeight/2; y += 8) {
+                const noiseX = (x + offsetX) * 0.05;
+                const noiseY = y * 0.03;
                 
-                // Draw segment dividers
-                if (segmentCount > 1) {
-                    ctx.strokeStyle = '#666';
-                    ctx.lineWidth = 1;
-                    for (let i = 1; i < segmentCount; i++) {
-                        const dividerX = x + (i * segmentWidth);
-                        ctx.beginPath();
-                        ctx.moveTo(dividerX, y);
-                        ctx.lineTo(dividerX, y + height);
-                        ctx.stroke();
-                    }
+                if ((this.simpleNoise(noiseX + noiseY + 42) * 0.5 + 0.5) < 0.3) {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x + offsetX, y, 8, 8);
+                    ctx.fillRect(x + offsetX - this.width, y, 8, 8);
                 }
-            } else {
-                // Draw continuous bar (like cloak and turbo)
-                const fillWidth = (value / maxValue) * width;
-                ctx.fillRect(x, y, fillWidth, height);
             }
         }
-        
-        // Draw border
-        if (showBorder) {
-            ctx.strokeStyle = borderColor;
-            ctx.lineWidth = 2;
-            ctx.strokeRect(x, y, width, height);
-        }
-        
-        // Draw label
-        if (showLabel) {
-            ctx.fillStyle = textColor;
-            ctx.font = '14px monospace';
-            ctx.textAlign = 'center';
-            ctx.fillText(label, x + width / 2, y + 15);
-        }
     }
     
-    renderCloakingBar(ctx) {
-        // Don't render cloaking bar on shop level (level 5)
-        if (this.game.gameData.level === 5) {
-            return;
-        }
+    addAnimatedDustLanes(ctx, offsetX, centerY, bandHeight) {
+        // Create more organic, varied dust lanes with smaller, scattered elements
+        const dustCount = 150; // 10x more dust particles for very dense look
         
-        const barWidth = this.game.width / 3;
-        const barHeight = 20;
-        const barX = (this.game.width - barWidth) / 2;
-        const barY = 20;
+        // Make dust move slower by using a fraction of offsetX
+        const slowDustOffset = offsetX * 0.3; // Dust moves at 30% speed of background
         
-        this.renderBar(ctx, {
-            x: barX, y: barY, width: barWidth, height: barHeight,
-            label: 'CLOAK',
-            value: this.game.player && this.game.player.isCloaked ? this.game.player.cloakLevel : 0,
-            maxValue: 1,
-            foregroundColor: '#00ffff',
-            showSegments: false
-        });
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        for (let i = 0; i < dustCount; i++) {
+            // Vary the dust particle positions and sizes more naturally
+            const dustX = (slowDustOffset + this.simpleNoise(i * 50) * this.width * 2) % (this.width * 2);
+            const dustY = centerY + (this.simpleNoise(i * 100) * 0.5 - 0.25) * bandHeight * 0.4;
+            const dustSize = this.simpleNoise(i * 150) * 0.5 + 0.5; // 0.5 to 1.0
+            
+            // Only draw if within the Milky Way band
+            if (dustY >= centerY - bandHeight/2 && dustY <= centerY + bandHeight/2) {
+                // Draw smaller, more varied dust particles
+                const particleSize = Math.max(2, dustSize * 8); // 2-10px particles
+                ctx.fillRect(dustX, dustY, particleSize, particleSize);
+                
+                // Draw wrapped version for seamless scrolling
+                if (dustX < this.width) {
+                    ctx.fillRect(dustX + this.width, dustY, particleSize, particleSize);
+                } else {
+                    ctx.fillRect(dustX - this.width, dustY, particleSize, particleSize);
+                }
+            }
+        }
     }
     
-    renderShieldBar(ctx) {
-        const barWidth = this.game.width / 3;
-        const barHeight = 20;
-        const barX = (this.game.width - barWidth) / 2;
-        const barY = 50; // Below the cloaking bar
-        
-        this.renderBar(ctx, {
-            x: barX, y: barY, width: barWidth, height: barHeight,
-            label: 'SHIELD',
-            value: this.game.player.shieldLevel,
-            maxValue: this.game.player.maxShieldLevel,
-            foregroundColor: '#00ff00',
-            showSegments: true,
-            segmentCount: this.game.player.maxShieldLevel
-        });
+    simpleNoise(x) {
+        // Simple pseudo-random noise function using trigonometric approach
+        return Math.sin(x * 12.9898) * Math.cos(x * 78.233) * 43758.5453 % 1;
     }
-    
-    renderTurboBar(ctx) {
-        // Only show turbo bar if player has turbo system
-        if (!this.game.player || this.game.player.turboLevel === 0) {
-            return;
-        }
-        
-        const barWidth = this.game.width / 3;
-        const barHeight = 20;
-        const barX = (this.game.width - barWidth) / 2;
-        const barY = 80; // Below the shield bar
-        
-        this.renderBar(ctx, {
-            x: barX, y: barY, width: barWidth, height: barHeight,
-            label: 'TURBO',
-            value: this.game.player.turboCharge,
-            maxValue: this.game.player.maxTurboCharge,
-            foregroundColor: this.game.player.turboActive ? '#ff6600' : '#00ff00', // Orange when active, green when charged
-            showSegments: false
-        });
+}
+
+// Menu State
+class MenuState extends GameState {
+    constructor(game) {
+        super(game);
+        this.selectedOption = 0;
+        this.buildOptions();
     }
     
-    handleInput(keys) {
-        // Escape handled globally in Game.bindEvents (toggle pause)
-        
-        // Dev controls with cooldowns
-        if ((keys['Digit0'] || keys['Key0']) && this.devCooldowns.metal <= 0) {
-            this.game.gameData.metal += 100;
-            console.log(`Added 100 metal! Total: ${this.game.gameData.metal}`);
-            this.devCooldowns.metal = 500; // 0.5 second cooldown
-        }
+    buildOptions() {
+        this.options = ['Play Game', 'Settings', 'High Score', 'Watch Replay'];
         
-        if ((keys['Digit9'] || keys['Key9']) && this.devCooldowns.turbo <= 0) {
-            if (this.game.player) {
-                this.game.player.turboLevel = 1;
-                this.game.player.turboCharge = 5;
-                console.log('Turbo Thrust granted via dev controls!');
-                this.devCooldowns.turbo = 1000; // 1 second cooldown
-            }
+        // Co-op needs a gamepad for player two (the keyboard or another pad flies player one)
+        if (this.game.controllerConnected) {
+            this.options.splice(1, 0, 'Co-op Game');
         }
         
-        // Level navigation keys for testing with cooldowns
-        if ((keys['Digit1'] || keys['Key1']) && this.devCooldowns.levelNav <= 0) {
-            // Previous level (if greater than 1)
-            if (this.game.gameData.level > 1) {
-                const prevLevel = this.game.gameData.level - 1;
-                this.game.gameData.level = prevLevel;
-                this.setupLevel(prevLevel);
-                this.resetLevelState();
-                console.log(`Went to previous level: ${prevLevel}`);
-                this.devCooldowns.levelNav = 1000; // 1 second cooldown
-            } else {
-                console.log('Already at level 1');
-            }
-        } else if ((keys['Digit2'] || keys['Key2']) && this.devCooldowns.levelNav <= 0) {
-            // Next level (up to max level)
-            const maxLevel = 10; // Based on the levels we have defined
-            if (this.game.gameData.level < maxLevel) {
-                const nextLevel = this.game.gameData.level + 1;
-                this.game.gameData.level = nextLevel;
-                this.setupLevel(nextLevel);
-                this.resetLevelState();
-                console.log(`Went to next level: ${nextLevel}`);
-                this.devCooldowns.levelNav = 1000; // 1 second cooldown
-            } else {
-                console.log(`Already at max level: ${maxLevel}`);
-            }
+        // Continue goes first so it is selected by default when there is a saved run
+        if (this.game.saves.hasSave()) {
+            this.options.unshift('Continue');
         }
         
-        // Debug key (D) to show current level status
-        if (keys['KeyD'] && this.devCooldowns.levelNav <= 0) {
-            this.showLevelDebugInfo();
-            this.devCooldowns.levelNav = 500; // 0.5 second cooldown
+        // Add controller test option if controller is connected
+        if (this.game.controllerConnected) {
+            this.options.push('Controller Test');
         }
     }
     
-    resetLevelState() {
-        // Reset level completion state
-        this.levelComplete = false;
-        
-        // Clear existing enemies and reset spawn counts
-        this.game.enemies = [];
-        this.game.particles = [];
-        this.game.metal = [];
-        this.spawnCounts = { asteroids: 0, mice: 0, shops: 0, snakes: 0, birds: 0, ratboss: 0 };
-        
-        // Reset enemy pool for new level
-        this.enemyPool = null;
+    enter() {
+        // Quitting to the menu abandons any run being recorded or replayed
+        this.game.replay.cancel();
         
-        // Reset timers
-        this.game.enemySpawnTimer = 0;
+        // A save may have been written or cleared since the menu was last shown
+        this.buildOptions();
         
-        console.log(`Jumped to Level ${this.game.gameData.level}`);
+        // Reset menu selection
+        this.selectedOption = 0;
     }
     
-    showLevelDebugInfo() {
-        console.log('=== LEVEL DEBUG INFO ===');
-        console.log(`Current Level: ${this.game.gameData.level}`);
-        console.log(`Level Complete: ${this.levelComplete}`);
-        console.log(`Shop Visited: ${this.game.gameData.shopVisited}`);
-        
-        if (this.currentLevelData) {
-            console.log(`Level Description: ${this.currentLevelData.description}`);
-            console.log(`Level Objectives:`, this.levelObjectives);
-            console.log(`Spawn Rules:`, this.currentLevelData.spawnRules);
+    handleInput(input) {
+        // Keyboard and controller navigation
+        if (input.justPressed('up')) {
+            this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
+        }
+        if (input.justPressed('down')) {
+            this.selectedOption = (this.selectedOption + 1) % this.options.length;
+        }
+        if (input.justPressed('confirm')) {
+            this.selectOption();
         }
-        
-        console.log(`Spawn Counts:`, this.spawnCounts);
-        console.log(`Enemies on screen: ${this.game.enemies.length}`);
-        console.log(`Metal on screen: ${this.game.metal.length}`);
-        console.log(`Landmines on screen: ${this.game.proximityBombs.length}`);
-        console.log(`Enemy Pool: ${this.enemyPool ? this.enemyPool.length : 'null'}`);
-        console.log('========================');
     }
-
     
-
-}
-
-// Pause State
-class PauseState extends GameState {
-    constructor(game) {
-        super(game);
-    }
-    
-    enter() {
-    }
-    
-    render(ctx) {
-        // Render the gameplay state first (frozen)
-        this.game.states.gameplay.render(ctx);
-        
-        // Overlay pause screen
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = '48px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('PAUSED', this.game.width / 2, this.game.height / 2 - 50);
-        
-        ctx.font = '20px monospace';
-        ctx.fillText('Press ESC to resume', this.game.width / 2, this.game.height / 2);
-        ctx.fillText('Press M for menu', this.game.width / 2, this.game.height / 2 + 40);
-    }
-    
-    handleInput(keys) {
-        if (keys['KeyM']) {
-            this.game.changeState('menu'); // Go directly to main menu
-        }
-        
-        // Controller support - Y button to menu (Start button handled in main controller input)
-        if (keys['KeyY'] || keys['ControllerC']) {
-            this.game.changeState('menu');
-        }
-    }
-}
-
-// Game Over State
-class GameOverState extends GameState {
-    constructor(game) {
-        super(game);
-    }
-    
-    enter() {
-        // Save high score to local storage
-        HighScoreState.saveHighScore(this.game.gameData.score, this.game.gameData.level);
-        
-        // Update high score if needed (for backward compatibility)
-        if (this.game.gameData.score > this.game.gameData.highScore) {
-            this.game.gameData.highScore = this.game.gameData.score;
-        }
-    }
-    
-    render(ctx) {
-        // Render the gameplay state first (frozen)
-        this.game.states.gameplay.render(ctx);
-        
-        // Overlay game over screen
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
-        
-        ctx.fillStyle = '#ff0000';
-        ctx.font = '48px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('GAME OVER', this.game.width / 2, this.game.height / 2 - 80);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = '24px monospace';
-        ctx.fillText(`Final Score: ${this.game.gameData.score}`, this.game.width / 2, this.game.height / 2 - 20);
-        ctx.fillText(`High Score: ${this.game.gameData.highScore}`, this.game.width / 2, this.game.height / 2 + 20);
-        
-        ctx.font = '20px monospace';
-        ctx.fillText('Press SPACE to restart', this.game.width / 2, this.game.height / 2 + 80);
-        ctx.fillText('Press M for menu', this.game.width / 2, this.game.height / 2 + 120);
-    }
-    
-    handleInput(keys) {
-        if (keys['Space']) {
-            this.game.changeState('gameplay');
-        }
-        if (keys['KeyM']) {
-            this.game.goBack(); // This will go back to main menu
-        }
-        
-        // Controller support - A button to restart, Y button to menu
-        if (keys['KeyA'] || keys['ControllerSpace']) {
-            this.game.changeState('gameplay');
-        }
-        if (keys['KeyY'] || keys['ControllerC']) {
-            this.game.goBack();
-        }
-    }
-}
-
-// Win State
-class WinState extends GameState {
-    constructor(game) {
-        super(game);
-    }
-    
-    enter() {
-        // Save final score and level to local storage
-        HighScoreState.saveHighScore(this.game.gameData.score, this.game.gameData.level);
-        
-        // Update high score if needed
-        if (this.game.gameData.score > this.game.gameData.highScore) {
-            this.game.gameData.highScore = this.game.gameData.score;
-        }
-    }
-    
-    render(ctx) {
-        // Render the gameplay state first (frozen)
-        this.game.states.gameplay.render(ctx);
-        
-        // Overlay win screen
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
-        
-        ctx.fillStyle = '#00ff00';
-        ctx.font = '48px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('VICTORY!', this.game.width / 2, this.game.height / 2 - 120);
-        
-        ctx.fillStyle = '#ffff00';
-        ctx.font = '24px monospace';
-        ctx.fillText('You have defeated the Rat Boss!', this.game.width / 2, this.game.height / 2 - 60);
-        ctx.fillText('Congratulations on completing the game!', this.game.width / 2, this.game.height / 2 - 20);
-        
-        ctx.fillStyle = '#fff';
-        ctx.font = '20px monospace';
-        ctx.fillText(`Final Score: ${this.game.gameData.score}`, this.game.width / 2, this.game.height / 2 + 40);
-        ctx.fillText(`Level Reached: ${this.game.gameData.level}`, this.game.width / 2, this.game.height / 2 + 80);
-        ctx.fillText(`High Score: ${this.game.gameData.highScore}`, this.game.width / 2, this.game.height / 2 + 120);
-        
-        ctx.font = '18px monospace';
-        ctx.fillText('Press SPACE to play again', this.game.width / 2, this.game.height / 2 + 180);
-        ctx.fillText('Press M for main menu', this.game.width / 2, this.game.height / 2 + 220);
-    }
-    
-    handleInput(keys) {
-        if (keys['Space']) {
-            // Reset game and start over
-            this.game.gameData.level = 1;
-            this.game.gameData.lives = 3;
-            this.game.gameData.score = 0;
-            this.game.gameData.metal = 0;
-            this.game.gameData.shopVisited = false;
-            this.game.changeState('gameplay');
-        }
-        if (keys['KeyM']) {
-            this.game.changeState('menu');
-        }
-        
-        // Controller support - A button to restart, Y button to menu
-        if (keys['KeyA'] || keys['ControllerSpace']) {
-            // Reset game and start over
-            this.game.gameData.level = 1;
-            this.game.gameData.lives = 3;
-            this.game.gameData.score = 0;
-            this.game.gameData.metal = 0;
-            this.game.gameData.shopVisited = false;
-            this.game.changeState('gameplay');
-        }
-        if (keys['KeyY'] || keys['ControllerC']) {
-            this.game.changeState('menu');
-        }
-    }
-}
-
-// Settings State
-class SettingsState extends GameState {
-    constructor(game) {
-        super(game);
-        this.selectedOption = 0;
-        this.options = ['Test Menu Item', 'Main Menu'];
-        this.keyCooldown = 0;
-        this.cooldownTime = 200; // 0.2 seconds in milliseconds
-        this.enterCooldown = 0; // Will be set in enter() method
+    getTapAction(x, y) {
+        return this.tapOption(this.getTappedOption(y, 300, this.getSpacing()));
     }
     
-    enter() {
-        this.keyCooldown = 0;
-        // Add a brief cooldown when entering to prevent immediate key press
-        this.enterCooldown = 300; // 0.3 seconds to prevent accidental selection
+    getSpacing() {
+        // Closer together as Continue, Co-op and Controller Test appear
+        return this.options.length > 6 ? 28 : this.options.length > 5 ? 34 : 40;
     }
     
-    update(deltaTime) {
-        // Update key cooldown
-        if (this.keyCooldown > 0) {
-            this.keyCooldown -= deltaTime;
-        }
-        // Update enter cooldown
-        if (this.enterCooldown > 0) {
-            this.enterCooldown -= deltaTime;
+    selectOption() {
+        // Options move around depending on what is available, so go by name
+        switch (this.options[this.selectedOption]) {
+            case 'Continue':
+                this.game.saves.continueRun();
+                break;
+            case 'Play Game':
+                this.game.coop = false;
+                this.game.changeState('gameplay');
+                break;
+            case 'Co-op Game':
+                this.game.coop = true;
+                this.game.changeState('gameplay');
+                break;
+            case 'Settings':
+                this.game.changeState('settings');
+                break;
+            case 'High Score':
+                this.game.changeState('highscore');
+                break;
+            case 'Watch Replay':
+                this.game.replay.openFile();
+                break;
+            case 'Controller Test': // Only available when controller connected
+                if (this.game.controllerConnected) {
+                    this.game.changeState('controllerTest');
+                }
+                break;
         }
     }
     
@@ -1991,6 +2546,9 @@ class SettingsState extends GameState {
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, this.game.width, this.game.height);
         
+        // Draw Milky Way background first (behind everything)
+        this.game.drawMilkyWay(ctx);
+        
         // Draw stars background
         RenderUtils.drawStars(ctx, this.game.width, this.game.height);
         
@@ -1998,105 +2556,1631 @@ class SettingsState extends GameState {
         ctx.fillStyle = '#fff';
         ctx.font = '48px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('Settings', this.game.width / 2, 150);
+        ctx.fillText('Project Panther', this.game.width / 2, 150);
         
         // Draw subtitle
         ctx.font = '24px monospace';
-        ctx.fillText('Game Configuration', this.game.width / 2, 200);
+        ctx.fillText('js13k 2025 Entry', this.game.width / 2, 200);
         
-        // Draw options
+        // Draw menu options
         ctx.font = '20px monospace';
+        const spacing = this.getSpacing();
         for (let i = 0; i < this.options.length; i++) {
             if (i === this.selectedOption) {
                 ctx.fillStyle = '#00ffff';
-                ctx.fillText('> ' + this.options[i], this.game.width / 2, 300 + i * 40);
+                ctx.fillText('> ' + this.options[i], this.game.width / 2, 300 + i * spacing);
             } else {
                 ctx.fillStyle = '#fff';
-                ctx.fillText(this.options[i], this.game.width / 2, 300 + i * 40);
+                ctx.fillText(this.options[i], this.game.width / 2, 300 + i * spacing);
             }
         }
         
         // Draw instructions
         ctx.fillStyle = '#888';
         ctx.font = '16px monospace';
-        ctx.fillText('Use Arrow Keys to navigate, Enter to select', this.game.width / 2, 500);
+        const hint = this.game.touch.enabled ? 'Tap an option to select it' : 'Use Arrow Keys to navigate, Enter to select';
+        ctx.fillText(hint, this.game.width / 2, 500);
         
         // Draw controller instructions if controller is connected
         if (this.game.controllerConnected) {
             ctx.fillText('Controller: A=Select, B=Back, Start=Pause', this.game.width / 2, 520);
         }
     }
-    
-    handleInput(keys) {
-        if (keys['ArrowUp'] && this.keyCooldown <= 0) {
-            this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
-        }
-        if (keys['ArrowDown'] && this.keyCooldown <= 0) {
-            this.selectedOption = (this.selectedOption + 1) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
-        }
-        if ((keys['Enter'] || keys['Space']) && this.enterCooldown <= 0) {
-            this.selectOption();
-        }
-    }
-    
-    selectOption() {
-        switch (this.selectedOption) {
-            case 0: // Test Menu Item
-                // Could add test functionality here
-                console.log('Test menu item selected');
-                break;
-            case 1: // Main Menu
-                this.game.goBack();
-                break;
-        }
-    }
 }
 
-// High Score State
-class HighScoreState extends GameState {
+// Gameplay State (contains the original game logic)
+class GameplayState extends GameState {
     constructor(game) {
         super(game);
-        this.selectedOption = 0;
-        this.options = ['Main Menu'];
-        this.keyCooldown = 0;
-        this.cooldownTime = 200;
-        this.enterCooldown = 0;
+        this.gameOver = false;
+        this.levelComplete = false;
+        this.levelObjectives = {};
+        this.currentLevelData = null;
+        this.levelCompleteTimer = 0;
+        this.levelCompleteDelay = 2000; // 2 seconds between levels
+        this.sharedLives = true; // Co-op lives mode for this run (from settings at run start)
+        
+        // Broadphase for checkCollisions, holds the enemies each frame
+        this.collisionGrid = new SpatialGrid(64);
+        
+        // Dev control cooldowns
+        this.devCooldowns = {
+            metal: 0,
+            turbo: 0,
+            levelNav: 0
+        };
     }
-
+    
     enter() {
-        this.enterCooldown = 200; // Prevent immediate selection
-    }
-
-    update(deltaTime) {
-        if (this.keyCooldown > 0) {
-            this.keyCooldown -= deltaTime;
+        // Initialize gameplay if first time
+        if (!this.game.player) {
+            this.initGameplay();
         }
-        if (this.enterCooldown > 0) {
-            this.enterCooldown -= deltaTime;
+        // If returning from pause or shop, resume without resetting (a requested seed always starts a new run)
+        if ((this.game.previousStateName === 'pause' || this.game.previousStateName === 'shop') && this.game.nextSeed === null) {
+            return;
         }
-    }
 
-    handleInput(keys) {
-        if ((keys['Enter'] || keys['Space'] || keys['Escape'] || keys['ControllerSpace'] || keys['ControllerQ']) && this.enterCooldown <= 0) {
-            this.selectOption();
-        }
-    }
+        // Starting a new run: seed randomness and reset game state
+        this.game.startRun();
+        this.gameOver = false;
+        this.levelComplete = false;
+        this.game.gameData.lives = 3;
+        this.game.gameData.score = 0;
+        this.game.gameData.level = 1;
 
-    selectOption() {
-        switch (this.selectedOption) {
-            case 0: // Main Menu
-                this.game.changeState('menu');
-                break;
+        // Clear arrays
+        entityPools.releaseAll(this.game.bullets);
+        this.game.enemies = [];
+        entityPools.releaseAll(this.game.particles);
+        entityPools.releaseAll(this.game.metal);
+        entityPools.releaseAll(this.game.proximityBombs);
+        entityPools.releaseAll(this.game.enemyProjectiles);
+        
+        // Reset timers
+        this.game.enemySpawnTimer = 0;
+        this.game.starSpawnTimer = 0;
+
+        // Player two joins for co-op runs; the lives setting is fixed for the whole run
+        this.setupPlayers();
+        this.sharedLives = this.game.settings.sharedLives;
+
+        // Reset player shield and turbo when starting new game
+        this.game.players.forEach(player => {
+            player.shieldLevel = player.maxShieldLevel;
+            player.shieldRechargeTimer = 0;
+            player.turboLevel = 0;
+            player.turboCharge = 0;
+            player.turboActive = false;
+            player.cloakLevel = 0;
+            player.cloakTimer = 0;
+            player.isCloaked = false;
+            player.isHit = false;
+            player.hitTimer = 0;
+            player.blinkTimer = 0;
+            player.isVisible = true;
+            player.lives = 3;
+            player.out = false;
+        });
+        if (this.hasSplitLives()) {
+            this.game.gameData.lives = this.game.players.length * 3;
         }
+
+        // Pick up where a saved run left off when continuing from the menu
+        this.game.saves.applyPending();
+
+        // Start recording this run, or restore the start of a replay being played
+        this.game.replay.onRunStart();
+
+        this.setupLevel(this.game.gameData.level);
     }
 
-    render(ctx) {
-        // Clear canvas
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, this.game.width, this.game.height);
-        
+    setupLevel(level) {
+        this.currentLevelData = this.getLevelData(level);
+        this.levelObjectives = { ...this.currentLevelData.objectives };
+        
+        // Reset spawn counters
+        this.resetSpawnCounts();
+        
+        // Reset enemy pool and timeline for new level
+        this.enemyPool = null;
+        this.timeline = null;
+        
+        console.log(`Level ${level}: ${this.currentLevelData.description}`);
+    }
+    
+    resetSpawnCounts() {
+        // One counter per enemy type that can appear in level objectives
+        this.spawnCounts = {};
+        Object.keys(LEVEL_ENEMY_TYPES).forEach(type => {
+            this.spawnCounts[type] = 0;
+        });
+    }
+    
+    getLevelData(level) {
+        // Levels live in the LEVELS table; unknown levels fall back to level 1
+        const levelData = LEVELS[level - 1] || LEVELS[0];
+        return { ...LEVEL_DEFAULTS, ...levelData };
+    }
+    
+    initGameplay() {
+        // Create initial stars
+        for (let i = 0; i < 50; i++) {
+            const star = new Star(
+                this.game.cosmeticRng.next() * this.game.width,
+                this.game.cosmeticRng.next() * this.game.height,
+                this.game.cosmeticRng.next() * 3 + 1
+            );
+            star.game = this.game; // Set the game reference
+            this.game.stars.push(star);
+        }
+        
+        // Create player - positioned on left side for side-scroller
+        this.game.player = new Player(100, this.game.height / 2, this.game);
+        this.game.players = [this.game.player];
+    }
+    
+    setupPlayers() {
+        // Player one carries over between runs; player two only flies in co-op
+        const players = [this.game.player];
+        if (this.game.coop) {
+            players.push(this.game.players[1] || new Player(100, this.game.height / 2 + 80, this.game, 1));
+        }
+        this.game.players = players;
+    }
+    
+    hasSplitLives() {
+        return this.game.coop && !this.sharedLives;
+    }
+    
+    loseLife(player, count = 1) {
+        // gameData.lives is always the total left, so the game over checks work
+        // the same whether co-op lives are shared or split
+        if (this.hasSplitLives()) {
+            player.lives = Math.max(0, player.lives - count);
+            if (player.lives === 0) {
+                player.out = true; // Sits out until the run ends
+            }
+            this.game.gameData.lives = this.game.players.reduce((total, p) => total + p.lives, 0);
+        } else {
+            this.game.gameData.lives = Math.max(0, this.game.gameData.lives - count);
+        }
+    }
+    
+    update(deltaTime) {
+        if (this.gameOver) return;
+        
+        this.storePreviousPositions();
+        
+        // Hold between levels until the transition delay runs out
+        if (this.levelComplete) {
+            this.levelCompleteTimer -= deltaTime;
+            if (this.levelCompleteTimer <= 0) {
+                this.finishLevelTransition();
+            }
+            return;
+        }
+        
+        // Update dev control cooldowns
+        Object.keys(this.devCooldowns).forEach(key => {
+            if (this.devCooldowns[key] > 0) {
+                this.devCooldowns[key] -= deltaTime;
+            }
+        });
+        
+        // Update players, each with its own input
+        const players = this.game.getActivePlayers();
+        players.forEach(player => {
+            player.update(deltaTime, this.game.input.forPlayer(player.index), this.game.height);
+        });
+        
+        // Turbo speeds up everything while any ship is burning it
+        const turbo = players.some(player => player.turboActive && player.turboCharge > 0);
+        this.game.gameData.turboMultiplier = turbo ? 2 : 1;
+        
+        // Update bullets
+        entityPools.compact(this.game.bullets, bullet => {
+            bullet.update(deltaTime);
+            
+            // Remove bullets that go off right side
+            if (bullet.x > this.game.width + 10) {
+                return false;
+            }
+            
+            // Remove rockets that have exceeded their lifetime
+            if (bullet instanceof Rocket && bullet.age >= bullet.lifetime) {
+                return false;
+            }
+            
+            return true;
+        });
+        
+        // Update enemies (separate update and filtering to avoid array modification issues)
+        this.game.enemies.forEach(enemy => {
+            enemy.update(deltaTime);
+        });
+        
+        // Then filter enemies
+        entityPools.compact(this.game.enemies, enemy => {
+            // Remove enemies that go off left side or defeated rat bosses
+            if (enemy instanceof RatBoss && enemy.phase === 'defeated' && enemy.defeatTimer <= 0) {
+                return false; // Remove defeated rat boss
+            }
+            return enemy.x > -50; // Remove enemies that go off left side
+        });
+        
+        // Update proximity bombs
+        entityPools.compact(this.game.proximityBombs, bomb => {
+            bomb.update(deltaTime);
+            return !bomb.exploded;
+        });
+        
+        // Update enemy shots
+        entityPools.compact(this.game.enemyProjectiles, shot => {
+            shot.update(deltaTime);
+            return !shot.spent;
+        });
+        
+        // Update stars
+        this.game.stars.forEach(star => star.update(deltaTime));
+        
+        // Update particles
+        entityPools.compact(this.game.particles, particle => {
+            particle.update(deltaTime);
+            return particle.life > 0;
+        });
+        
+        // Update metal drops
+        entityPools.compact(this.game.metal, metal => {
+            metal.update(deltaTime);
+            // Remove if collected or drifted too far off-screen
+            return !metal.collected && metal.x > -100;
+        });
+        
+        // Spawn enemies based on level rules
+        this.spawnEnemies(deltaTime);
+        
+        // Check collisions
+        this.checkCollisions();
+        
+        // UI is now rendered on canvas
+        // Check level completion
+        this.checkLevelCompletion();
+    }
+
+    spawnEnemies(deltaTime) {
+        if (!this.currentLevelData) return;
+        
+        // Scripted levels play their timeline instead of the random pool
+        if (this.currentLevelData.timeline) {
+            this.playTimeline(deltaTime);
+            return;
+        }
+        
+        // Initialize enemy pool if not done yet
+        if (!this.enemyPool) {
+            this.createEnemyPool();
+        }
+        
+        // Only spawn if we have enemies in the pool and haven't reached screen limit
+        if (this.enemyPool.length > 0 && this.game.enemies.length < this.currentLevelData.maxEnemies) {
+            this.game.enemySpawnTimer += deltaTime;
+            
+            // Spawn enemies gradually at the level's spawn interval
+            if (this.game.enemySpawnTimer > this.currentLevelData.spawnInterval) {
+                this.spawnRandomEnemy();
+                this.game.enemySpawnTimer = 0;
+            }
+        }
+    }
+    
+    createEnemyPool() {
+        this.enemyPool = [];
+        const rules = this.currentLevelData.spawnRules;
+        const objectives = this.levelObjectives;
+        
+        // Create a mixed pool of enemies based on level rules
+        for (const [key, type] of Object.entries(LEVEL_ENEMY_TYPES)) {
+            if (rules[key] && objectives[key]) {
+                for (let i = 0; i < objectives[key]; i++) {
+                    this.enemyPool.push({ type: type, priority: this.game.rng.next() });
+                }
+            }
+        }
+        
+        // Sort by priority to create varied spawning order
+        this.enemyPool.sort((a, b) => a.priority - b.priority);
+        
+        console.log(`Created enemy pool: ${this.enemyPool.length} enemies for level ${this.game.gameData.level}`);
+    }
+    
+    createTimeline() {
+        // Expand each timeline event into one entry per enemy, sorted by spawn time
+        this.timeline = [];
+        this.timelineTime = 0;
+        
+        this.currentLevelData.timeline.forEach(event => {
+            const count = event.count || 1;
+            const formation = FORMATIONS[event.formation || 'line'];
+            for (let i = 0; i < count; i++) {
+                const offset = formation(i, count);
+                this.timeline.push({
+                    time: event.time + i * (event.delay || 0),
+                    type: LEVEL_ENEMY_TYPES[event.type],
+                    y: event.y,
+                    offsetX: offset.x,
+                    offsetY: offset.y
+                });
+            }
+        });
+        
+        // Stable sort keeps authored order for enemies sharing a spawn time
+        this.timeline.sort((a, b) => a.time - b.time);
+    }
+    
+    playTimeline(deltaTime) {
+        if (!this.timeline) {
+            this.createTimeline();
+        }
+        
+        this.timelineTime += deltaTime;
+        
+        // Release every entry whose time has come
+        while (this.timeline.length > 0 && this.timeline[0].time <= this.timelineTime) {
+            const entry = this.timeline.shift();
+            const playHeight = this.game.height - 40;
+            const y = entry.y === undefined ? this.game.rng.next() * playHeight : entry.y * playHeight;
+            this.spawnEnemy(entry.type, Math.max(0, Math.min(playHeight, y + entry.offsetY)), entry.offsetX);
+        }
+    }
+    
+    spawnRandomEnemy() {
+        if (this.enemyPool.length === 0) return;
+        
+        // Take the next enemy from the pool
+        const enemyData = this.enemyPool.shift();
+        this.spawnEnemy(enemyData.type);
+        
+        // Add some randomness to spawn timing for more organic feel
+        this.game.enemySpawnTimer += (this.game.rng.next() - 0.5) * 200;
+    }
+    
+    spawnEnemy(type, y = this.game.rng.next() * (this.game.height - 40), offsetX = 0) {
+        const x = this.game.width + 50 + offsetX;
+        const kind = ENEMY_KINDS[type];
+        if (!kind) return;
+        
+        const level = this.game.gameData.level;
+        const enemy = kind.create ? kind.create(x, y, this.game) : new Enemy(x, y, level, type, this.game);
+        this.spawnCounts[kind.objective]++;
+        
+        // Apply per-level speed scaling from the level data
+        enemy.speed *= this.currentLevelData.enemySpeedScale;
+        if (kind.onSpawn) {
+            kind.onSpawn(enemy, this);
+        }
+        this.game.enemies.push(enemy);
+    }
+    
+    checkLevelCompletion() {
+        if (!this.currentLevelData) return;
+        
+        let allComplete = true;
+        for (const [type, required] of Object.entries(this.levelObjectives)) {
+            if (this.spawnCounts[type] < required) {
+                allComplete = false;
+                break;
+            }
+        }
+        // Check if any enemies are still on screen
+        const enemiesOnScreen = this.game.enemies.some(enemy => enemy.x > -50);
+        
+        // Check if any metal drops are still on screen
+        const metalOnScreen = this.game.metal.some(metal => metal.x > -20);
+
+        if (allComplete && !enemiesOnScreen && !metalOnScreen) {
+            this.levelComplete = true;
+            this.completeLevel();
+        }
+    }
+    
+    completeLevel() {
+        console.log(`Level ${this.game.gameData.level} Complete!`);
+        this.game.gameData.score += 1000; // Bonus for completing level
+        
+        // Wait a moment before moving on - counted down in update() rather than with
+        // setTimeout so the pause lasts the same number of frames in a replay
+        this.levelCompleteTimer = this.levelCompleteDelay;
+    }
+    
+    finishLevelTransition() {
+        // Check if this was the final level
+        if (this.game.gameData.level >= LEVELS.length) {
+            // Game completed! Show win screen
+            this.game.changeState('win');
+            return;
+        }
+        
+        // Advance to next level
+        this.game.gameData.level++;
+        this.setupLevel(this.game.gameData.level);
+        this.levelComplete = false;
+        
+        // Clear existing enemies and reset spawn counts
+        this.game.enemies = [];
+        entityPools.releaseAll(this.game.particles);
+        entityPools.releaseAll(this.game.metal);
+        entityPools.releaseAll(this.game.enemyProjectiles);
+        this.resetSpawnCounts();
+        
+        // Reset shop visited flag for new level
+        this.game.gameData.shopVisited = false;
+        
+        // Checkpoint the run at the start of every level
+        this.game.saves.save();
+    }
+    
+    checkCollisions() {
+        // Hits are collected here and removed once every check has run, so
+        // nothing is spliced out of an array while it is being walked
+        const spentBullets = new Set();
+        const deadEnemies = new Set();
+        
+        // Build the broadphase from this frame's enemies
+        const grid = this.collisionGrid;
+        grid.clear();
+        this.game.enemies.forEach((enemy, index) => {
+            enemy.gridIndex = index;
+            grid.insert(enemy);
+        });
+        
+        // Bullet vs Enemy - each bullet hits at most one enemy
+        for (const bullet of this.game.bullets) {
+            for (const enemy of grid.query(bullet)) {
+                if (deadEnemies.has(enemy) || !this.checkCollision(bullet, enemy)) {
+                    continue;
+                }
+                
+                // Some kinds (the shop) aren't destroyable by bullets
+                const kind = enemy.getDefinition();
+                if (!kind.shootable) {
+                    continue;
+                }
+                
+                spentBullets.add(bullet);
+                
+                const damage = enemy.getDamageFrom(bullet);
+                
+                // Kinds that soak up hits (the rat boss) handle the damage themselves
+                if (kind.onShot) {
+                    kind.onShot(enemy, this, damage);
+                    break;
+                }
+                
+                enemy.takeDamage(damage);
+                const x = enemy.x + enemy.width / 2;
+                const y = enemy.y + enemy.height / 2;
+                
+                // Still standing - just feedback
+                if (enemy.health > 0) {
+                    audioManager.playSound(enemyHitSound);
+                    if (bullet instanceof Rocket) {
+                        this.createRocketExplosion(x, y);
+                    } else {
+                        this.createHitSparks(bullet.x + bullet.width, bullet.y + bullet.height / 2);
+                    }
+                    break;
+                }
+                
+                deadEnemies.add(enemy);
+                // Tougher enemies are worth more
+                this.game.gameData.score += kind.score * enemy.maxHealth;
+                
+                // Play enemy destruction sound
+                audioManager.playSound(enemyDestroySound);
+                
+                // Rockets explode on impact with a bigger explosion than normal bullets
+                if (bullet instanceof Rocket) {
+                    this.createRocketExplosion(x, y);
+                    console.log('Rocket destroyed enemy!');
+                } else {
+                    this.createExplosion(x, y);
+                }
+                
+                // Create metal drop from the kind's drop table
+                this.createMetalDrop(x, y, kind.drops, enemy.maxHealth);
+                
+                if (kind.onDestroyed) {
+                    kind.onDestroyed(enemy, this);
+                }
+                break;
+            }
+        }
+        
+        // Every ship still flying takes its own hits
+        for (const player of this.game.getActivePlayers()) {
+            if (this.gameOver) break;
+            this.checkPlayerCollisions(player, grid, deadEnemies);
+        }
+        
+        // Deferred removal
+        entityPools.compact(this.game.enemyProjectiles, shot => !shot.spent);
+        if (spentBullets.size > 0) {
+            entityPools.compact(this.game.bullets, bullet => !spentBullets.has(bullet));
+        }
+        if (deadEnemies.size > 0) {
+            entityPools.compact(this.game.enemies, enemy => !deadEnemies.has(enemy));
+        }
+    }
+    
+    checkPlayerCollisions(player, grid, deadEnemies) {
+        // Player vs Enemy
+        for (const enemy of grid.query(player)) {
+            if (deadEnemies.has(enemy) || !this.checkCollision(player, enemy)) {
+                continue;
+            }
+            
+            // Kinds with their own contact effect (shop, rat boss) say whether they're used up
+            const kind = enemy.getDefinition();
+            if (kind.onTouch) {
+                if (kind.onTouch(enemy, player, this)) {
+                    deadEnemies.add(enemy);
+                }
+                continue;
+            }
+            
+            deadEnemies.add(enemy);
+            this.createExplosion(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
+            this.damagePlayer(player, { shake: [8, 300] });
+        }
+        
+        // Player vs Proximity Bomb
+        this.game.proximityBombs.forEach(bomb => {
+            if (this.checkCollision(player, bomb) && !bomb.exploded) {
+                bomb.explode();
+            }
+        });
+        
+        // Player vs enemy shots
+        for (const shot of this.game.enemyProjectiles) {
+            if (!shot.spent && shot.hits(player)) {
+                shot.spent = true;
+                this.damagePlayer(player, { lives: shot.damage, shake: [6, 200] });
+            }
+        }
+        
+        // Player vs ranged attacks - beams and tail sweeps reach outside the
+        // enemy's own box, so these are checked in one pass over the list
+        for (const enemy of this.game.enemies) {
+            if (deadEnemies.has(enemy)) continue;
+            
+            const kind = enemy.getDefinition();
+            if (kind.attackPlayer) {
+                kind.attackPlayer(enemy, player, this);
+            }
+        }
+    }
+    
+    damagePlayer(player, { lives = 1, allShields = false, shake = null } = {}) {
+        // The run already ended this step - don't end it twice
+        if (this.gameOver) return;
+        
+        // Use shield first, then lives
+        if (player.shieldLevel > 0) {
+            player.shieldLevel = allShields ? 0 : player.shieldLevel - 1;
+            // Reset recharge timer when shield is hit
+            player.shieldRechargeTimer = 0;
+        } else {
+            this.loseLife(player, lives);
+        }
+        
+        // Trigger hit effects on player
+        player.hit();
+        // Decloak immediately when hit
+        player.decloak();
+        
+        if (shake) {
+            this.game.triggerScreenShake(...shake);
+        }
+        
+        if (this.game.gameData.lives <= 0) {
+            this.gameOver = true;
+            this.game.changeState('gameOver');
+        }
+    }
+    
+    checkCollision(rect1, rect2) {
+        return rect1.x < rect2.x + rect2.width &&
+               rect1.x + rect1.width > rect2.x &&
+               rect1.y < rect2.y + rect2.height &&
+               rect1.y + rect1.height > rect2.y;
+    }
+    
+    createExplosion(x, y) {
+        for (let i = 0; i < 12; i++) { // More particles
+            this.game.particles.push(entityPools.acquire(AsteroidExplosion, x, y, this.game.cosmeticRng.next() * 360, this.game.cosmeticRng));
+        }
+    }
+    
+    createMetalDrop(x, y, drops, toughness = 1) {
+        if (this.game.rng.next() < drops.chance) {
+            for (let i = 0; i < drops.count * toughness; i++) {
+                // Spread the drops if the kind asks, so they don't all stack
+                const offsetX = drops.spread ? (this.game.rng.next() - 0.5) * drops.spread.x : 0;
+                const offsetY = drops.spread ? (this.game.rng.next() - 0.5) * drops.spread.y : 0;
+                
+                const metal = entityPools.acquire(Metal, x + offsetX, y + offsetY, this.game);
+                this.game.metal.push(metal);
+            }
+        }
+    }
+    
+    createBeamDamageEffect(player) {
+        // Create yellow beam damage particles around the player
+        for (let i = 0; i < 8; i++) {
+            const angle = this.game.cosmeticRng.next() * 0.5 + 2;
+            const speed = this.game.cosmeticRng.next() * 4 + 2;
+            const x = player.x + player.width / 2;
+            const y = player.y + player.height / 2;
+            this.game.particles.push(entityPools.acquire(BeamDamageParticle, x, y, angle, speed, this.game.cosmeticRng));
+        }
+    }
+    
+    createHitSparks(x, y) {
+        // A few sparks where a bullet bounced off something it didn't kill
+        for (let i = 0; i < 4; i++) {
+            const angle = 120 + this.game.cosmeticRng.next() * 120; // Back towards the shooter
+            const speed = this.game.cosmeticRng.next() * 3 + 2;
+            this.game.particles.push(entityPools.acquire(DamageParticle, x, y, angle, speed, this.game.cosmeticRng));
+        }
+    }
+    
+    createRocketExplosion(x, y) {
+        // Create a bigger explosion for rockets
+        for (let i = 0; i < 25; i++) { // More particles than normal explosion
+            const angle = this.game.cosmeticRng.next() * 360;
+            const speed = this.game.cosmeticRng.next() * 6 + 4; // Faster particles
+            this.game.particles.push(entityPools.acquire(RocketExplosionParticle, x, y, angle, speed, this.game.cosmeticRng));
+        }
+        
+        // Trigger screen shake for rocket explosion
+        if (this.game.triggerScreenShake) {
+            this.game.triggerScreenShake(8, 200);
+        }
+    }
+    
+    render(ctx) {
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        // Draw Milky Way background first (behind everything)
+        this.game.drawMilkyWay(ctx);
+        
+        // Only blend between updates while gameplay is actually running,
+        // otherwise the pause and game over overlays would jitter
+        const alpha = this.game.currentState === this ? this.game.renderAlpha : 1;
+        
+        // Draw stars
+        this.game.stars.forEach(star => this.renderInterpolated(ctx, star, alpha));
+        
+        // Draw particles
+        this.game.particles.forEach(particle => this.renderInterpolated(ctx, particle, alpha));
+        
+        // Draw proximity bombs
+        this.game.proximityBombs.forEach(bomb => this.renderInterpolated(ctx, bomb, alpha));
+        
+        // Draw metal drops
+        this.game.metal.forEach(metal => this.renderInterpolated(ctx, metal, alpha));
+        
+        // Draw enemies
+        this.game.enemies.forEach(enemy => this.renderInterpolated(ctx, enemy, alpha));
+        
+        // Draw bullets
+        this.game.bullets.forEach(bullet => this.renderInterpolated(ctx, bullet, alpha));
+        
+        // Draw enemy shots
+        this.game.enemyProjectiles.forEach(shot => this.renderInterpolated(ctx, shot, alpha));
+        
+        // Draw proximity bombs
+        this.game.proximityBombs.forEach(bomb => this.renderInterpolated(ctx, bomb, alpha));
+        
+        // Draw players
+        this.game.getActivePlayers().forEach(player => this.renderInterpolated(ctx, player, alpha));
+        
+        // Draw on-canvas UI
+        this.renderUI(ctx);
+    }
+    
+    storePreviousPositions() {
+        // Remember where everything was before this step so render can blend
+        const store = entity => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        };
+        this.game.stars.forEach(store);
+        this.game.particles.forEach(store);
+        this.game.proximityBombs.forEach(store);
+        this.game.metal.forEach(store);
+        this.game.enemies.forEach(store);
+        this.game.bullets.forEach(store);
+        this.game.enemyProjectiles.forEach(store);
+        this.game.players.forEach(store);
+    }
+    
+    renderInterpolated(ctx, entity, alpha) {
+        // Entities spawned this step have no previous position yet
+        if (alpha >= 1 || entity.prevX === undefined) {
+            entity.render(ctx);
+            return;
+        }
+        
+        // Don't blend across wrap-arounds and teleports
+        const x = entity.x;
+        const y = entity.y;
+        if (Math.abs(x - entity.prevX) > 50 || Math.abs(y - entity.prevY) > 50) {
+            entity.render(ctx);
+            return;
+        }
+        
+        // Draw at the blended position, then put the real one back
+        entity.x = lerp(entity.prevX, x, alpha);
+        entity.y = lerp(entity.prevY, y, alpha);
+        entity.render(ctx);
+        entity.x = x;
+        entity.y = y;
+    }
+    
+    renderUI(ctx) {
+        // Draw score
+        ctx.fillStyle = '#fff';
+        ctx.font = '20px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Score: ${this.game.gameData.score}`, 20, 30);
+        
+        // Draw lives (per player when co-op lives are split)
+        if (this.hasSplitLives()) {
+            ctx.fillText(`Lives: ${this.game.players.map(player => player.lives).join(' / ')}`, 20, 60);
+        } else {
+            ctx.fillText(`Lives: ${this.game.gameData.lives}`, 20, 60);
+        }
+        
+        // Draw level
+        ctx.fillText(`Level: ${this.game.gameData.level}`, 20, 90);
+        
+        // Draw metal count
+        ctx.fillText(`Metal: ${this.game.gameData.metal}`, 20, 120);
+        
+        // Debug HUD can be turned off in settings
+        const debugHud = this.game.settings.debugHud;
+        
+        if (debugHud) {
+            // Draw FPS below metal count
+            ctx.fillText(`FPS: ${this.game.fps}`, 20, 150);
+            
+            // Debug: pool usage (live/created) in the bottom corner
+            ctx.fillStyle = '#888';
+            ctx.font = '12px monospace';
+            ctx.fillText(`Pools: ${entityPools.getStats().join('  ')}`, 20, this.game.height - 20);
+            ctx.fillStyle = '#fff';
+            ctx.font = '20px monospace';
+        }
+        
+        // Draw controller status
+        if (this.game.controllerConnected) {
+            ctx.fillStyle = '#00ff00';
+            ctx.fillText('Controller Connected', 20, 180);
+            
+            // Draw controller controls
+            ctx.fillStyle = '#888';
+            ctx.font = '14px monospace';
+            const buttonLabel = action => this.game.input.getButtonLabel(action);
+            ctx.fillText(`Controls: ${buttonLabel('fire')}=Fire, ${buttonLabel('rocket')}=Rocket, ${buttonLabel('turbo')}=Turbo, ${buttonLabel('cloak')}=Cloak, ${buttonLabel('pause')}=Pause`, 20, 200);
+            
+            // Debug: Show controller input values
+            const controller = this.game.input.getController();
+            if (controller && debugHud) {
+                ctx.fillStyle = '#ffff00';
+                ctx.font = '12px monospace';
+                ctx.fillText(`Stick: ${controller.axes[0]?.toFixed(2)}, ${controller.axes[1]?.toFixed(2)}`, 20, 220);
+                ctx.fillText(`A:${controller.buttons[0]?.pressed} B:${controller.buttons[1]?.pressed} X:${controller.buttons[2]?.pressed} Y:${controller.buttons[3]?.pressed}`, 20, 235);
+                const input = this.game.input;
+                ctx.fillText(`Move: Up:${input.isDown('up')} Down:${input.isDown('down')} Left:${input.isDown('left')} Right:${input.isDown('right')}`, 20, 250);
+                ctx.fillText(`Actions: Fire:${input.isDown('fire')} Rocket:${input.isDown('rocket')} Turbo:${input.isDown('turbo')}`, 20, 265);
+            }
+        }
+        
+        // Status bars - centred for one ship, side by side in co-op
+        const players = this.game.players;
+        players.forEach((player, index) => {
+            if (player.out) return;
+            const column = players.length > 1 ? {
+                width: this.game.width / 4,
+                x: this.game.width / 2 + (index === 0 ? -this.game.width / 4 - 10 : 10),
+                label: `P${index + 1} `
+            } : {
+                width: this.game.width / 3,
+                x: this.game.width / 3,
+                label: ''
+            };
+            
+            // Draw cloaking bar
+            this.renderCloakingBar(ctx, player, column);
+            
+            // Draw shield bar
+            this.renderShieldBar(ctx, player, column);
+            
+            // Draw turbo bar
+            this.renderTurboBar(ctx, player, column);
+            
+            // Draw rocket cooldown bar (only if player has rockets)
+            if (player.secondaryWeaponLevel > 0) {
+                this.renderRocketCooldownBar(ctx, player, column);
+            }
+        });
+    }
+    
+    renderRocketCooldownBar(ctx, player, column) {
+        const barWidth = 120;
+        const barHeight = 15;
+        const barX = this.game.width - barWidth - 20;
+        const barY = 20 + player.index * 25; // Player two's sits underneath
+        
+        // Calculate cooldown progress
+        const cooldownProgress = player.rocketCooldown / player.rocketCooldownTime;
+        
+        this.renderBar(ctx, {
+            x: barX,
+            y: barY,
+            width: barWidth,
+            height: barHeight,
+            label: `${column.label}ROCKET`,
+            value: 1 - cooldownProgress, // Invert so full bar means ready
+            maxValue: 1,
+            backgroundColor: '#333',
+            foregroundColor: cooldownProgress > 0 ? '#ff6600' : '#00ff00', // Orange when cooldown, green when ready
+            borderColor: '#fff',
+            textColor: '#fff',
+            showSegments: false,
+            showBorder: true,
+            showLabel: true
+        });
+    }
+    
+    renderBar(ctx, options) {
+        const {
+            x, y, width, height, label, value, maxValue = 1,
+            backgroundColor = '#333', foregroundColor = '#00ff00',
+            borderColor = '#fff', textColor = '#fff',
+            showSegments = false, segmentCount = 1,
+            showBorder = true, showLabel = true
+        } = options;
+        
+        // Draw background bar
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(x, y, width, height);
+        
+        // Draw foreground (progress/value)
+        if (value > 0) {
+            ctx.fillStyle = foregroundColor;
+            if (showSegments) {
+                // Draw segmented bar (like shield)
+                const segmentWidth = width / segmentCount;
+                const filledSegments = Math.floor((value / maxValue) * segmentCount);
+                for (let i = 0; i < filledSegments; i++) {
+                    ctx.fillRect(x + (i * segmentWidth), y, segmentWidth, height);
+                }
+                
+                // Draw segment dividers
+                if (segmentCount > 1) {
+                    ctx.strokeStyle = '#666';
+                    ctx.lineWidth = 1;
+                    for (let i = 1; i < segmentCount; i++) {
+                        const dividerX = x + (i * segmentWidth);
+                        ctx.beginPath();
+                        ctx.moveTo(dividerX, y);
+                        ctx.lineTo(dividerX, y + height);
+                        ctx.stroke();
+                    }
+                }
+            } else {
+                // Draw continuous bar (like cloak and turbo)
+                const fillWidth = (value / maxValue) * width;
+                ctx.fillRect(x, y, fillWidth, height);
+            }
+        }
+        
+        // Draw border
+        if (showBorder) {
+            ctx.strokeStyle = borderColor;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, width, height);
+        }
+        
+        // Draw label
+        if (showLabel) {
+            ctx.fillStyle = textColor;
+            ctx.font = '14px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(label, x + width / 2, y + 15);
+        }
+    }
+    
+    renderCloakingBar(ctx, player, column) {
+        // Don't render cloaking bar on shop level (level 5)
+        if (this.game.gameData.level === 5) {
+            return;
+        }
+        
+        const barHeight = 20;
+        const barY = 20;
+        
+        this.renderBar(ctx, {
+            x: column.x, y: barY, width: column.width, height: barHeight,
+            label: `${column.label}CLOAK`,
+            value: player.isCloaked ? player.cloakLevel : 0,
+            maxValue: 1,
+            foregroundColor: '#00ffff',
+            showSegments: false
+        });
+    }
+    
+    renderShieldBar(ctx, player, column) {
+        const barHeight = 20;
+        const barY = 50; // Below the cloaking bar
+        
+        this.renderBar(ctx, {
+            x: column.x, y: barY, width: column.width, height: barHeight,
+            label: `${column.label}SHIELD`,
+            value: player.shieldLevel,
+            maxValue: player.maxShieldLevel,
+            foregroundColor: '#00ff00',
+            showSegments: true,
+            segmentCount: player.maxShieldLevel
+        });
+    }
+    
+    renderTurboBar(ctx, player, column) {
+        // Only show turbo bar if player has turbo system
+        if (player.turboLevel === 0) {
+            return;
+        }
+        
+        const barHeight = 20;
+        const barY = 80; // Below the shield bar
+        
+        this.renderBar(ctx, {
+            x: column.x, y: barY, width: column.width, height: barHeight,
+            label: `${column.label}TURBO`,
+            value: player.turboCharge,
+            maxValue: player.maxTurboCharge,
+            foregroundColor: player.turboActive ? '#ff6600' : '#00ff00', // Orange when active, green when charged
+            showSegments: false
+        });
+    }
+    
+    handleInput(input) {
+        // Pause is handled globally in Game.update; player actions in Player.update
+        
+        // Dev controls with cooldowns
+        if (input.isDown('devMetal') && this.devCooldowns.metal <= 0) {
+            this.game.gameData.metal += 100;
+            console.log(`Added 100 metal! Total: ${this.game.gameData.metal}`);
+            this.devCooldowns.metal = 500; // 0.5 second cooldown
+        }
+        
+        if (input.isDown('devTurbo') && this.devCooldowns.turbo <= 0) {
+            if (this.game.player) {
+                this.game.players.forEach(player => {
+                    player.turboLevel = 1;
+                    player.turboCharge = 5;
+                });
+                console.log('Turbo Thrust granted via dev controls!');
+                this.devCooldowns.turbo = 1000; // 1 second cooldown
+            }
+        }
+        
+        // Level navigation keys for testing with cooldowns
+        if (input.isDown('devLevelDown') && this.devCooldowns.levelNav <= 0) {
+            // Previous level (if greater than 1)
+            if (this.game.gameData.level > 1) {
+                const prevLevel = this.game.gameData.level - 1;
+                this.game.gameData.level = prevLevel;
+                this.setupLevel(prevLevel);
+                this.resetLevelState();
+                console.log(`Went to previous level: ${prevLevel}`);
+                this.devCooldowns.levelNav = 1000; // 1 second cooldown
+            } else {
+                console.log('Already at level 1');
+            }
+        } else if (input.isDown('devLevelUp') && this.devCooldowns.levelNav <= 0) {
+            // Next level (up to max level)
+            const maxLevel = LEVELS.length; // Based on the levels we have defined
+            if (this.game.gameData.level < maxLevel) {
+                const nextLevel = this.game.gameData.level + 1;
+                this.game.gameData.level = nextLevel;
+                this.setupLevel(nextLevel);
+                this.resetLevelState();
+                console.log(`Went to next level: ${nextLevel}`);
+                this.devCooldowns.levelNav = 1000; // 1 second cooldown
+            } else {
+                console.log(`Already at max level: ${maxLevel}`);
+            }
+        }
+        
+        // Debug key (D) to show current level status
+        if (input.isDown('devInfo') && this.devCooldowns.levelNav <= 0) {
+            this.showLevelDebugInfo();
+            this.devCooldowns.levelNav = 500; // 0.5 second cooldown
+        }
+    }
+    
+    resetLevelState() {
+        // Reset level completion state
+        this.levelComplete = false;
+        
+        // Clear existing enemies and reset spawn counts
+        this.game.enemies = [];
+        entityPools.releaseAll(this.game.particles);
+        entityPools.releaseAll(this.game.metal);
+        entityPools.releaseAll(this.game.enemyProjectiles);
+        this.resetSpawnCounts();
+        
+        // Reset enemy pool and timeline for new level
+        this.enemyPool = null;
+        this.timeline = null;
+        
+        // Reset timers
+        this.game.enemySpawnTimer = 0;
+        
+        console.log(`Jumped to Level ${this.game.gameData.level}`);
+    }
+    
+    showLevelDebugInfo() {
+        console.log('=== LEVEL DEBUG INFO ===');
+        console.log(`Current Level: ${this.game.gameData.level}`);
+        console.log(`Level Complete: ${this.levelComplete}`);
+        console.log(`Shop Visited: ${this.game.gameData.shopVisited}`);
+        
+        if (this.currentLevelData) {
+            console.log(`Level Description: ${this.currentLevelData.description}`);
+            console.log(`Level Objectives:`, this.levelObjectives);
+            console.log(`Spawn Rules:`, this.currentLevelData.spawnRules);
+        }
+        
+        console.log(`Spawn Counts:`, this.spawnCounts);
+        console.log(`Enemies on screen: ${this.game.enemies.length}`);
+        console.log(`Metal on screen: ${this.game.metal.length}`);
+        console.log(`Landmines on screen: ${this.game.proximityBombs.length}`);
+        console.log(`Enemy Pool: ${this.enemyPool ? this.enemyPool.length : 'null'}`);
+        console.log('========================');
+    }
+
+    
+
+}
+
+// Pause State
+class PauseState extends GameState {
+    constructor(game) {
+        super(game);
+    }
+    
+    enter() {
+    }
+    
+    render(ctx) {
+        // Render the gameplay state first (frozen)
+        this.game.states.gameplay.render(ctx);
+        
+        // Overlay pause screen
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('PAUSED', this.game.width / 2, this.game.height / 2 - 50);
+        
+        ctx.font = '20px monospace';
+        const input = this.game.input;
+        ctx.fillText(`Press ${input.getKeyLabel('pause')} to resume`, this.game.width / 2, this.game.height / 2);
+        ctx.fillText(`Press ${input.getKeyLabel('back')} to save and quit to menu`, this.game.width / 2, this.game.height / 2 + 40);
+        if (this.game.canFullscreen()) {
+            ctx.fillText(`Press ${input.getKeyLabel('fullscreen')} to ${this.game.isFullscreen() ? 'leave' : 'go'} fullscreen`, this.game.width / 2, this.game.height / 2 + 80);
+        }
+    }
+    
+    handleInput(input) {
+        // Quitting saves the run so it can be continued from the main menu
+        // (resuming with the pause action is handled in Game.update)
+        if (input.justPressed('back')) {
+            this.game.saves.save();
+            this.game.changeState('menu'); // Go directly to main menu
+        }
+        if (input.justPressed('fullscreen')) {
+            this.game.toggleFullscreen();
+        }
+    }
+    
+    getTapAction(x, y) {
+        // Tapping the quit or fullscreen line does that, anywhere else resumes
+        const lines = this.game.canFullscreen() ? { back: 40, fullscreen: 80 } : { back: 40 };
+        const action = Object.keys(lines).find(name => Math.abs(y - (this.game.height / 2 + lines[name] - 7)) < 20);
+        return action || 'pause';
+    }
+}
+
+// Game Over State
+class GameOverState extends GameState {
+    constructor(game) {
+        super(game);
+    }
+    
+    enter() {
+        // The run is over, so there is nothing left to continue
+        // (done before onRunEnd, which ends replay playback)
+        this.game.saves.clear();
+        
+        // Stop recording so the run can be saved as a replay
+        this.game.replay.onRunEnd();
+        this.replaySaved = false;
+        
+        // Save high score to local storage (headless simulations don't count)
+        if (!this.game.headless) {
+            HighScoreState.saveHighScore(this.game.gameData.score, this.game.gameData.level);
+        }
+        
+        // Update high score if needed (for backward compatibility)
+        if (this.game.gameData.score > this.game.gameData.highScore) {
+            this.game.gameData.highScore = this.game.gameData.score;
+        }
+    }
+    
+    render(ctx) {
+        // Render the gameplay state first (frozen)
+        this.game.states.gameplay.render(ctx);
+        
+        // Overlay game over screen
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        ctx.fillStyle = '#ff0000';
+        ctx.font = '48px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('GAME OVER', this.game.width / 2, this.game.height / 2 - 80);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '24px monospace';
+        ctx.fillText(`Final Score: ${this.game.gameData.score}`, this.game.width / 2, this.game.height / 2 - 20);
+        ctx.fillText(`High Score: ${this.game.gameData.highScore}`, this.game.width / 2, this.game.height / 2 + 20);
+        
+        // Seed lets a run be replayed with the same enemy layout
+        ctx.fillStyle = '#888';
+        ctx.font = '16px monospace';
+        ctx.fillText(`Seed: ${this.game.seed}`, this.game.width / 2, this.game.height / 2 + 50);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '20px monospace';
+        const input = this.game.input;
+        ctx.fillText(`Press ${input.getKeyLabel('confirm').toUpperCase()} to restart`, this.game.width / 2, this.game.height / 2 + 80);
+        ctx.fillText(`Press ${input.getKeyLabel('back')} for menu`, this.game.width / 2, this.game.height / 2 + 120);
+        
+        if (this.game.replay.hasRecording) {
+            ctx.fillStyle = '#888';
+            ctx.font = '16px monospace';
+            ctx.fillText(this.replaySaved ? 'Replay saved' : `Press ${input.getKeyLabel('saveReplay')} to save replay`, this.game.width / 2, this.game.height / 2 + 160);
+        }
+    }
+    
+    handleInput(input) {
+        if (input.justPressed('saveReplay') && !this.replaySaved) {
+            this.replaySaved = this.game.replay.save();
+        }
+        if (input.justPressed('confirm')) {
+            this.game.changeState('gameplay');
+        }
+        if (input.justPressed('back')) {
+            this.game.goBack(); // This will go back to main menu
+        }
+    }
+    
+    getTapAction(x, y) {
+        // Each prompt line does what it says
+        const lines = { confirm: 80, back: 120, saveReplay: 160 };
+        return Object.keys(lines).find(name => Math.abs(y - (this.game.height / 2 + lines[name] - 7)) < 20) || null;
+    }
+}
+
+// Win State
+class WinState extends GameState {
+    constructor(game) {
+        super(game);
+    }
+    
+    enter() {
+        // The run is over, so there is nothing left to continue
+        // (done before onRunEnd, which ends replay playback)
+        this.game.saves.clear();
+        
+        // Stop recording so the run can be saved as a replay
+        this.game.replay.onRunEnd();
+        this.replaySaved = false;
+        
+        // Save final score and level to local storage (headless simulations don't count)
+        if (!this.game.headless) {
+            HighScoreState.saveHighScore(this.game.gameData.score, this.game.gameData.level);
+        }
+        
+        // Update high score if needed
+        if (this.game.gameData.score > this.game.gameData.highScore) {
+            this.game.gameData.highScore = this.game.gameData.score;
+        }
+    }
+    
+    render(ctx) {
+        // Render the gameplay state first (frozen)
+        this.game.states.gameplay.render(ctx);
+        
+        // Overlay win screen
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        ctx.fillStyle = '#00ff00';
+        ctx.font = '48px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('VICTORY!', this.game.width / 2, this.game.height / 2 - 120);
+        
+        ctx.fillStyle = '#ffff00';
+        ctx.font = '24px monospace';
+        ctx.fillText('You have defeated the Rat Boss!', this.game.width / 2, this.game.height / 2 - 60);
+        ctx.fillText('Congratulations on completing the game!', this.game.width / 2, this.game.height / 2 - 20);
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = '20px monospace';
+        ctx.fillText(`Final Score: ${this.game.gameData.score}`, this.game.width / 2, this.game.height / 2 + 40);
+        ctx.fillText(`Level Reached: ${this.game.gameData.level}`, this.game.width / 2, this.game.height / 2 + 80);
+        ctx.fillText(`High Score: ${this.game.gameData.highScore}`, this.game.width / 2, this.game.height / 2 + 120);
+        
+        ctx.font = '18px monospace';
+        const input = this.game.input;
+        ctx.fillText(`Press ${input.getKeyLabel('confirm').toUpperCase()} to play again`, this.game.width / 2, this.game.height / 2 + 180);
+        ctx.fillText(`Press ${input.getKeyLabel('back')} for main menu`, this.game.width / 2, this.game.height / 2 + 220);
+        
+        if (this.game.replay.hasRecording) {
+            ctx.fillStyle = '#888';
+            ctx.font = '16px monospace';
+            ctx.fillText(this.replaySaved ? 'Replay saved' : `Press ${input.getKeyLabel('saveReplay')} to save replay`, this.game.width / 2, this.game.height / 2 + 250);
+        }
+    }
+    
+    handleInput(input) {
+        if (input.justPressed('saveReplay') && !this.replaySaved) {
+            this.replaySaved = this.game.replay.save();
+        }
+        if (input.justPressed('confirm')) {
+            // Reset game and start over
+            this.game.gameData.level = 1;
+            this.game.gameData.lives = 3;
+            this.game.gameData.score = 0;
+            this.game.gameData.metal = 0;
+            this.game.gameData.shopVisited = false;
+            this.game.changeState('gameplay');
+        }
+        if (input.justPressed('back')) {
+            this.game.changeState('menu');
+        }
+    }
+    
+    getTapAction(x, y) {
+        // Each prompt line does what it says
+        const lines = { confirm: 180, back: 220, saveReplay: 250 };
+        return Object.keys(lines).find(name => Math.abs(y - (this.game.height / 2 + lines[name] - 7)) < 15) || null;
+    }
+}
+
+// Settings State
+class SettingsState extends GameState {
+    constructor(game) {
+        super(game);
+        this.selectedOption = 0;
+        // Sliders step through min..max with Left/Right, toggles flip with Left/Right or Enter
+        this.options = [
+            { label: 'Master Volume', key: 'masterVolume', min: 0, max: 1, step: 0.1 },
+            { label: 'SFX Volume', key: 'sfxVolume', min: 0, max: 1, step: 0.1 },
+            { label: 'Music Volume', key: 'musicVolume', min: 0, max: 1, step: 0.1 },
+            { label: 'Screen Shake', key: 'screenShake', min: 0, max: 1, step: 0.25 },
+            { label: 'Stick Deadzone', key: 'deadzone', min: 0.05, max: 0.5, step: 0.05 },
+            { label: 'Stick Curve', key: 'stickCurve', min: 1, max: 3, step: 0.5 },
+            { label: 'Debug HUD', key: 'debugHud' },
+            { label: 'Reduced Flash', key: 'reducedFlash' },
+            { label: 'Co-op Lives', key: 'sharedLives' },
+            { label: 'Fullscreen' }, // Not saved - browsers only go fullscreen when asked
+            { label: 'Controls' },
+            { label: 'Main Menu' }
+        ].filter(option => option.label !== 'Fullscreen' || game.canFullscreen());
+    }
+    
+    getOptionText(option) {
+        if (option.label === 'Fullscreen') {
+            return `Fullscreen: < ${this.game.isFullscreen() ? 'ON' : 'OFF'} >`;
+        }
+        return option.key ? `${option.label}: < ${this.getValueText(option)} >` : option.label;
+    }
+    
+    getValueText(option) {
+        const value = this.game.settings[option.key];
+        if (option.key === 'sharedLives') {
+            return value ? 'SHARED' : 'SPLIT';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'ON' : 'OFF';
+        }
+        if (option.key === 'deadzone') {
+            return value.toFixed(2);
+        }
+        if (option.key === 'stickCurve') {
+            return value.toFixed(1);
+        }
+        return `${Math.round(value * 100)}%`;
+    }
+    
+    render(ctx) {
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        // Draw stars background
+        RenderUtils.drawStars(ctx, this.game.width, this.game.height);
+        
+        // Draw title
+        ctx.fillStyle = '#fff';
+        ctx.font = '48px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('Settings', this.game.width / 2, 150);
+        
+        // Draw subtitle
+        ctx.font = '24px monospace';
+        ctx.fillText('Game Configuration', this.game.width / 2, 200);
+        
+        // Draw options
+        ctx.font = '20px monospace';
+        for (let i = 0; i < this.options.length; i++) {
+            const option = this.options[i];
+            const text = this.getOptionText(option);
+            const y = 240 + i * 22;
+            if (i === this.selectedOption) {
+                ctx.fillStyle = '#00ffff';
+                ctx.fillText('> ' + text, this.game.width / 2, y);
+            } else {
+                ctx.fillStyle = '#fff';
+                ctx.fillText(text, this.game.width / 2, y);
+            }
+        }
+        
+        // Draw instructions
+        ctx.fillStyle = '#888';
+        ctx.font = '16px monospace';
+        ctx.fillText('Up/Down to choose, Left/Right to change, Enter to select', this.game.width / 2, 500);
+        
+        // Draw controller instructions if controller is connected
+        if (this.game.controllerConnected) {
+            ctx.fillText('Controller: A=Select, B=Back, Start=Pause', this.game.width / 2, 520);
+        }
+    }
+    
+    handleInput(input) {
+        if (input.justPressed('up')) {
+            this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
+        }
+        if (input.justPressed('down')) {
+            this.selectedOption = (this.selectedOption + 1) % this.options.length;
+        }
+        if (input.justPressed('left')) {
+            this.changeOption(-1);
+        }
+        if (input.justPressed('right')) {
+            this.changeOption(1);
+        }
+        if (input.justPressed('confirm')) {
+            this.selectOption();
+        }
+        if (input.justPressed('back')) {
+            this.game.goBack();
+        }
+    }
+    
+    getTapAction(x, y) {
+        // Tapping either end of a value row steps it down or up, the middle selects
+        const index = this.getTappedOption(y, 240, 22);
+        const action = this.tapOption(index);
+        if (action && this.options[index].key && Math.abs(x - this.game.width / 2) > 100) {
+            return x < this.game.width / 2 ? 'left' : 'right';
+        }
+        return action;
+    }
+    
+    changeOption(direction) {
+        const option = this.options[this.selectedOption];
+        if (option.label === 'Fullscreen') {
+            this.game.toggleFullscreen();
+            return;
+        }
+        if (!option.key) return;
+        
+        const settings = this.game.settings;
+        const value = settings[option.key];
+        if (typeof value === 'boolean') {
+            settings.set(option.key, !value);
+            return;
+        }
+        
+        // Round to the step so repeated presses don't drift
+        const stepped = Math.round((value + direction * option.step) / option.step) * option.step;
+        const clamped = Math.min(option.max, Math.max(option.min, stepped));
+        settings.set(option.key, Math.round(clamped * 100) / 100);
+        
+        // Let the player hear the new volume straight away
+        if (option.key === 'masterVolume' || option.key === 'sfxVolume') {
+            audioManager.playSound(metalCollectSound);
+        }
+    }
+    
+    selectOption() {
+        const option = this.options[this.selectedOption];
+        if (option.label === 'Controls') {
+            this.game.changeState('controls');
+        } else if (option.label === 'Fullscreen') {
+            this.game.toggleFullscreen();
+        } else if (!option.key) { // Main Menu
+            this.game.goBack();
+        } else if (typeof this.game.settings[option.key] === 'boolean') {
+            this.changeOption(1);
+        }
+    }
+}
+
+// Controls State - rebind keyboard keys and gamepad buttons per action
+class ControlsState extends GameState {
+    constructor(game) {
+        super(game);
+        this.selectedOption = 0;
+        this.options = [...Object.keys(REBINDABLE_ACTIONS), 'Reset Defaults', 'Back'];
+        this.column = 'keys'; // Which binding Enter changes: 'keys' or 'buttons'
+    }
+    
+    exit() {
+        this.game.input.cancelCapture();
+    }
+    
+    handleInput(input) {
+        // While waiting for a new binding InputManager takes the next key or button
+        if (input.capture) {
+            return;
+        }
+        
+        if (input.justPressed('up')) {
+            this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
+        }
+        if (input.justPressed('down')) {
+            this.selectedOption = (this.selectedOption + 1) % this.options.length;
+        }
+        if (input.justPressed('left') || input.justPressed('right')) {
+            this.column = this.column === 'keys' ? 'buttons' : 'keys';
+        }
+        if (input.justPressed('confirm')) {
+            this.selectOption();
+        }
+        if (input.justPressed('back') || input.justPressed('pause')) {
+            this.game.goBack();
+        }
+    }
+    
+    selectOption() {
+        const option = this.options[this.selectedOption];
+        if (option === 'Reset Defaults') {
+            this.game.input.resetDefaults();
+        } else if (option === 'Back') {
+            this.game.goBack();
+        } else {
+            this.game.input.startCapture(option, this.column);
+        }
+    }
+    
+    render(ctx) {
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
+        // Draw stars background
+        RenderUtils.drawStars(ctx, this.game.width, this.game.height);
+        
+        // Draw title
+        ctx.fillStyle = '#fff';
+        ctx.font = '36px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('Controls', this.game.width / 2, 70);
+        
+        const labelX = this.game.width / 2 - 220;
+        const keyX = this.game.width / 2 + 60;
+        const buttonX = this.game.width / 2 + 200;
+        
+        // Column headers
+        ctx.font = '16px monospace';
+        ctx.fillStyle = this.column === 'keys' ? '#00ffff' : '#888';
+        ctx.fillText('Keyboard', keyX, 110);
+        ctx.fillStyle = this.column === 'buttons' ? '#00ffff' : '#888';
+        ctx.fillText('Gamepad', buttonX, 110);
+        
+        // Draw one row per action, then the extra options
+        const input = this.game.input;
+        ctx.font = '16px monospace';
+        for (let i = 0; i < this.options.length; i++) {
+            const option = this.options[i];
+            const selected = i === this.selectedOption;
+            const y = 140 + i * 26;
+            
+            ctx.fillStyle = selected ? '#00ffff' : '#fff';
+            if (REBINDABLE_ACTIONS[option]) {
+                ctx.textAlign = 'left';
+                ctx.fillText((selected ? '> ' : '  ') + REBINDABLE_ACTIONS[option], labelX, y);
+                ctx.textAlign = 'center';
+                const waiting = input.capture && input.capture.action === option;
+                ctx.fillStyle = selected && this.column === 'keys' ? '#00ffff' : '#fff';
+                ctx.fillText(waiting && input.capture.device === 'keys' ? '...' : input.getKeyLabel(option), keyX, y);
+                ctx.fillStyle = selected && this.column === 'buttons' ? '#00ffff' : '#fff';
+                ctx.fillText(waiting && input.capture.device === 'buttons' ? '...' : input.getButtonLabel(option), buttonX, y);
+            } else {
+                ctx.textAlign = 'center';
+                ctx.fillText((selected ? '> ' : '') + option, this.game.width / 2, y);
+            }
+        }
+        
+        // Draw instructions
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#888';
+        ctx.font = '16px monospace';
+        if (input.capture) {
+            const device = input.capture.device === 'keys' ? 'key' : 'gamepad button';
+            ctx.fillText(`Press a ${device} for ${REBINDABLE_ACTIONS[input.capture.action]} (Esc to cancel)`, this.game.width / 2, 520);
+        } else {
+            ctx.fillText('Up/Down to choose, Left/Right for keyboard or gamepad, Enter to rebind', this.game.width / 2, 520);
+        }
+    }
+}
+
+// High Score State
+class HighScoreState extends GameState {
+    constructor(game) {
+        super(game);
+        this.selectedOption = 0;
+        this.options = ['Main Menu'];
+    }
+
+    handleInput(input) {
+        if (input.justPressed('confirm') || input.justPressed('back') || input.justPressed('pause')) {
+            this.selectOption();
+        }
+    }
+    
+    getTapAction(x, y) {
+        // Main Menu is the only option, so a tap anywhere returns
+        return 'confirm';
+    }
+
+    selectOption() {
+        switch (this.selectedOption) {
+            case 0: // Main Menu
+                this.game.changeState('menu');
+                break;
+        }
+    }
+
+    render(ctx) {
+        // Clear canvas
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.game.width, this.game.height);
+        
         // Draw Milky Way background
         this.game.drawMilkyWay(ctx);
         
@@ -2198,34 +4282,8 @@ class HighScoreState extends GameState {
                 super(game);
                 this.selectedOption = 0;
                 this.options = ['Shield Upgrade (50 Metal)', 'Agility Boost (30 Metal)', 'Turbo Thrust (100 Metal)', 'Double Bullet (80 Metal) - 2 parallel', 'Triple Bullet (120 Metal) - 2 diagonal', 'Rocket Launcher (150 Metal)', 'Return to Game'];
-                this.keyCooldown = 0;
-                this.cooldownTime = 200; // 0.2 seconds in milliseconds
-                this.enterCooldown = 0; // Will be set in enter() method
-                this.selectionCooldown = 0; // Cooldown for shop selections
-                this.selectionCooldownTime = 500; // 0.5 seconds between selections
             }
     
-    enter() {
-        this.keyCooldown = 0;
-        // Add a brief cooldown when entering to prevent immediate key press
-        this.enterCooldown = 300; // 0.3 seconds to prevent accidental selection
-    }
-    
-    update(deltaTime) {
-        // Update key cooldown
-        if (this.keyCooldown > 0) {
-            this.keyCooldown -= deltaTime;
-        }
-        // Update enter cooldown
-        if (this.enterCooldown > 0) {
-            this.enterCooldown -= deltaTime;
-        }
-        // Update selection cooldown
-        if (this.selectionCooldown > 0) {
-            this.selectionCooldown -= deltaTime;
-        }
-    }
-    
     render(ctx) {
         // Clear canvas
         ctx.fillStyle = '#000';
@@ -2240,9 +4298,11 @@ class HighScoreState extends GameState {
         ctx.textAlign = 'center';
         ctx.fillText('Shop', this.game.width / 2, 150);
         
-        // Draw subtitle
+        // Draw subtitle (in co-op, say which cat is buying)
         ctx.font = '24px monospace';
-        ctx.fillText('Purchase Upgrades', this.game.width / 2, 200);
+        const shopper = this.game.shopper || this.game.player;
+        const buyer = this.game.coop ? ` for Player ${shopper.index + 1}` : '';
+        ctx.fillText(`Purchase Upgrades${buyer}`, this.game.width / 2, 200);
         
         // Draw metal count
         ctx.fillStyle = '#00ff00';
@@ -2264,7 +4324,8 @@ class HighScoreState extends GameState {
         // Draw instructions
         ctx.fillStyle = '#888';
         ctx.font = '16px monospace';
-        ctx.fillText('Use Arrow Keys to navigate, Enter to select', this.game.width / 2, 500);
+        const hint = this.game.touch.enabled ? 'Tap an option to select it' : 'Use Arrow Keys to navigate, Enter to select';
+        ctx.fillText(hint, this.game.width / 2, 500);
         
         // Draw controller instructions if controller is connected
         if (this.game.controllerConnected) {
@@ -2272,39 +4333,37 @@ class HighScoreState extends GameState {
         }
     }
     
-    handleInput(keys) {
-        if (keys['ArrowUp'] && this.keyCooldown <= 0) {
+    handleInput(input) {
+        if (input.justPressed('up')) {
             this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
         }
-        if (keys['ArrowDown'] && this.keyCooldown <= 0) {
+        if (input.justPressed('down')) {
             this.selectedOption = (this.selectedOption + 1) % this.options.length;
-            this.keyCooldown = this.cooldownTime;
         }
-        if ((keys['Enter'] || keys['Space']) && this.enterCooldown <= 0) {
+        if (input.justPressed('confirm')) {
             this.selectOption();
         }
         
-        // Controller support - B button to go back
-        if (keys['Escape'] && this.enterCooldown <= 0) {
+        // Back (or the pause key) returns to the game
+        if (input.justPressed('back') || input.justPressed('pause')) {
             this.game.changeState('gameplay');
         }
     }
     
+    getTapAction(x, y) {
+        return this.tapOption(this.getTappedOption(y, 300, 40));
+    }
+    
     selectOption() {
-        // Check selection cooldown
-        if (this.selectionCooldown > 0) {
-            return;
-        }
+        const player = this.game.shopper || this.game.player;
         
         switch (this.selectedOption) {
             case 0: // Shield Upgrade
                 if (this.game.gameData.metal >= 50) {
                     this.game.gameData.metal -= 50;
-                    this.game.player.maxShieldLevel++;
-                    this.game.player.shieldLevel = this.game.player.maxShieldLevel; // Refill shield
+                    player.maxShieldLevel++;
+                    player.shieldLevel = player.maxShieldLevel; // Refill shield
                     console.log('Shield upgraded!');
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2312,9 +4371,8 @@ class HighScoreState extends GameState {
             case 1: // Agility Boost
                 if (this.game.gameData.metal >= 30) {
                     this.game.gameData.metal -= 30;
-                    this.game.player.speed += 50;
+                    player.speed += 50;
                     console.log('Agility boosted!');
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2322,10 +4380,9 @@ class HighScoreState extends GameState {
             case 2: // Turbo Thrust
                 if (this.game.gameData.metal >= 100) {
                     this.game.gameData.metal -= 100;
-                    this.game.player.turboLevel = 1; // Enable turbo
-                    this.game.player.turboCharge = 5; // 5 seconds of turbo
+                    player.turboLevel = 1; // Enable turbo
+                    player.turboCharge = 5; // 5 seconds of turbo
                     console.log('Turbo thrust acquired!');
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2333,10 +4390,9 @@ class HighScoreState extends GameState {
             case 3: // Double Bullet
                 if (this.game.gameData.metal >= 80) {
                     this.game.gameData.metal -= 80;
-                    this.game.player.doubleBulletLevel = 1;
-                    console.log('Double bullet acquired! Level:', this.game.player.doubleBulletLevel);
+                    player.doubleBulletLevel = 1;
+                    console.log('Double bullet acquired! Level:', player.doubleBulletLevel);
                     console.log('Now firing 2 parallel bullets instead of 1');
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2344,14 +4400,13 @@ class HighScoreState extends GameState {
             case 4: // Triple Bullet
                 if (this.game.gameData.metal >= 120) {
                     this.game.gameData.metal -= 120;
-                    this.game.player.tripleBulletLevel = 1;
-                    console.log('Triple bullet acquired! Level:', this.game.player.tripleBulletLevel);
-                    if (this.game.player.doubleBulletLevel > 0) {
+                    player.tripleBulletLevel = 1;
+                    console.log('Triple bullet acquired! Level:', player.tripleBulletLevel);
+                    if (player.doubleBulletLevel > 0) {
                         console.log('Now firing 4 bullets total: 2 parallel + 2 diagonal');
                     } else {
                         console.log('Now firing 3 bullets total: 1 center + 2 diagonal');
                     }
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2359,9 +4414,8 @@ class HighScoreState extends GameState {
             case 5: // Rocket Launcher
                 if (this.game.gameData.metal >= 150) {
                     this.game.gameData.metal -= 150;
-                    this.game.player.secondaryWeaponLevel = 1;
+                    player.secondaryWeaponLevel = 1;
                     console.log('Rocket launcher acquired!');
-                    this.selectionCooldown = this.selectionCooldownTime;
                 } else {
                     console.log('Not enough metal!');
                 }
@@ -2377,7 +4431,12 @@ class HighScoreState extends GameState {
 
 // Base Particle class - must be defined before classes that extend it
 class Particle {
-    constructor(x, y, angle, speed = 2, size = 3, decay = 0.02, color = '#ffaa00') {
+    // Pooled through entityPools - subclasses override reset() rather than the constructor
+    constructor(...args) {
+        this.reset(...args);
+    }
+    
+    reset(x, y, angle, speed = 2, size = 3, decay = 0.02, color = '#ffaa00') {
         this.x = x;
         this.y = y;
         this.vx = Math.cos(angle * Math.PI / 180) * speed;
@@ -2389,9 +4448,11 @@ class Particle {
     }
     
     update(deltaTime) {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.life -= this.decay;
+        // Velocity and decay are tuned per 60Hz frame
+        const frames = deltaTime / (1000 / 60);
+        this.x += this.vx * frames;
+        this.y += this.vy * frames;
+        this.life -= this.decay * frames;
     }
     
     render(ctx) {
@@ -2403,7 +4464,7 @@ class Particle {
 }
 
 class Player {
-    constructor(x, y, game) {
+    constructor(x, y, game, index = 0) {
         this.x = x;
         this.y = y;
         this.width = 40;
@@ -2413,6 +4474,12 @@ class Player {
         this.shootDelay = 200;
         this.game = game;
         
+        // Co-op - player two is a ginger cat with its own input and lives
+        this.index = index; // 0 = player one, 1 = player two
+        this.furColor = index === 0 ? '#000' : '#c8641e';
+        this.lives = 3; // Only used when co-op lives are split
+        this.out = false; // Out of split lives - sits out the rest of the run
+        
         // Cloaking system
         this.cloakLevel = 0; // 0 = visible, 1 = fully cloaked
         this.cloakTimer = 0; // Time since last shot
@@ -2449,33 +4516,50 @@ class Player {
         this.secondaryWeaponLevel = 0; // 0 = none, 1 = rocket
         this.doubleBulletLevel = 0; // 0 = none, 1 = second bullet
         this.tripleBulletLevel = 0; // 0 = none, 1 = diagonal bullets
+        this.aimAngle = null; // Degrees from the right stick, null = fixed 45 degree spread
+        this.maxAimAngle = 75;
+        this.aimSpread = 15; // Diagonal pair fans out this far either side of the aim
         
         // Rocket cooldown system
         this.rocketCooldown = 0;
         this.rocketCooldownTime = 1600; // 1.6 seconds between rockets
     }
     
-    update(deltaTime, keys, canvasHeight) {
+    getUpgrades() {
+        // Everything the shop can change on the player
+        return {
+            speed: this.speed,
+            maxShieldLevel: this.maxShieldLevel,
+            turboLevel: this.turboLevel,
+            secondaryWeaponLevel: this.secondaryWeaponLevel,
+            doubleBulletLevel: this.doubleBulletLevel,
+            tripleBulletLevel: this.tripleBulletLevel
+        };
+    }
+    
+    applyUpgrades(upgrades) {
+        Object.assign(this, upgrades);
+    }
+    
+    update(deltaTime, input, canvasHeight) {
         // Movement - now 2D movement with screen wrapping and boundaries
         let currentSpeed = this.speed;
         if (this.turboActive && this.turboCharge > 0) {
             currentSpeed *= 2; // Double speed with turbo
         }
         
-        // Horizontal movement (left/right) - Keyboard + Controller
-        if (keys['ArrowLeft'] || keys['KeyA']) {
-            this.x -= currentSpeed * deltaTime / 1000;
-        }
-        if (keys['ArrowRight'] || keys['KeyD']) {
-            this.x += currentSpeed * deltaTime / 1000;
-        }
+        // Movement vector - analog from the left stick, normalised eight-way from keys
+        const move = input.getMove();
+        this.x += move.x * currentSpeed * deltaTime / 1000;
+        this.y += move.y * currentSpeed * deltaTime / 1000;
         
-        // Vertical movement (up/down) - Keyboard + Controller
-        if (keys['ArrowUp'] || keys['KeyW']) {
-            this.y -= currentSpeed * deltaTime / 1000;
-        }
-        if (keys['ArrowDown'] || keys['KeyS']) {
-            this.y += currentSpeed * deltaTime / 1000;
+        // Right stick aims the diagonal shots (forward arc only)
+        const aim = input.getAim();
+        if (aim.x !== 0 || aim.y !== 0) {
+            const angle = Math.atan2(aim.y, aim.x) * 180 / Math.PI;
+            this.aimAngle = Math.max(-this.maxAimAngle, Math.min(this.maxAimAngle, angle));
+        } else {
+            this.aimAngle = null;
         }
         
         // Screen wrapping for vertical movement (top to bottom, bottom to top)
@@ -2488,22 +4572,22 @@ class Player {
         // Keep player within horizontal boundaries (left and right edges)
         this.x = Math.max(0, Math.min(this.game.width - this.width, this.x));
         
-        // Shooting - uses Space key or Controller A button
+        // Shooting - fire action (Space / Controller A by default)
         this.shootCooldown -= deltaTime;
-        if ((keys['Space'] || keys['ControllerSpace']) && this.shootCooldown <= 0) {
+        if (input.isDown('fire') && this.shootCooldown <= 0) {
             this.shoot();
             this.shootCooldown = this.shootDelay;
             // Decloak immediately when shooting
             this.decloak();
         }
         
-        // Secondary weapon (Q key or Controller B button)
-        if ((keys['KeyQ'] || keys['ControllerQ']) && this.secondaryWeaponLevel > 0) {
+        // Secondary weapon - rocket action (Q / Controller B by default)
+        if (input.isDown('rocket') && this.secondaryWeaponLevel > 0) {
             this.fireSecondaryWeapon();
         }
         
-        // Turbo activation (Shift key or Controller X button)
-        if (keys['ShiftLeft'] || keys['ShiftRight'] || keys['ControllerShift']) {
+        // Turbo activation - turbo action (Shift / Controller X by default)
+        if (input.isDown('turbo')) {
             if (this.turboLevel > 0 && this.turboCharge > 0) {
                 this.turboActive = true;
             }
@@ -2511,6 +4595,11 @@ class Player {
             this.turboActive = false;
         }
         
+        // Cloak action (C / Controller LB by default) skips the wait before fading out
+        if (input.isDown('cloak') && this.cloakTimer < this.cloakDelay) {
+            this.cloakTimer = this.cloakDelay;
+        }
+        
         // Update cloaking
         this.updateCloaking(deltaTime);
         
@@ -2570,13 +4659,7 @@ class Player {
                 this.turboCharge = this.maxTurboCharge;
             }
         }
-        
-        // Update global turbo multiplier
-        if (this.turboActive && this.turboCharge > 0) {
-            this.game.gameData.turboMultiplier = 2; // Double speed for everything
-        } else {
-            this.game.gameData.turboMultiplier = 1; // Normal speed
-        }
+        // GameplayState sets the global turbo multiplier from every ship
     }
     
     updateCloaking(deltaTime) {
@@ -2686,11 +4769,11 @@ class Player {
     createHitSparks() {
         // Create multiple sparks from the ship
         for (let i = 0; i < 12; i++) {
-            const angle = Math.random() * 360;
-            const speed = Math.random() * 3 + 2;
+            const angle = this.game.cosmeticRng.next() * 360;
+            const speed = this.game.cosmeticRng.next() * 3 + 2;
             const x = this.x + this.width / 2;
             const y = this.y + this.height / 2;
-            this.game.particles.push(new HitSpark(x, y, angle, speed));
+            this.game.particles.push(entityPools.acquire(HitSpark, x, y, angle, speed, this.game.cosmeticRng));
         }
     }
     
@@ -2705,33 +4788,22 @@ class Player {
         // Create parallel bullets based on double bullet upgrade
         if (this.doubleBulletLevel > 0) {
             // Two parallel bullets in the middle
-            this.game.bullets.push(new Bullet(this.x + this.width, centerY - bulletSpacing, this.game));
-            this.game.bullets.push(new Bullet(this.x + this.width, centerY + bulletSpacing, this.game));
+            this.game.bullets.push(entityPools.acquire(Bullet, this.x + this.width, centerY - bulletSpacing, this.game));
+            this.game.bullets.push(entityPools.acquire(Bullet, this.x + this.width, centerY + bulletSpacing, this.game));
         } else {
             // Single bullet in the middle (no upgrade)
-            this.game.bullets.push(new Bullet(this.x + this.width, centerY, this.game));
+            this.game.bullets.push(entityPools.acquire(Bullet, this.x + this.width, centerY, this.game));
         }
         
         // Add diagonal bullets if triple bullet upgrade is active
         if (this.tripleBulletLevel > 0) {
+            // Up and down diagonals, or a tighter pair along the right stick when aiming
+            const upAngle = this.aimAngle === null ? -45 : this.aimAngle - this.aimSpread;
+            const downAngle = this.aimAngle === null ? 45 : this.aimAngle + this.aimSpread;
             // Up diagonal bullet
-            this.game.bullets.push(new DiagonalBullet(this.x + this.width, centerY - bulletSpacing * 2, this.game, -45));
+            this.game.bullets.push(entityPools.acquire(DiagonalBullet, this.x + this.width, centerY - bulletSpacing * 2, this.game, upAngle));
             // Down diagonal bullet
-            this.game.bullets.push(new DiagonalBullet(this.x + this.width, centerY + bulletSpacing * 2, this.game, 45));
-        }
-        
-        // Debug: Log bullet count when upgrades are active
-        if (Math.random() < 0.1) { // Only log occasionally to avoid spam
-            const totalBullets = this.game.bullets.length;
-            let upgradeInfo = 'Single bullet';
-            if (this.doubleBulletLevel > 0 && this.tripleBulletLevel > 0) {
-                upgradeInfo = 'Double + Triple (6 bullets)';
-            } else if (this.doubleBulletLevel > 0) {
-                upgradeInfo = 'Double bullet (2 bullets)';
-            } else if (this.tripleBulletLevel > 0) {
-                upgradeInfo = 'Triple bullet (3 bullets)';
-            }
-            console.log(`${upgradeInfo} - Total bullets: ${totalBullets}`);
+            this.game.bullets.push(entityPools.acquire(DiagonalBullet, this.x + this.width, centerY + bulletSpacing * 2, this.game, downAngle));
         }
     }
     
@@ -2746,15 +4818,17 @@ class Player {
             // Trigger controller vibration for rocket firing
             this.triggerRocketVibration();
             
-            this.game.bullets.push(new Rocket(this.x + this.width / 2, this.y + this.height / 2, this.game));
+            this.game.bullets.push(entityPools.acquire(Rocket, this.x + this.width / 2, this.y + this.height / 2, this.game, this));
             this.rocketCooldown = this.rocketCooldownTime;
             console.log('Rocket fired! Cooldown active for', (this.rocketCooldownTime / 1000).toFixed(1), 'seconds');
         }
     }
     
     render(ctx) {
-        // Don't render if hit and blinking
-        if (this.isHit && !this.isVisible) {
+        // Don't render if hit and blinking (reduced flash dims the ship the whole time instead)
+        if (this.isHit && this.game.settings.reducedFlash) {
+            ctx.globalAlpha = 0.5;
+        } else if (this.isHit && !this.isVisible) {
             return;
         }
         
@@ -2768,12 +4842,12 @@ class Player {
             this.drawTurboFlames(ctx);
         }
         
-        // Draw black cat spaceship
-        ctx.fillStyle = '#000';
+        // Draw cat spaceship (black for player one)
+        ctx.fillStyle = this.furColor;
         ctx.fillRect(this.x, this.y, this.width, this.height);
         
         // Cat ears
-        ctx.fillStyle = '#000';
+        ctx.fillStyle = this.furColor;
         ctx.fillRect(this.x + 5, this.y - 10, 8, 10);
         ctx.fillRect(this.x + 27, this.y - 10, 8, 10);
         
@@ -2886,772 +4960,1353 @@ class Player {
        }
  }
 
+// How long an enemy flashes after a hit that doesn't kill it (ms)
+const HIT_FLASH_TIME = 120;
+// How fast knockback bleeds away (px/s per second)
+const KNOCKBACK_DRAG = 900;
+
 class Enemy {
-    constructor(x, y, level, enemyType = 0) {
+    constructor(x, y, level, kind = 'asteroid', game = null) {
+        this.game = game;
+        this.kind = kind; // Id in ENEMY_KINDS
+        const definition = ENEMY_KINDS[kind];
         this.x = x;
         this.y = y;
-        this.width = 30;
-        this.height = 30;
+        this.width = definition.width;
+        this.height = definition.height;
         this.speed = 100 + level * 20;
-        this.health = 1;
-        this.enemyType = enemyType;
+        this.health = definition.health;
+        this.hitFlashTimer = 0;
+        this.knockbackSpeed = 0; // px/s pushing it back to the right
 
+        // Shape and spin come from the gameplay stream so seeded runs lay out identically
+        const rng = game.rng;
+        
         // Rotation properties - initialize for all enemy types
-        this.rotation = Math.random() * 360; // Random starting orientation
+        this.rotation = rng.next() * 360; // Random starting orientation
         this.rotationSpeed = 0; // Default no rotation
         
-        if (enemyType === 0) {
-            // Set rotation speed only for asteroids
-            this.rotationSpeed = Math.random() * 60 + 30; // Random rotation speed (30 to 90 degrees per second)
-            // Randomize asteroid design
-            this.asteroidType = Math.floor(Math.random() * 4); // 0-3 different types
-            this.sizeVariation = Math.random() * 0.4 + 0.8; // 0.8x to 1.2x size
-            this.colorVariation = Math.random() * 0.3 + 0.85; // 0.85x to 1.15x brightness
-            this.detailLevel = Math.floor(Math.random() * 3) + 2; // 2-4 detail layers
+        if (definition.init) {
+            definition.init(this, rng);
+        }
+        this.weapons = (definition.weapons || []).map(spec => new EnemyWeapon(spec));
+        // Toughness - score and metal drops scale with it
+        this.maxHealth = this.health;
+    }
+    
+    getDefinition() {
+        return ENEMY_KINDS[this.kind];
+    }
+    
+    getDamageFrom(projectile) {
+        // Armor scales damage per projectile type; anything not listed takes full damage
+        const armor = this.getDefinition().armor[projectile.damageType];
+        return projectile.damage * (armor !== undefined ? armor : 1);
+    }
+    
+    getMuzzle() {
+        // Where its shots come from
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+    
+    updateWeapons(weapons, deltaTime) {
+        for (const weapon of weapons) {
+            weapon.update(deltaTime, this);
+        }
+    }
+    
+    takeDamage(amount) {
+        this.health -= amount;
+        this.hitFlashTimer = HIT_FLASH_TIME;
+        // Heavier hits shove it further back
+        this.knockbackSpeed += amount * this.getDefinition().knockback;
+    }
+    
+    update(deltaTime) {
+        // Apply turbo multiplier to all enemy movement
+        const turboMultiplier = this.game.gameData.turboMultiplier || 1;
+        const definition = this.getDefinition();
+        definition.move(this, deltaTime, turboMultiplier);
+        if (definition.attack) {
+            definition.attack(this, deltaTime);
+        }
+        this.updateWeapons(this.weapons, deltaTime);
+        
+        // Hit reactions
+        if (this.hitFlashTimer > 0) {
+            this.hitFlashTimer -= deltaTime;
+        }
+        if (this.knockbackSpeed > 0) {
+            this.x += this.knockbackSpeed * deltaTime / 1000;
+            this.knockbackSpeed = Math.max(0, this.knockbackSpeed - KNOCKBACK_DRAG * deltaTime / 1000);
+        }
+    }
+    
+    render(ctx) {
+        const definition = this.getDefinition();
+        // Save current context state
+        ctx.save();
+        definition.render(this, ctx);
+        // Restore context state
+        ctx.restore();
+        
+        // Flash after a hit by drawing it again additively, fading out
+        // (a faint steady glow with reduced flash)
+        if (this.hitFlashTimer > 0) {
+            ctx.save();
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.globalAlpha = this.game.settings.reducedFlash ? 0.2 : this.hitFlashTimer / HIT_FLASH_TIME;
+            definition.render(this, ctx);
+            ctx.restore();
+        }
+    }
+}
+
+// Rat Boss stages by remaining health. A stage ends once health drops to its `above`
+// fraction; attacks run in order and loop, and pace scales how long each one lasts.
+const RAT_BOSS_STAGES = [
+    { above: 0.66, attacks: ['spawn', 'tail', 'charge'], pace: 1 },
+    { above: 0.33, attacks: ['charge', 'cheese', 'tail'], pace: 0.9 },
+    { above: 0, attacks: ['frenzy', 'charge', 'cheese'], pace: 0.75 }
+];
+
+// Base length of each attack in ms - a charge also waits until the boss is back in place
+const RAT_BOSS_ATTACK_TIMES = { spawn: 3000, tail: 3000, charge: 2600, cheese: 3000, frenzy: 4000 };
+
+class RatBoss extends Enemy {
+    constructor(x, y, game) {
+        super(x, y, game.gameData.level, 'ratboss', game);
+        
+        // Override enemy properties for boss
+        this.width = game.width / 5; // 1/5 of screen width
+        this.height = game.height / 5; // 1/5 of screen height
+        this.game = game; // Store game reference for boss functionality
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.phase = 'entering'; // entering, attacking, transition, defeated
+        this.stage = 0; // Index in RAT_BOSS_STAGES
+        this.targetX = game.width * 0.6; // Stop 40% from right edge (closer to player)
+        this.attackIndex = 0;
+        this.attackTimer = 0;
+        this.currentAttack = null; // Key of RAT_BOSS_ATTACK_TIMES while attacking
+        this.hitPlayers = new Set(); // Each attack hurts a player at most once
+        
+        // Stage changes - a telegraph the player can't damage through
+        this.transitionTimer = 0;
+        this.transitionDuration = 1500;
+        
+        // Tail sweep - wind up, then the drawn tail hurts for half a second
+        this.tailAttackTimer = 0;
+        this.tailAttackDuration = 2000; // Sweeps every 2 seconds
+        this.tailWindup = 400;
+        this.tailActiveTime = 500;
+        this.spawnAttackTimer = 1000; // Start ready to spawn first enemy
+        
+        // Charge dash - telegraph the lane, dash across it, then back off
+        this.chargeState = null; // windup, dash, return, done
+        this.chargeTimer = 0;
+        this.chargeWindup = 800;
+        this.chargeSpeed = 900;
+        this.returnSpeed = 400;
+        
+        // Cheese-bomb barrage
+        this.cheeseFired = 0;
+        this.cheeseCount = 6;
+        this.cheeseInterval = 300;
+        this.cheeseTimer = 0;
+        
+        // Enraged spawn wave
+        this.frenzySpawned = 0;
+        this.frenzyCount = 8;
+        this.frenzyInterval = 250;
+
+        this.entranceSpeed = 200;
+        this.isVulnerable = false; // Only vulnerable after entering
+        this.spawnCount = 0; // Track how many enemies spawned in current wave
+        this.maxSpawnsPerWave = 10; // Maximum enemies per spawn wave
+        this.spawnInterval = 1000; // 1 second between individual spawns
+        this.spawnPauseDuration = 5000; // 5 second pause between waves
+        this.isInSpawnPause = false;
+        
+        // Vertical movement during spawn attack
+        this.verticalMovementTimer = 0;
+        this.verticalMovementSpeed = 100; // Speed of vertical movement
+        this.verticalMovementRange = game.height * 0.2; // Reduced range - only 20% of screen height
+        this.verticalCenter = y; // Center position for vertical movement
+        
+        // Guns for each attack - rings with the tail sweep; homing shots during
+        // a wave of mice and a spiral to fill the pause between waves
+        this.attackWeapons = {
+            tail: [
+                new EnemyWeapon({ pattern: 'ring', count: 10, interval: 1500, speed: 150 })
+            ],
+            spawn: [
+                new EnemyWeapon({ pattern: 'aimed', aimed: true, homing: 60, interval: 2000, speed: 200, active: boss => !boss.isInSpawnPause }),
+                new EnemyWeapon({ pattern: 'spiral', count: 3, turn: 20, interval: 400, speed: 140, active: boss => boss.isInSpawnPause })
+            ],
+            frenzy: [
+                new EnemyWeapon({ pattern: 'ring', count: 8, interval: 900, speed: 170 })
+            ]
+        };
+    }
+    
+    update(deltaTime) {
+        // Override Enemy update method with boss-specific logic
+        const turboMultiplier = this.game.gameData.turboMultiplier || 1;
+        
+        if (this.phase === 'entering') {
+            // Slide in from right edge
+            this.x -= this.entranceSpeed * turboMultiplier * deltaTime / 1000;
+            if (this.x <= this.targetX) {
+                this.x = this.targetX;
+                this.phase = 'attacking';
+                this.isVulnerable = true;
+                this.game.music.setIntensity(1); // The fight is on
+                this.startAttack(RAT_BOSS_STAGES[this.stage].attacks[0]);
+            }
+        } else if (this.phase === 'attacking') {
+            // Work through the stage's attacks in order
+            this.attackTimer += deltaTime;
+            if (this.isAttackFinished()) {
+                const attacks = RAT_BOSS_STAGES[this.stage].attacks;
+                this.attackIndex = (this.attackIndex + 1) % attacks.length;
+                this.startAttack(attacks[this.attackIndex]);
+            }
             
-            // Generate fixed detail positions for consistent rendering
-            this.details = [];
-            for (let i = 0; i < this.detailLevel; i++) {
-                this.details.push({
-                    x: (Math.random() - 0.5), // -0.5 to 0.5
-                    y: (Math.random() - 0.5)  // -0.5 to 0.5
-                });
+            if (this.currentAttack === 'tail') {
+                this.performTailAttack(deltaTime);
+            } else if (this.currentAttack === 'spawn') {
+                this.performSpawnAttack(deltaTime);
+            } else if (this.currentAttack === 'charge') {
+                this.performChargeAttack(deltaTime);
+            } else if (this.currentAttack === 'cheese') {
+                this.performCheeseAttack(deltaTime);
+            } else if (this.currentAttack === 'frenzy') {
+                this.performFrenzyAttack(deltaTime);
+            }
+            this.updateWeapons(this.attackWeapons[this.currentAttack] || [], deltaTime);
+        } else if (this.phase === 'transition') {
+            // Drift back into place while the telegraph plays
+            this.x = Math.min(this.targetX, this.x + this.returnSpeed * deltaTime / 1000);
+            this.transitionTimer += deltaTime;
+            if (this.transitionTimer >= this.transitionDuration) {
+                this.stage++;
+                this.phase = 'attacking';
+                this.isVulnerable = true;
+                this.attackIndex = 0;
+                this.startAttack(RAT_BOSS_STAGES[this.stage].attacks[0]);
+            }
+        } else if (this.phase === 'defeated') {
+            // Countdown to despawning
+            if (this.defeatTimer > 0) {
+                this.defeatTimer -= deltaTime;
             }
         }
+
+    }
+    
+    startAttack(attack) {
+        this.currentAttack = attack;
+        this.attackTimer = 0;
+        this.hitPlayers.clear();
         
-        // Initialize bird enemy phase
-        if (this.enemyType === 4) {
-            this._phase = 'entering';
+        if (attack === 'tail') {
+            // Reset vertical position for the tail attack
+            this.y = this.verticalCenter;
+            this.verticalMovementTimer = 0;
+            this.tailAttackTimer = 0;
+        } else if (attack === 'charge') {
+            this.chargeState = 'windup';
+            this.chargeTimer = 0;
+        } else if (attack === 'cheese') {
+            this.cheeseFired = 0;
+            this.cheeseTimer = 0;
+        } else if (attack === 'frenzy') {
+            this.frenzySpawned = 0;
+            this.spawnAttackTimer = 0;
         }
     }
     
-    layBomb() {
-        // Create a proximity bomb at the snake's current position
-        if (this.game && this.game.proximityBombs) {
-            const bomb = new ProximityBomb(this.x, this.y, this.game);
-            this.game.proximityBombs.push(bomb);
-            console.log(`Snake laid landmine at (${this.x}, ${this.y}) - Total landmines: ${this.game.proximityBombs.length}`);
+    isAttackFinished() {
+        const duration = RAT_BOSS_ATTACK_TIMES[this.currentAttack] * RAT_BOSS_STAGES[this.stage].pace;
+        if (this.currentAttack === 'charge' && this.chargeState !== 'done') {
+            return false;
         }
+        return this.attackTimer >= duration;
     }
     
-    update(deltaTime) {
-        // Apply turbo multiplier to all enemy movement
-        const turboMultiplier = this.game.gameData.turboMultiplier || 1;
+    performTailAttack(deltaTime) {
+        this.tailAttackTimer += deltaTime;
+        if (this.tailAttackTimer >= this.tailAttackDuration) {
+            // Next sweep can hit again
+            this.tailAttackTimer = 0;
+            this.hitPlayers.clear();
+        }
+    }
+    
+    isTailWindingUp() {
+        return this.currentAttack === 'tail' && this.tailAttackTimer < this.tailWindup;
+    }
+    
+    isTailActive() {
+        return this.currentAttack === 'tail' && this.tailAttackTimer >= this.tailWindup &&
+               this.tailAttackTimer < this.tailWindup + this.tailActiveTime;
+    }
+    
+    performSpawnAttack(deltaTime) {
+        this.spawnAttackTimer += deltaTime;
+        this.bob(deltaTime);
         
-        if (this.enemyType === 0) {
-            // Move horizontally for side-scroller
-            this.x -= this.speed * turboMultiplier * deltaTime / 1000;
-            
-            // Update rotation - frame-rate independent
-            this.rotation += this.rotationSpeed * deltaTime / 1000;
-            if (this.rotation > 360) this.rotation -= 360;
-            if (this.rotation < 0) this.rotation += 360;
-        }
-        // mouse
-        if (this.enemyType === 1) {
-            // Move horizontally for side-scroller
-            this.x -= this.speed * 0.6 * turboMultiplier * deltaTime / 1000;
-
-            // Only home in on player if they're not cloaked
-            if (!this.game.player.isCloaked) {
-                // Calculate angle to face player
-                const dx = this.game.player.x - this.x;
-                const dy = this.game.player.y - this.y;
-                this.targetRotation = Math.atan2(dy, dx) * 180 / Math.PI;
-                
-                // Smoothly rotate to face player
-                const rotationDiff = this.targetRotation - this.rotation;
-                this.rotation += rotationDiff * deltaTime / 1000 * 2; // Smooth rotation
-                
-                // Move toward player at reasonable speed
-                const moveSpeed = 0.3; // Balanced movement speed
-                this.x = lerp(this.x, this.game.player.x, moveSpeed * deltaTime / 1000);
-                this.y = lerp(this.y, this.game.player.y, moveSpeed * deltaTime / 1000);
-            } else {
-                // When cloaked, rotate slowly as if disabled
-                this.rotation += 15 * deltaTime / 1000; // Slow disabled rotation
+        if (this.isInSpawnPause) {
+            // Check if pause is over
+            if (this.spawnAttackTimer >= this.spawnPauseDuration) {
+                this.isInSpawnPause = false;
+                this.spawnAttackTimer = 0;
+                this.spawnCount = 0;
             }
+            return;
         }
-        // shop station
-        if (this.enemyType === 2) {
-            // Faster float from right to left with slight bobbing (doubled speed)
-            this.x -= this.speed * 0.6 * turboMultiplier * deltaTime / 1000;
-            this._bobTimer = (this._bobTimer || 0) + deltaTime / 1000;
-            this.y += Math.sin(this._bobTimer * 2) * 0.2;
-        }
-        // Snake enemy - moves diagonally and lays proximity bombs
-        if (this.enemyType === 3) {
-            // Move diagonally across screen
-            this.x -= this.speed * 0.8 * turboMultiplier * deltaTime / 1000;
-            this.y += Math.sin(this._diagonalTimer || 0) * 50 * turboMultiplier * deltaTime / 1000;
-            
-            this._diagonalTimer = (this._diagonalTimer || 0) + deltaTime / 1000 * 2;
-            
-            // Lay bombs periodically
-            this._bombTimer = (this._bombTimer || 0) + deltaTime;
-            if (this._bombTimer > 2000) { // Every 2 seconds
-                this.layBomb();
-                this._bombTimer = 0;
-            }
+        
+        // Check if we've spawned enough enemies for this wave
+        if (this.spawnCount >= this.maxSpawnsPerWave) {
+            this.isInSpawnPause = true;
+            this.spawnAttackTimer = 0;
+            return;
         }
-        // Bird enemy - flies in from right, fires beam, flies out left
-        if (this.enemyType === 4) {
-            if (this._phase === 'entering') {
-                // Fly in from right
-                this.x -= this.speed * 0.5 * turboMultiplier * deltaTime / 1000;
-                if (this.x <= this.game.width - 100) {
-                    this._phase = 'firing';
-                    this._firingTimer = 0;
-                    console.log('Bird started firing beam at (', this.x, ',', this.y, ')');
-                }
-            } else if (this._phase === 'firing') {
-                // Stay in position and fire beam
-                this._firingTimer += deltaTime;
-                if (this._firingTimer > 3000) { // Fire for 3 seconds
-                    this._phase = 'exiting';
-                    console.log('Bird finished firing beam, exiting');
-                }
-            } else if (this._phase === 'exiting') {
-                // Fly out to left
-                this.x -= this.speed * 0.8 * turboMultiplier * deltaTime / 1000;
-            }
+        
+        // Spawn enemies at regular intervals
+        if (this.spawnAttackTimer >= this.spawnInterval) {
+            this.spawnEnemiesFromMouth();
+            this.spawnAttackTimer = 0;
         }
     }
     
-    render(ctx) {
-        // Save current context state
-        ctx.save();
-        if (this.enemyType === 0) {
-            // Move to asteroid center and rotate
-            ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
-            ctx.rotate(this.rotation * Math.PI / 180);
-            
-            // Apply size variation
-            const scaledWidth = this.width * this.sizeVariation;
-            const scaledHeight = this.height * this.sizeVariation;
-            
-            // Draw different asteroid types using generic method
-            switch (this.asteroidType) {
-                case 0: // Square asteroid (4 sides)
-                    this.drawGenericAsteroid(ctx, scaledWidth, scaledHeight, 4);
-                    break;
-                case 1: // Diamond asteroid (4 sides)
-                    this.drawGenericAsteroid(ctx, scaledWidth, scaledHeight, 4);
-                    break;
-                case 2: // Octagon asteroid (8 sides)
-                    this.drawGenericAsteroid(ctx, scaledWidth, scaledHeight, 8);
-                    break;
-                case 3: // Irregular asteroid (6 sides)
-                    this.drawGenericAsteroid(ctx, scaledWidth, scaledHeight, 6);
-                    break;
-            }
-        } else if (this.enemyType === 1) {
-            // Draw mouse enemy
-            this.drawMouseEnemy(ctx);
-        } else if (this.enemyType === 2) {
-            // Draw shop enemy
-            this.drawShop(ctx);
-        } else if (this.enemyType === 3) {
-            // Draw snake enemy
-            this.drawSnakeEnemy(ctx);
-        } else if (this.enemyType === 4) {
-            // Draw bird enemy
-            this.drawBirdEnemy(ctx);
-        }
+    bob(deltaTime) {
+        // Update vertical movement timer
+        this.verticalMovementTimer += deltaTime;
         
-        // Restore context state
-        ctx.restore();
+        // Calculate vertical movement using sine wave for smooth up/down motion
+        const verticalOffset = Math.sin(this.verticalMovementTimer * 0.002) * this.verticalMovementRange;
+        this.y = this.verticalCenter + verticalOffset;
     }
     
-    drawMouseEnemy(ctx) {
-        // Save context for rotation
-        ctx.save();
-        ctx.translate(this.x + this.width / 2, this.y + this.height / 2);
-        ctx.rotate(this.rotation * Math.PI / 180);
-        
-        // Draw mouse body (circle with ears)
-        ctx.fillStyle = '#808080'; // Grey
-        
-        // Main body
-        ctx.beginPath();
-        ctx.arc(0, 0, 12, 0, Math.PI * 2);
-        ctx.fill();
+    performChargeAttack(deltaTime) {
+        this.chargeTimer += deltaTime;
         
-        // Ears
-        ctx.fillStyle = '#A0A0A0';
-        ctx.beginPath();
-        ctx.arc(-8, -12, 6, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.arc(8, -12, 6, 0, Math.PI * 2);
-        ctx.fill();
+        if (this.chargeState === 'windup') {
+            // The lane is shown for the whole wind up - see drawChargeTelegraph
+            if (this.chargeTimer >= this.chargeWindup) {
+                this.chargeState = 'dash';
+                this.game.triggerScreenShake(10, 300);
+            }
+        } else if (this.chargeState === 'dash') {
+            this.x -= this.chargeSpeed * deltaTime / 1000;
+            if (this.x <= 0) {
+                this.x = 0;
+                this.chargeState = 'return';
+            }
+        } else if (this.chargeState === 'return') {
+            this.x += this.returnSpeed * deltaTime / 1000;
+            if (this.x >= this.targetX) {
+                this.x = this.targetX;
+                this.chargeState = 'done';
+            }
+        }
+    }
+    
+    performCheeseAttack(deltaTime) {
+        if (this.cheeseFired >= this.cheeseCount) return;
         
-        // Eyes
-        ctx.fillStyle = '#000';
-        ctx.beginPath();
-        ctx.arc(-4, -2, 2, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.arc(4, -2, 2, 0, Math.PI * 2);
-        ctx.fill();
+        this.cheeseTimer += deltaTime;
+        if (this.cheeseTimer >= this.cheeseInterval) {
+            this.cheeseTimer = 0;
+            this.lobCheeseBomb();
+            this.cheeseFired++;
+        }
+    }
+    
+    lobCheeseBomb() {
+        const game = this.game;
+        const muzzle = this.getMuzzle();
         
-        // Status light (blinking green when disabled, red when active)
-        const time = Date.now() * 0.005;
-        if (this.game.player.isCloaked) {
-            // Blinking green light when disabled
-            ctx.fillStyle = Math.sin(time * 3) > 0 ? '#00ff00' : '#003300';
+        // Land around the nearest player it can see, or anywhere on the player's side
+        const target = game.getNearestPlayer(muzzle.x, muzzle.y, true);
+        let targetX;
+        let targetY;
+        if (target) {
+            targetX = target.x + target.width / 2 + (game.rng.next() - 0.5) * 120;
+            targetY = target.y + target.height / 2 + (game.rng.next() - 0.5) * 120;
         } else {
-            // Solid red light when active
-            ctx.fillStyle = '#ff0000';
+            targetX = game.rng.next() * game.width * 0.5;
+            targetY = game.rng.next() * game.height;
         }
+        targetX = Math.max(20, Math.min(game.width - 20, targetX));
+        targetY = Math.max(20, Math.min(game.height - 20, targetY));
         
-        // Draw status light on top of mouse
-        ctx.beginPath();
-        ctx.arc(0, -8, 3, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Add glow effect to status light
-        ctx.shadowColor = ctx.fillStyle;
-        ctx.shadowBlur = 8;
-        ctx.beginPath();
-        ctx.arc(0, -8, 3, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
-        
-        ctx.restore();
+        game.enemyProjectiles.push(entityPools.acquire(CheeseBomb, muzzle.x, muzzle.y, game, targetX, targetY));
     }
     
-    drawShop(ctx) {
-        // Use enemy dimensions as shop size (1/4 screen height set at spawn)
-        const shopWidth = this.width;
-        const shopHeight = this.height;
-        const shopX = this.x;
-        const shopY = this.y;
-        
-        // Main space station body
-        ctx.fillStyle = '#2c3e50';
-        ctx.fillRect(shopX, shopY, shopWidth, shopHeight);
+    performFrenzyAttack(deltaTime) {
+        // A wave of mice much faster than the normal one, regardless of its pauses
+        this.spawnAttackTimer += deltaTime;
+        this.bob(deltaTime);
         
-        // Layer for rounded-corner effect
-        ctx.fillStyle = '#34495e';
-        ctx.fillRect(shopX + 5, shopY, shopWidth - 10, shopHeight);
-        ctx.fillRect(shopX, shopY + 5, shopWidth, shopHeight - 10);
+        if (this.frenzySpawned < this.frenzyCount && this.spawnAttackTimer >= this.frenzyInterval) {
+            this.spawnEnemiesFromMouth();
+            this.frenzySpawned++;
+            this.spawnAttackTimer = 0;
+        }
+    }
+    
+    hitPlayer(player, gameplay, damage) {
+        if (this.hitPlayers.has(player)) return;
+        this.hitPlayers.add(player);
+        gameplay.damagePlayer(player, damage);
+    }
+    
+    getMuzzle() {
+        // Shots come out of the mouth on the left
+        return { x: this.x, y: this.y + this.height / 2 };
+    }
+    
+    getTailCurve() {
+        // The swept tail drawn by drawTailAttack, and hit tested by isTailHitting
+        return {
+            start: { x: this.x + this.width, y: this.y + this.height * 0.5 },
+            control: { x: this.x + this.width + 100, y: this.y + this.height * 0.2 },
+            end: { x: this.x + this.width + 150, y: this.y + this.height * 0.8 },
+            thickness: 20
+        };
+    }
+    
+    isTailHitting(player) {
+        // Walk along the curve and test the stroke's width against the player's box
+        const { start, control, end, thickness } = this.getTailCurve();
+        const radius = thickness / 2;
+        const steps = 16;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const u = 1 - t;
+            const x = u * u * start.x + 2 * u * t * control.x + t * t * end.x;
+            const y = u * u * start.y + 2 * u * t * control.y + t * t * end.y;
+            
+            // Distance from this point to the nearest edge of the player
+            const dx = x - Math.max(player.x, Math.min(x, player.x + player.width));
+            const dy = y - Math.max(player.y, Math.min(y, player.y + player.height));
+            if (dx * dx + dy * dy <= radius * radius) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    spawnEnemiesFromMouth() {
+        // Spawn 1 enemy from the boss mouth - always mice/rats
+        // Spawn at absolute screen positions - right side of screen, random height
+        const spawnX = this.game.width - 150; // Fixed position from right edge (more on-screen)
+        const spawnY = 100 + this.game.rng.next() * (this.game.height - 200); // Random height in middle area
         
-        // Central structure details
-        ctx.fillStyle = '#1a252f';
-        ctx.fillRect(shopX + shopWidth * 0.2, shopY + shopHeight * 0.1, shopWidth * 0.6, shopHeight * 0.8);
+        const enemy = new Enemy(spawnX, spawnY, this.game.gameData.level, 'mouse', this.game);
+        enemy.spawnedByBoss = true; // Mark this enemy as boss-spawned
         
-        // Windows
-        ctx.fillStyle = '#3498db';
-        for (let i = 0; i < 3; i++) {
-            const windowX = shopX + shopWidth * 0.25 + (i * shopWidth * 0.2);
-            const windowY = shopY + shopHeight * 0.2;
-            const windowSize = shopHeight * 0.15;
-            ctx.fillRect(windowX, windowY, windowSize, windowSize);
-        }
+        // Add to main game enemies array
+        this.game.enemies.push(enemy);
         
-        // SHOP billboard
-        ctx.fillStyle = '#e74c3c';
-        const billboardWidth = shopWidth * 0.8;
-        const billboardHeight = shopHeight * 0.2;
-        const billboardX = shopX + (shopWidth - billboardWidth) / 2;
-        const billboardY = shopY + shopHeight * 0.7;
-        ctx.fillRect(billboardX, billboardY, billboardWidth, billboardHeight);
+        // Increment spawn count for this wave
+        this.spawnCount++;
+    }
+    
+    takeDamage(amount) {
+        if (!this.isVulnerable) return;
         
-        // SHOP text
-        ctx.fillStyle = '#ffffff';
-        ctx.font = `${shopHeight * 0.15}px monospace`;
-        ctx.textAlign = 'center';
-        ctx.fillText('SHOP', shopX + shopWidth / 2, billboardY + billboardHeight * 0.7);
+        this.health -= amount;
         
-        // Antenna/dish on top
-        ctx.fillStyle = '#95a5a6';
-        ctx.fillRect(shopX + shopWidth * 0.4, shopY - shopHeight * 0.1, shopWidth * 0.2, shopHeight * 0.1);
+        // Crossing into the next stage stops at the threshold, so a big hit can't skip one
+        const threshold = Math.round(this.maxHealth * RAT_BOSS_STAGES[this.stage].above);
+        if (this.health <= threshold && this.stage < RAT_BOSS_STAGES.length - 1) {
+            this.health = threshold;
+            this.startTransition();
+        } else if (this.health <= 0) {
+            this.defeat();
+        }
         
-        // Docking ports on sides
-        ctx.fillStyle = '#7f8c8d';
-        ctx.fillRect(shopX - shopHeight * 0.05, shopY + shopHeight * 0.3, shopHeight * 0.1, shopHeight * 0.4);
-        ctx.fillRect(shopX + shopWidth, shopY + shopHeight * 0.3, shopHeight * 0.1, shopHeight * 0.4);
+        // Create damage effect
+        this.createDamageEffect();
     }
-
-    drawGenericAsteroid(ctx, width, height, sides = 6) {
-        // Base color with variation
-        const baseColor = this.adjustColor('#808080', this.colorVariation);
-        ctx.fillStyle = baseColor;
-
-        // Create a polygon with the given sides
-        ctx.beginPath();
-        for (let i = 0; i < sides; i++) {
-            const angle = (i * Math.PI * 2) / sides;
-            const x = Math.cos(angle) * width / 2;
-            const y = Math.sin(angle) * height / 2;
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
+    
+    startTransition() {
+        // Break off the current attack and telegraph the next stage
+        this.phase = 'transition';
+        this.isVulnerable = false;
+        this.currentAttack = null;
+        this.chargeState = null;
+        this.isInSpawnPause = false;
+        this.transitionTimer = 0;
+        this.y = this.verticalCenter;
+        this.verticalMovementTimer = 0;
+        this.game.triggerScreenShake(20, 500);
+    }
+    
+    defeat() {
+        this.phase = 'defeated';
+        this.isVulnerable = false;
+        this.game.music.setIntensity(0);
+        
+        // Trigger massive controller vibration for boss defeat
+        if (this.game.controllers && this.game.controllers.length > 0) {
+            this.game.controllers.forEach(controller => {
+                if (controller && controller.vibrationActuator) {
+                    controller.vibrationActuator.playEffect('dual-rumble', {
+                        startDelay: 0,
+                        duration: 1000,
+                        weakMagnitude: 1.0,
+                        strongMagnitude: 1.0
+                    });
+                }
+            });
         }
-        ctx.closePath();
-        ctx.fill();
         
-        // Add detail layers using stored positions
-        if (this.details && this.details.length > 0) {
-            for (let i = 0; i < this.detailLevel && i < this.details.length; i++) {
-                const detail = this.details[i];
-                const detailSize = (width * 0.25) - (i * width * 0.08);
-                const detailX = detail.x * width * 0.3;
-                const detailY = detail.y * height * 0.3;
-
-                ctx.fillStyle = this.adjustColor('#404040', this.colorVariation);
-                ctx.fillRect(-detailSize / 2 + detailX, -detailSize / 2 + detailY, detailSize, detailSize);
-            }
+        // Create massive explosion
+        for (let i = 0; i < 50; i++) {
+            const angle = this.game.cosmeticRng.next() * 360;
+            const speed = this.game.cosmeticRng.next() * 8 + 4;
+            this.game.particles.push(entityPools.acquire(BossExplosion, this.x + this.width / 2, this.y + this.height / 2, angle, speed, this.game.cosmeticRng));
         }
         
-        // Add highlights using stored positions for consistency
-        ctx.fillStyle = this.adjustColor('#c0c0c0', this.colorVariation);
-        if (this.details && this.details.length > 0) {
-            // Use first two detail positions for highlights, scaled appropriately
-            ctx.fillRect(-2 + this.details[0].x * width * 0.1, -height / 2 + 2 + this.details[0].y * height * 0.1, 4, 4);
-            if (this.details.length > 1) {
-                ctx.fillRect(width / 2 - 6 + this.details[1].x * width * 0.1, -2 + this.details[1].y * height * 0.1, 4, 4);
-            }
+        // Drop 100 metal
+        for (let i = 0; i < 20; i++) { // Spread out the metal drops
+            const offsetX = (this.game.rng.next() - 0.5) * 100;
+            const offsetY = (this.game.rng.next() - 0.5) * 60;
+            const metal = entityPools.acquire(Metal, this.x + this.width / 2 + offsetX, this.y + this.height / 2 + offsetY, this.game);
+            this.game.metal.push(metal);
+        }
+        
+        // Trigger massive screen shake
+        if (this.game.triggerScreenShake) {
+            this.game.triggerScreenShake(200, 1000);
         }
+        
+        // Mark boss for removal after a short delay to allow explosion effects
+        this.defeatTimer = 2000; // 2 seconds delay
     }
     
-
-    
-    adjustColor(baseColor, variation) {
-        // Simple color adjustment - could be made more sophisticated
-        if (baseColor === '#808080') {
-            const gray = Math.floor(128 * variation);
-            return `rgb(${gray}, ${gray}, ${gray})`;
-        } else if (baseColor === '#404040') {
-            const gray = Math.floor(64 * variation);
-            return `rgb(${gray}, ${gray}, ${gray})`;
-        } else if (baseColor === '#c0c0c0') {
-            const gray = Math.floor(192 * variation);
-            return `rgb(${gray}, ${gray}, ${gray})`;
+    createDamageEffect() {
+        // Create damage particles
+        for (let i = 0; i < 8; i++) {
+            const angle = this.game.cosmeticRng.next() * 360;
+            const speed = this.game.cosmeticRng.next() * 3 + 2;
+            this.game.particles.push(entityPools.acquire(DamageParticle, this.x + this.width / 2, this.y + this.height / 2, angle, speed, this.game.cosmeticRng));
         }
-        return baseColor;
     }
     
-    drawSnakeEnemy(ctx) {
-        // Draw snake body (segmented)
-        ctx.fillStyle = '#00ff00'; // Green
-        
-        // Main body segments
-        for (let i = 0; i < 3; i++) {
-            const segmentX = this.x + i * 8;
-            const segmentY = this.y + Math.sin((this._diagonalTimer || 0) * 2 + i * 0.5) * 3;
-            ctx.fillRect(segmentX, segmentY, 8, 12);
+    render(ctx) {
+        // Telegraphs go under the boss
+        if (this.chargeState === 'windup') {
+            this.drawChargeTelegraph(ctx);
+        }
+        if (this.isTailWindingUp()) {
+            this.drawTailTelegraph(ctx);
         }
         
-        // Head
-        ctx.fillStyle = '#008800';
-        ctx.fillRect(this.x + 24, this.y + 2, 10, 8);
+        // Draw health bar above boss
+        this.renderHealthBar(ctx);
         
-        // Eyes
-        ctx.fillStyle = '#ff0000';
-        ctx.fillRect(this.x + 26, this.y + 4, 2, 2);
-        ctx.fillRect(this.x + 30, this.y + 4, 2, 2);
+        // Draw boss body - redder the angrier it gets, trembling before a charge
+        const shake = this.chargeState === 'windup' ? Math.sin(this.chargeTimer * 0.08) * 3 : 0;
+        ctx.save();
+        ctx.translate(shake, 0);
+        ctx.fillStyle = ['#8B4513', '#9b3a13', '#b02a10'][this.stage]; // Brown, reddening each stage
+        ctx.fillRect(this.x, this.y, this.width, this.height);
         
-        // Tail
-        ctx.fillStyle = '#00aa00';
-        ctx.fillRect(this.x - 4, this.y + 4, 6, 4);
+        // Draw boss details
+        this.drawBossDetails(ctx);
+        ctx.restore();
+        
+        // Draw attack effects
+        if (this.isTailActive()) {
+            this.drawTailAttack(ctx);
+        }
+        
+        if (this.phase === 'transition') {
+            this.drawTransition(ctx);
+        }
+        
+        // Draw spawn pause indicator
+        if (this.isInSpawnPause && this.currentAttack === 'spawn') {
+            this.drawSpawnPauseIndicator(ctx);
+        }
     }
     
-    drawBirdEnemy(ctx) {
-        // Draw bird body
-        ctx.fillStyle = '#8B4513'; // Brown
+    renderHealthBar(ctx) {
+        const barWidth = this.width;
+        const barHeight = 10;
+        const barX = this.x;
+        const barY = this.y - 20;
         
-        // Main body
-        ctx.fillRect(this.x, this.y + 8, 20, 12);
+        // Background
+        ctx.fillStyle = '#333';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
         
-        // Wings
-        ctx.fillStyle = '#654321';
-        const wingFlap = Math.sin((this._diagonalTimer || 0) * 4) * 2;
-        ctx.fillRect(this.x - 8, this.y + 6 + wingFlap, 12, 8);
-        ctx.fillRect(this.x + 16, this.y + 6 + wingFlap, 12, 8);
+        // Health bar
+        const healthPercent = this.health / this.maxHealth;
+        ctx.fillStyle = healthPercent > 0.5 ? '#00ff00' : healthPercent > 0.25 ? '#ffff00' : '#ff0000';
+        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
         
-        // Head
-        ctx.fillStyle = '#A0522D';
-        ctx.fillRect(this.x + 18, this.y + 6, 8, 8);
+        // Stage thresholds
+        ctx.fillStyle = '#fff';
+        RAT_BOSS_STAGES.forEach(stage => {
+            if (stage.above > 0) {
+                ctx.fillRect(barX + barWidth * stage.above - 1, barY, 2, barHeight);
+            }
+        });
         
-        // Beak
-        ctx.fillStyle = '#FFD700';
-        ctx.fillRect(this.x + 26, this.y + 8, 4, 4);
+        // Border
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(barX, barY, barWidth, barHeight);
         
+        // Health text
+        ctx.fillStyle = '#fff';
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.health}/${this.maxHealth}`, barX + barWidth / 2, barY + barHeight / 2 + 4);
+    }
+    
+    drawBossDetails(ctx) {
         // Eyes
+        ctx.fillStyle = '#ff0000';
+        ctx.fillRect(this.x + this.width * 0.2, this.y + this.height * 0.2, 8, 8);
+        ctx.fillRect(this.x + this.width * 0.7, this.y + this.height * 0.2, 8, 8);
+        
+        // Mouth
         ctx.fillStyle = '#000';
-        ctx.fillRect(this.x + 20, this.y + 8, 2, 2);
+        ctx.fillRect(this.x + this.width * 0.4, this.y + this.height * 0.6, this.width * 0.2, this.height * 0.3);
         
-        // Draw beam when firing
-        if (this._phase === 'firing') {
-            ctx.strokeStyle = '#ffff00';
-            ctx.lineWidth = 3;
+        // Ears
+        ctx.fillStyle = '#654321';
+        ctx.fillRect(this.x - 5, this.y - 5, 10, 15);
+        ctx.fillRect(this.x + this.width - 5, this.y - 5, 10, 15);
+        
+        // Tail (curved)
+        ctx.strokeStyle = '#654321';
+        ctx.lineWidth = 8;
+        ctx.beginPath();
+        ctx.moveTo(this.x + this.width, this.y + this.height * 0.5);
+        ctx.quadraticCurveTo(this.x + this.width + 50, this.y + this.height * 0.3, this.x + this.width + 80, this.y + this.height * 0.7);
+        ctx.stroke();
+    }
+    
+    strokeTailCurve(ctx) {
+        const { start, control, end } = this.getTailCurve();
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+        ctx.stroke();
+    }
+    
+    drawTailAttack(ctx) {
+        // Draw tail sweep effect - exactly the area that hurts
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.6)';
+        ctx.lineWidth = this.getTailCurve().thickness;
+        this.strokeTailCurve(ctx);
+    }
+    
+    drawTailTelegraph(ctx) {
+        // Dashed outline of the coming sweep
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.35)';
+        ctx.lineWidth = this.getTailCurve().thickness;
+        ctx.setLineDash([6, 6]);
+        this.strokeTailCurve(ctx);
+        ctx.restore();
+    }
+    
+    drawChargeTelegraph(ctx) {
+        // The lane the body will sweep through, filling up as the dash gets closer
+        const progress = this.chargeTimer / this.chargeWindup;
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.15)';
+        ctx.fillRect(0, this.y, this.x, this.height);
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.3)';
+        ctx.fillRect(this.x * (1 - progress), this.y, this.x * progress, this.height);
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(0, this.y, this.x, this.height);
+    }
+    
+    drawTransition(ctx) {
+        // Shockwaves and a shield while the boss can't be hurt
+        const progress = this.transitionTimer / this.transitionDuration;
+        const cx = this.x + this.width / 2;
+        const cy = this.y + this.height / 2;
+        const radius = Math.max(this.width, this.height) * 0.75;
+        
+        ctx.save();
+        ctx.strokeStyle = '#ff4040';
+        ctx.lineWidth = 3;
+        for (let i = 0; i < 3; i++) {
+            const wave = (progress * 3 + i / 3) % 1;
+            ctx.globalAlpha = 1 - wave;
             ctx.beginPath();
-            ctx.moveTo(this.x + 30, this.y + 12);
-            ctx.lineTo(0, this.y + 12);
-            ctx.stroke();
-            
-            // Beam glow effect
-            ctx.shadowColor = '#ffff00';
-            ctx.shadowBlur = 10;
+            ctx.arc(cx, cy, radius * (0.5 + wave), 0, Math.PI * 2);
             ctx.stroke();
-            ctx.shadowBlur = 0;
         }
-    }
-}
-
-class RatBoss extends Enemy {
-    constructor(x, y, game) {
-        // Call Enemy constructor with special enemyType for RatBoss
-        super(x, y, game.gameData.level, 5); // enemyType 5 for RatBoss
         
-        // Override enemy properties for boss
-        this.width = game.width / 5; // 1/5 of screen width
-        this.height = game.height / 5; // 1/5 of screen height
-        this.game = game; // Store game reference for boss functionality
-        this.maxHealth = 100;
-        this.health = this.maxHealth;
-        this.phase = 'entering'; // entering, attacking, defeated
-        this.targetX = game.width * 0.6; // Stop 40% from right edge (closer to player)
-        this.attackTimer = 3000; // Start with spawn attack already active
-        this.attackInterval = 3000; // 3 seconds between attacks
-        this.currentAttack = 'spawn'; // tail or spawn
-        this.tailAttackTimer = 0;
-        this.tailAttackDuration = 2000; // 2 seconds for tail attack
-        this.spawnAttackTimer = 1000; // Start ready to spawn first enemy
-        this.spawnAttackDuration = 10000; // 10 seconds for spawn attack (allows time to destroy enemies)
-
-        this.entranceSpeed = 200;
-        this.isVulnerable = false; // Only vulnerable after entering
-        this.spawnCount = 0; // Track how many enemies spawned in current wave
-        this.maxSpawnsPerWave = 10; // Maximum enemies per spawn wave
-        this.spawnInterval = 1000; // 1 second between individual spawns
-        this.spawnPauseDuration = 5000; // 5 second pause between waves
-        this.isInSpawnPause = false;
+        ctx.globalAlpha = 0.25 + 0.15 * Math.sin(this.transitionTimer * 0.02);
+        ctx.fillStyle = '#80c0ff';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fill();
         
-        // Vertical movement during spawn attack
-        this.verticalMovementTimer = 0;
-        this.verticalMovementSpeed = 100; // Speed of vertical movement
-        this.verticalMovementRange = game.height * 0.2; // Reduced range - only 20% of screen height
-        this.verticalCenter = y; // Center position for vertical movement
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#ff4040';
+        ctx.font = '20px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.stage === RAT_BOSS_STAGES.length - 2 ? 'ENRAGED!' : 'PHASE ' + (this.stage + 2), cx, this.y - 30);
+        ctx.restore();
     }
     
-    update(deltaTime) {
-        // Override Enemy update method with boss-specific logic
-        const turboMultiplier = this.game.gameData.turboMultiplier || 1;
+    drawSpawnPauseIndicator(ctx) {
+        // Draw a visual indicator that spawn attack is paused
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.7)';
+        ctx.font = '16px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('SPAWN PAUSED', this.x + this.width / 2, this.y - 30);
         
-        if (this.phase === 'entering') {
-            // Slide in from right edge
-            this.x -= this.entranceSpeed * turboMultiplier * deltaTime / 1000;
-            if (this.x <= this.targetX) {
-                this.x = this.targetX;
-                this.phase = 'attacking';
-                this.isVulnerable = true;
-            }
-        } else if (this.phase === 'attacking') {
-            // Alternate between attacks
-            this.attackTimer += deltaTime;
-            if (this.attackTimer >= this.attackInterval) {
-                this.attackTimer = 0;
-                this.currentAttack = this.currentAttack === 'tail' ? 'spawn' : 'tail';
-                
-                // Reset vertical position when switching to tail attack
-                if (this.currentAttack === 'tail') {
-                    this.y = this.verticalCenter;
-                    this.verticalMovementTimer = 0;
-                }
-            }
-            
-            if (this.currentAttack === 'tail') {
-                this.performTailAttack(deltaTime);
-            } else {
-                this.performSpawnAttack(deltaTime);
-            }
-        } else if (this.phase === 'defeated') {
-            // Countdown to despawning
-            if (this.defeatTimer > 0) {
-                this.defeatTimer -= deltaTime;
-            }
-        }
+        // Draw a countdown bar
+        const barWidth = this.width;
+        const barHeight = 4;
+        const barX = this.x;
+        const barY = this.y - 40;
+        
+        // Background
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.3)';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+        
+        // Progress bar
+        const progress = this.spawnAttackTimer / this.spawnPauseDuration;
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
+        ctx.fillRect(barX, barY, barWidth * progress, barHeight);
+    }
+}
+
+
+// Enemy kinds by id - the id is what spawnEnemy takes, and each kind's objective
+// is the key level data counts it under. Everything that differs between kinds
+// lives here, so a new enemy is one registerEnemyKind call:
+//   objective      - key in level objectives and spawn rules, e.g. 'asteroids'; kinds
+//                    without one only appear when another enemy creates them
+//   width, height  - hitbox (default 30 x 30)
+//   health         - hits from a plain bullet to destroy it (default 1)
+//   armor          - damage multiplier per projectile damageType, e.g. { diagonal: 0.5 }
+//   knockback      - px/s it is pushed back per point of damage (default 150)
+//   score          - points for destroying it, per point of health (default 100)
+//   drops          - metal drop table { chance, count, spread: { x, y } or null };
+//                    count is per point of health
+//   shootable      - false if bullets pass through it
+//   weapons        - EnemyWeapon specs for the guns it carries
+//   init(enemy, rng)                    - extra setup, drawing from the gameplay stream
+//   move(enemy, deltaTime, turbo)       - movement each step
+//   attack(enemy, deltaTime)            - anything else it does each step
+//   render(enemy, ctx)
+//   create(x, y, game)                  - build a subclass instead of a plain Enemy
+//   onSpawn(enemy, gameplay)            - adjust it once placed by spawnEnemy
+//   onShot(enemy, gameplay, damage)     - replaces taking damage from a bullet
+//   onDestroyed(enemy, gameplay)        - after a bullet destroys it
+//   onTouch(enemy, player, gameplay)    - replaces ramming; return true to remove it
+//   attackPlayer(enemy, player, gameplay) - ranged attacks reaching outside its box
+const ENEMY_KINDS = {};
+
+function registerEnemyKind(id, definition) {
+    if (ENEMY_KINDS[id]) {
+        throw new Error(`Enemy kind "${id}" is already registered`);
+    }
+    if (!definition.render || (!definition.move && !definition.create)) {
+        throw new Error(`Enemy kind "${id}" needs move and render`);
+    }
+    ENEMY_KINDS[id] = {
+        width: 30,
+        height: 30,
+        health: 1,
+        armor: {},
+        knockback: 150,
+        score: 100,
+        drops: { chance: 0.7, count: 1, spread: null },
+        shootable: true,
+        ...definition
+    };
+    if (definition.objective) {
+        LEVEL_ENEMY_TYPES[definition.objective] = id;
+    }
+}
 
+// Fragments are this fraction of their parent's size, and nothing smaller than
+// FRAGMENT_MIN_SIZE is made - so only the bigger asteroids break up at all
+const FRAGMENT_SCALE = 0.5;
+const FRAGMENT_MIN_SIZE = 14;
+
+function splitAsteroid(enemy, gameplay) {
+    const size = enemy.width * enemy.sizeVariation * FRAGMENT_SCALE;
+    if (size < FRAGMENT_MIN_SIZE) return;
+    
+    const game = gameplay.game;
+    const rng = game.rng;
+    const count = 2 + Math.floor(rng.next() * 2); // 2-3 pieces
+    // Carry on with the parent's drift, knockback included
+    const parentVx = -enemy.speed + enemy.knockbackSpeed;
+    const centerX = enemy.x + enemy.width / 2;
+    const centerY = enemy.y + enemy.height / 2;
+    
+    for (let i = 0; i < count; i++) {
+        // Burst apart in a fan, each piece in its own slice
+        const angle = ((i + rng.next()) / count) * Math.PI * 2;
+        const burst = 40 + rng.next() * 40;
+        const fragment = new Enemy(centerX - size / 2, centerY - size / 2, game.gameData.level, 'fragment', game);
+        fragment.width = size;
+        fragment.height = size;
+        fragment.speed = enemy.speed;
+        // Always keep drifting left so pieces still leave the screen
+        fragment.vx = Math.min(parentVx + Math.cos(angle) * burst, -enemy.speed * 0.5);
+        fragment.vy = Math.sin(angle) * burst;
+        
+        // Same rock, just smaller
+        fragment.asteroidType = enemy.asteroidType;
+        fragment.colorVariation = enemy.colorVariation;
+        fragment.detailLevel = enemy.detailLevel;
+        fragment.details = enemy.details;
+        game.enemies.push(fragment);
     }
-    
-    performTailAttack(deltaTime) {
-        this.tailAttackTimer += deltaTime;
-        if (this.tailAttackTimer >= this.tailAttackDuration) {
-            this.tailAttackTimer = 0;
-            return;
+}
+
+registerEnemyKind('asteroid', {
+    objective: 'asteroids',
+    
+    init(enemy, rng) {
+        enemy.rotationSpeed = rng.next() * 60 + 30; // Random rotation speed (30 to 90 degrees per second)
+        // Randomize asteroid design
+        enemy.asteroidType = Math.floor(rng.next() * 4); // 0-3 different types
+        enemy.sizeVariation = rng.next() * 0.4 + 0.8; // 0.8x to 1.2x size
+        enemy.colorVariation = rng.next() * 0.3 + 0.85; // 0.85x to 1.15x brightness
+        enemy.detailLevel = Math.floor(rng.next() * 3) + 2; // 2-4 detail layers
+        
+        // Generate fixed detail positions for consistent rendering
+        enemy.details = [];
+        for (let i = 0; i < enemy.detailLevel; i++) {
+            enemy.details.push({
+                x: (rng.next() - 0.5), // -0.5 to 0.5
+                y: (rng.next() - 0.5)  // -0.5 to 0.5
+            });
         }
         
-        // Create tail sweep effect (damage zone)
-        if (this.tailAttackTimer < 500) { // First 0.5 seconds create damage zone
-            this.createTailDamageZone();
-        }
-    }
+        // Bigger rocks take more hits - 1 for the smallest up to 3 for the largest
+        enemy.health = Math.round(1 + (enemy.sizeVariation - 0.8) * 5);
+    },
     
-    performSpawnAttack(deltaTime) {
-        this.spawnAttackTimer += deltaTime;
+    onDestroyed(enemy, gameplay) {
+        splitAsteroid(enemy, gameplay);
+    },
+    
+    move(enemy, deltaTime, turboMultiplier) {
+        // Move horizontally for side-scroller
+        enemy.x -= enemy.speed * turboMultiplier * deltaTime / 1000;
         
-        // Update vertical movement timer
-        this.verticalMovementTimer += deltaTime;
+        // Update rotation - frame-rate independent
+        enemy.rotation += enemy.rotationSpeed * deltaTime / 1000;
+        if (enemy.rotation > 360) enemy.rotation -= 360;
+        if (enemy.rotation < 0) enemy.rotation += 360;
+    },
+    
+    render(enemy, ctx) {
+        // Move to asteroid center and rotate
+        ctx.translate(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
+        ctx.rotate(enemy.rotation * Math.PI / 180);
         
-        // Calculate vertical movement using sine wave for smooth up/down motion
-        const verticalOffset = Math.sin(this.verticalMovementTimer * 0.002) * this.verticalMovementRange;
-        this.y = this.verticalCenter + verticalOffset;
+        // Apply size variation
+        const scaledWidth = enemy.width * enemy.sizeVariation;
+        const scaledHeight = enemy.height * enemy.sizeVariation;
         
-        if (this.isInSpawnPause) {
-            // Check if pause is over
-            if (this.spawnAttackTimer >= this.spawnPauseDuration) {
-                this.isInSpawnPause = false;
-                this.spawnAttackTimer = 0;
-                this.spawnCount = 0;
+        // Square, diamond, octagon or irregular
+        const sides = [4, 4, 8, 6][enemy.asteroidType];
+        this.drawShape(enemy, ctx, scaledWidth, scaledHeight, sides);
+    },
+    
+    drawShape(enemy, ctx, width, height, sides = 6) {
+        // Base color with variation
+        const baseColor = this.adjustColor('#808080', enemy.colorVariation);
+        ctx.fillStyle = baseColor;
+
+        // Create a polygon with the given sides
+        ctx.beginPath();
+        for (let i = 0; i < sides; i++) {
+            const angle = (i * Math.PI * 2) / sides;
+            const x = Math.cos(angle) * width / 2;
+            const y = Math.sin(angle) * height / 2;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
             }
-            return;
         }
+        ctx.closePath();
+        ctx.fill();
         
-        // Check if we've spawned enough enemies for this wave
-        if (this.spawnCount >= this.maxSpawnsPerWave) {
-            this.isInSpawnPause = true;
-            this.spawnAttackTimer = 0;
-            return;
+        // Add detail layers using stored positions
+        if (enemy.details && enemy.details.length > 0) {
+            for (let i = 0; i < enemy.detailLevel && i < enemy.details.length; i++) {
+                const detail = enemy.details[i];
+                const detailSize = (width * 0.25) - (i * width * 0.08);
+                const detailX = detail.x * width * 0.3;
+                const detailY = detail.y * height * 0.3;
+
+                ctx.fillStyle = this.adjustColor('#404040', enemy.colorVariation);
+                ctx.fillRect(-detailSize / 2 + detailX, -detailSize / 2 + detailY, detailSize, detailSize);
+            }
         }
         
-        // Spawn enemies at regular intervals
-        if (this.spawnAttackTimer >= this.spawnInterval) {
-            this.spawnEnemiesFromMouth();
-            this.spawnAttackTimer = 0;
+        // Add highlights using stored positions for consistency
+        ctx.fillStyle = this.adjustColor('#c0c0c0', enemy.colorVariation);
+        if (enemy.details && enemy.details.length > 0) {
+            // Use first two detail positions for highlights, scaled appropriately
+            ctx.fillRect(-2 + enemy.details[0].x * width * 0.1, -height / 2 + 2 + enemy.details[0].y * height * 0.1, 4, 4);
+            if (enemy.details.length > 1) {
+                ctx.fillRect(width / 2 - 6 + enemy.details[1].x * width * 0.1, -2 + enemy.details[1].y * height * 0.1, 4, 4);
+            }
         }
-    }
+    },
     
-    createTailDamageZone() {
-        // Create a damage zone that sweeps across the screen
-        // This will be checked in collision detection
-        this.tailDamageActive = true;
-        this.tailDamageTimer = 1000; // 1 second of damage
+    adjustColor(baseColor, variation) {
+        // Simple color adjustment - could be made more sophisticated
+        if (baseColor === '#808080') {
+            const gray = Math.floor(128 * variation);
+            return `rgb(${gray}, ${gray}, ${gray})`;
+        } else if (baseColor === '#404040') {
+            const gray = Math.floor(64 * variation);
+            return `rgb(${gray}, ${gray}, ${gray})`;
+        } else if (baseColor === '#c0c0c0') {
+            const gray = Math.floor(192 * variation);
+            return `rgb(${gray}, ${gray}, ${gray})`;
+        }
+        return baseColor;
     }
+});
+
+// Pieces of a destroyed asteroid - not part of any objective
+registerEnemyKind('fragment', {
+    score: 50,
+    drops: { chance: 0.3, count: 1, spread: null },
+    knockback: 200,
     
-    spawnEnemiesFromMouth() {
-        // Spawn 1 enemy from the boss mouth
-        const enemyType = 1; // Always spawn mice/rats from the rat boss
-        
-        // Spawn at absolute screen positions - right side of screen, random height
-        const spawnX = this.game.width - 150; // Fixed position from right edge (more on-screen)
-        const spawnY = 100 + Math.random() * (this.game.height - 200); // Random height in middle area
-        
-        const enemy = new Enemy(spawnX, spawnY, this.game.gameData.level, enemyType);
-        enemy.game = this.game;
-        enemy.spawnedByBoss = true; // Mark this enemy as boss-spawned
-        
-        // Add to main game enemies array
-        this.game.enemies.push(enemy);
-        
-        // Increment spawn count for this wave
-        this.spawnCount++;
-    }
+    init(enemy, rng) {
+        // splitAsteroid sets the size, velocity and look
+        enemy.rotationSpeed = (rng.next() - 0.5) * 360; // Tumbles faster than a whole asteroid
+        enemy.sizeVariation = 1;
+        enemy.vx = 0;
+        enemy.vy = 0;
+    },
     
-    takeDamage(amount) {
-        if (!this.isVulnerable) return;
+    move(enemy, deltaTime, turboMultiplier) {
+        enemy.x += enemy.vx * turboMultiplier * deltaTime / 1000;
+        enemy.y += enemy.vy * turboMultiplier * deltaTime / 1000;
         
-        this.health -= amount;
-        if (this.health <= 0) {
-            this.defeat();
+        // Bounce off the top and bottom so pieces can't drift away and hold up the level
+        const maxY = enemy.game.height - enemy.height;
+        if ((enemy.y < 0 && enemy.vy < 0) || (enemy.y > maxY && enemy.vy > 0)) {
+            enemy.vy = -enemy.vy;
         }
         
-        // Create damage effect
-        this.createDamageEffect();
+        enemy.rotation += enemy.rotationSpeed * deltaTime / 1000;
+    },
+    
+    onDestroyed(enemy, gameplay) {
+        splitAsteroid(enemy, gameplay);
+    },
+    
+    render(enemy, ctx) {
+        ENEMY_KINDS.asteroid.render(enemy, ctx);
     }
+});
+
+registerEnemyKind('mouse', {
+    objective: 'mice',
+    drops: { chance: 1, count: 3, spread: { x: 30, y: 20 } }, // Mice always drop 3, spread so they don't stack
+    weapons: [
+        // The odd slow pot shot while it chases
+        { pattern: 'aimed', aimed: true, interval: 3000, speed: 150 }
+    ],
+    
+    move(enemy, deltaTime, turboMultiplier) {
+        // Move horizontally for side-scroller
+        enemy.x -= enemy.speed * 0.6 * turboMultiplier * deltaTime / 1000;
+
+        // Only home in on the nearest player that isn't cloaked
+        const target = enemy.game.getNearestPlayer(enemy.x, enemy.y, true);
+        enemy.homingTarget = target; // null when every player is cloaked
+        if (target) {
+            // Calculate angle to face player
+            const dx = target.x - enemy.x;
+            const dy = target.y - enemy.y;
+            enemy.targetRotation = Math.atan2(dy, dx) * 180 / Math.PI;
+            
+            // Smoothly rotate to face player
+            const rotationDiff = enemy.targetRotation - enemy.rotation;
+            enemy.rotation += rotationDiff * deltaTime / 1000 * 2; // Smooth rotation
+            
+            // Move toward player at reasonable speed
+            const moveSpeed = 0.3; // Balanced movement speed
+            enemy.x = lerp(enemy.x, target.x, moveSpeed * deltaTime / 1000);
+            enemy.y = lerp(enemy.y, target.y, moveSpeed * deltaTime / 1000);
+        } else {
+            // When cloaked, rotate slowly as if disabled
+            enemy.rotation += 15 * deltaTime / 1000; // Slow disabled rotation
+        }
+    },
     
-    defeat() {
-        this.phase = 'defeated';
-        this.isVulnerable = false;
+    render(enemy, ctx) {
+        // Save context for rotation
+        ctx.save();
+        ctx.translate(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
+        ctx.rotate(enemy.rotation * Math.PI / 180);
         
-        // Trigger massive controller vibration for boss defeat
-        if (this.game.controllers && this.game.controllers.length > 0) {
-            this.game.controllers.forEach(controller => {
-                if (controller && controller.vibrationActuator) {
-                    controller.vibrationActuator.playEffect('dual-rumble', {
-                        startDelay: 0,
-                        duration: 1000,
-                        weakMagnitude: 1.0,
-                        strongMagnitude: 1.0
-                    });
-                }
-            });
-        }
+        // Draw mouse body (circle with ears)
+        ctx.fillStyle = '#808080'; // Grey
         
-        // Create massive explosion
-        for (let i = 0; i < 50; i++) {
-            const angle = Math.random() * 360;
-            const speed = Math.random() * 8 + 4;
-            this.game.particles.push(new BossExplosion(this.x + this.width / 2, this.y + this.height / 2, angle, speed));
-        }
+        // Main body
+        ctx.beginPath();
+        ctx.arc(0, 0, 12, 0, Math.PI * 2);
+        ctx.fill();
         
-        // Drop 100 metal
-        for (let i = 0; i < 20; i++) { // Spread out the metal drops
-            const offsetX = (Math.random() - 0.5) * 100;
-            const offsetY = (Math.random() - 0.5) * 60;
-            const metal = new Metal(this.x + this.width / 2 + offsetX, this.y + this.height / 2 + offsetY, this.game);
-            this.game.metal.push(metal);
-        }
+        // Ears
+        ctx.fillStyle = '#A0A0A0';
+        ctx.beginPath();
+        ctx.arc(-8, -12, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(8, -12, 6, 0, Math.PI * 2);
+        ctx.fill();
         
-        // Trigger massive screen shake
-        if (this.game.triggerScreenShake) {
-            this.game.triggerScreenShake(200, 1000);
-        }
+        // Eyes
+        ctx.fillStyle = '#000';
+        ctx.beginPath();
+        ctx.arc(-4, -2, 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(4, -2, 2, 0, Math.PI * 2);
+        ctx.fill();
         
-        // Mark boss for removal after a short delay to allow explosion effects
-        this.defeatTimer = 2000; // 2 seconds delay
-    }
-    
-    createDamageEffect() {
-        // Create damage particles
-        for (let i = 0; i < 8; i++) {
-            const angle = Math.random() * 360;
-            const speed = Math.random() * 3 + 2;
-            this.game.particles.push(new DamageParticle(this.x + this.width / 2, this.y + this.height / 2, angle, speed));
+        // Status light (blinking green when disabled, red when active)
+        const time = Date.now() * 0.005;
+        if (enemy.homingTarget === null) {
+            // Blinking green light when disabled (steady with reduced flash)
+            if (enemy.game.settings.reducedFlash) {
+                ctx.fillStyle = '#00aa00';
+            } else {
+                ctx.fillStyle = Math.sin(time * 3) > 0 ? '#00ff00' : '#003300';
+            }
+        } else {
+            // Solid red light when active
+            ctx.fillStyle = '#ff0000';
         }
+        
+        // Draw status light on top of mouse
+        ctx.beginPath();
+        ctx.arc(0, -8, 3, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Add glow effect to status light
+        ctx.shadowColor = ctx.fillStyle;
+        ctx.shadowBlur = 8;
+        ctx.beginPath();
+        ctx.arc(0, -8, 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        ctx.restore();
     }
-    
-    render(ctx) {
-        // Draw health bar above boss
-        this.renderHealthBar(ctx);
+});
+
+registerEnemyKind('shop', {
+    objective: 'shops',
+    shootable: false,
+    
+    onSpawn(enemy, gameplay) {
+        // A quarter of the screen high, centred vertically so it looks intentional
+        const game = gameplay.game;
+        enemy.height = game.height / 4;
+        enemy.width = enemy.height * 1.5;
+        enemy.speed = 60; // slow float
+        enemy.y = (game.height - enemy.height) / 2;
+    },
+    
+    move(enemy, deltaTime, turboMultiplier) {
+        // Faster float from right to left with slight bobbing (doubled speed)
+        enemy.x -= enemy.speed * 0.6 * turboMultiplier * deltaTime / 1000;
+        enemy._bobTimer = (enemy._bobTimer || 0) + deltaTime / 1000;
+        enemy.y += Math.sin(enemy._bobTimer * 2) * 0.2 * deltaTime / (1000 / 60);
+    },
+    
+    onTouch(enemy, player, gameplay) {
+        // Docking opens the shop instead of damaging the player. The shop only
+        // opens once per level; after that it is just removed.
+        const gameData = gameplay.game.gameData;
+        if (!gameData.shopVisited) {
+            gameData.shopVisited = true;
+            gameplay.game.shopper = player; // Upgrades go to whoever docked
+            gameplay.game.changeState('shop');
+        }
+        return true;
+    },
+    
+    render(enemy, ctx) {
+        // Use enemy dimensions as shop size (1/4 screen height set at spawn)
+        const shopWidth = enemy.width;
+        const shopHeight = enemy.height;
+        const shopX = enemy.x;
+        const shopY = enemy.y;
         
-        // Draw boss body
-        ctx.fillStyle = '#8B4513'; // Brown
-        ctx.fillRect(this.x, this.y, this.width, this.height);
+        // Main space station body
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(shopX, shopY, shopWidth, shopHeight);
         
-        // Draw boss details
-        this.drawBossDetails(ctx);
+        // Layer for rounded-corner effect
+        ctx.fillStyle = '#34495e';
+        ctx.fillRect(shopX + 5, shopY, shopWidth - 10, shopHeight);
+        ctx.fillRect(shopX, shopY + 5, shopWidth, shopHeight - 10);
         
-        // Draw attack effects
-        if (this.currentAttack === 'tail' && this.tailAttackTimer < 500) {
-            this.drawTailAttack(ctx);
-        }
+        // Central structure details
+        ctx.fillStyle = '#1a252f';
+        ctx.fillRect(shopX + shopWidth * 0.2, shopY + shopHeight * 0.1, shopWidth * 0.6, shopHeight * 0.8);
         
-        // Draw spawn pause indicator
-        if (this.isInSpawnPause) {
-            this.drawSpawnPauseIndicator(ctx);
+        // Windows
+        ctx.fillStyle = '#3498db';
+        for (let i = 0; i < 3; i++) {
+            const windowX = shopX + shopWidth * 0.25 + (i * shopWidth * 0.2);
+            const windowY = shopY + shopHeight * 0.2;
+            const windowSize = shopHeight * 0.15;
+            ctx.fillRect(windowX, windowY, windowSize, windowSize);
         }
+        
+        // SHOP billboard
+        ctx.fillStyle = '#e74c3c';
+        const billboardWidth = shopWidth * 0.8;
+        const billboardHeight = shopHeight * 0.2;
+        const billboardX = shopX + (shopWidth - billboardWidth) / 2;
+        const billboardY = shopY + shopHeight * 0.7;
+        ctx.fillRect(billboardX, billboardY, billboardWidth, billboardHeight);
+        
+        // SHOP text
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `${shopHeight * 0.15}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.fillText('SHOP', shopX + shopWidth / 2, billboardY + billboardHeight * 0.7);
+        
+        // Antenna/dish on top
+        ctx.fillStyle = '#95a5a6';
+        ctx.fillRect(shopX + shopWidth * 0.4, shopY - shopHeight * 0.1, shopWidth * 0.2, shopHeight * 0.1);
+        
+        // Docking ports on sides
+        ctx.fillStyle = '#7f8c8d';
+        ctx.fillRect(shopX - shopHeight * 0.05, shopY + shopHeight * 0.3, shopHeight * 0.1, shopHeight * 0.4);
+        ctx.fillRect(shopX + shopWidth, shopY + shopHeight * 0.3, shopHeight * 0.1, shopHeight * 0.4);
     }
-    
-    renderHealthBar(ctx) {
-        const barWidth = this.width;
-        const barHeight = 10;
-        const barX = this.x;
-        const barY = this.y - 20;
+});
+
+registerEnemyKind('snake', {
+    objective: 'snakes',
+    health: 2,
+    armor: { diagonal: 0.5 }, // Scales deflect glancing shots
+    knockback: 100,
+    
+    move(enemy, deltaTime, turboMultiplier) {
+        // Move diagonally across screen
+        enemy.x -= enemy.speed * 0.8 * turboMultiplier * deltaTime / 1000;
+        enemy.y += Math.sin(enemy._diagonalTimer || 0) * 50 * turboMultiplier * deltaTime / 1000;
+        
+        enemy._diagonalTimer = (enemy._diagonalTimer || 0) + deltaTime / 1000 * 2;
+    },
+    
+    attack(enemy, deltaTime) {
+        // Lay a proximity bomb every 2 seconds
+        enemy._bombTimer = (enemy._bombTimer || 0) + deltaTime;
+        if (enemy._bombTimer > 2000) {
+            const game = enemy.game;
+            game.proximityBombs.push(entityPools.acquire(ProximityBomb, enemy.x, enemy.y, game));
+            console.log(`Snake laid landmine at (${enemy.x}, ${enemy.y}) - Total landmines: ${game.proximityBombs.length}`);
+            enemy._bombTimer = 0;
+        }
+    },
+    
+    render(enemy, ctx) {
+        // Draw snake body (segmented)
+        ctx.fillStyle = '#00ff00'; // Green
         
-        // Background
-        ctx.fillStyle = '#333';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
+        // Main body segments
+        for (let i = 0; i < 3; i++) {
+            const segmentX = enemy.x + i * 8;
+            const segmentY = enemy.y + Math.sin((enemy._diagonalTimer || 0) * 2 + i * 0.5) * 3;
+            ctx.fillRect(segmentX, segmentY, 8, 12);
+        }
         
-        // Health bar
-        const healthPercent = this.health / this.maxHealth;
-        ctx.fillStyle = healthPercent > 0.5 ? '#00ff00' : healthPercent > 0.25 ? '#ffff00' : '#ff0000';
-        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
+        // Head
+        ctx.fillStyle = '#008800';
+        ctx.fillRect(enemy.x + 24, enemy.y + 2, 10, 8);
         
-        // Border
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(barX, barY, barWidth, barHeight);
+        // Eyes
+        ctx.fillStyle = '#ff0000';
+        ctx.fillRect(enemy.x + 26, enemy.y + 4, 2, 2);
+        ctx.fillRect(enemy.x + 30, enemy.y + 4, 2, 2);
         
-        // Health text
-        ctx.fillStyle = '#fff';
-        ctx.font = '12px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText(`${this.health}/${this.maxHealth}`, barX + barWidth / 2, barY + barHeight / 2 + 4);
+        // Tail
+        ctx.fillStyle = '#00aa00';
+        ctx.fillRect(enemy.x - 4, enemy.y + 4, 6, 4);
     }
+});
+
+registerEnemyKind('bird', {
+    objective: 'birds',
+    health: 3,
+    knockback: 0, // Holds position while firing
+    weapons: [
+        // Fans of shots alongside the beam
+        { pattern: 'spread', count: 3, arc: 40, aimed: true, interval: 1000, delay: 500, speed: 220, active: enemy => enemy._phase === 'firing' }
+    ],
+    
+    init(enemy) {
+        enemy._phase = 'entering';
+    },
+    
+    move(enemy, deltaTime, turboMultiplier) {
+        // Flies in from the right, hovers while firing its beam, then flies out left
+        if (enemy._phase === 'entering') {
+            // Fly in from right
+            enemy.x -= enemy.speed * 0.5 * turboMultiplier * deltaTime / 1000;
+            if (enemy.x <= enemy.game.width - 100) {
+                enemy._phase = 'firing';
+                enemy._firingTimer = 0;
+                console.log('Bird started firing beam at (', enemy.x, ',', enemy.y, ')');
+            }
+        } else if (enemy._phase === 'firing') {
+            // Stay in position and fire beam
+            enemy._firingTimer += deltaTime;
+            if (enemy._firingTimer > 3000) { // Fire for 3 seconds
+                enemy._phase = 'exiting';
+                console.log('Bird finished firing beam, exiting');
+            }
+        } else if (enemy._phase === 'exiting') {
+            // Fly out to left
+            enemy.x -= enemy.speed * 0.8 * turboMultiplier * deltaTime / 1000;
+        }
+    },
     
-    drawBossDetails(ctx) {
-        // Eyes
-        ctx.fillStyle = '#ff0000';
-        ctx.fillRect(this.x + this.width * 0.2, this.y + this.height * 0.2, 8, 8);
-        ctx.fillRect(this.x + this.width * 0.7, this.y + this.height * 0.2, 8, 8);
+    attackPlayer(enemy, player, gameplay) {
+        if (!player.isHitByBeam(enemy)) return;
+        gameplay.damagePlayer(player, { shake: [12, 300] });
         
-        // Mouth
-        ctx.fillStyle = '#000';
-        ctx.fillRect(this.x + this.width * 0.4, this.y + this.height * 0.6, this.width * 0.2, this.height * 0.3);
+        // Cooldown so the beam doesn't hit every frame
+        player.beamHitCooldown = player.beamHitCooldownTime;
+        gameplay.createBeamDamageEffect(player);
+    },
+    
+    render(enemy, ctx) {
+        // Draw bird body
+        ctx.fillStyle = '#8B4513'; // Brown
         
-        // Ears
+        // Main body
+        ctx.fillRect(enemy.x, enemy.y + 8, 20, 12);
+        
+        // Wings
         ctx.fillStyle = '#654321';
-        ctx.fillRect(this.x - 5, this.y - 5, 10, 15);
-        ctx.fillRect(this.x + this.width - 5, this.y - 5, 10, 15);
+        const wingFlap = Math.sin((enemy._diagonalTimer || 0) * 4) * 2;
+        ctx.fillRect(enemy.x - 8, enemy.y + 6 + wingFlap, 12, 8);
+        ctx.fillRect(enemy.x + 16, enemy.y + 6 + wingFlap, 12, 8);
         
-        // Tail (curved)
-        ctx.strokeStyle = '#654321';
-        ctx.lineWidth = 8;
-        ctx.beginPath();
-        ctx.moveTo(this.x + this.width, this.y + this.height * 0.5);
-        ctx.quadraticCurveTo(this.x + this.width + 50, this.y + this.height * 0.3, this.x + this.width + 80, this.y + this.height * 0.7);
-        ctx.stroke();
-    }
-    
-    drawTailAttack(ctx) {
-        // Draw tail sweep effect
-        ctx.strokeStyle = 'rgba(255, 0, 0, 0.6)';
-        ctx.lineWidth = 20;
-        ctx.beginPath();
-        ctx.moveTo(this.x + this.width, this.y + this.height * 0.5);
-        ctx.quadraticCurveTo(this.x + this.width + 100, this.y + this.height * 0.2, this.x + this.width + 150, this.y + this.height * 0.8);
-        ctx.stroke();
-    }
-    
-    drawSpawnPauseIndicator(ctx) {
-        // Draw a visual indicator that spawn attack is paused
-        ctx.fillStyle = 'rgba(255, 255, 0, 0.7)';
-        ctx.font = '16px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('SPAWN PAUSED', this.x + this.width / 2, this.y - 30);
+        // Head
+        ctx.fillStyle = '#A0522D';
+        ctx.fillRect(enemy.x + 18, enemy.y + 6, 8, 8);
         
-        // Draw a countdown bar
-        const barWidth = this.width;
-        const barHeight = 4;
-        const barX = this.x;
-        const barY = this.y - 40;
+        // Beak
+        ctx.fillStyle = '#FFD700';
+        ctx.fillRect(enemy.x + 26, enemy.y + 8, 4, 4);
         
-        // Background
-        ctx.fillStyle = 'rgba(255, 255, 0, 0.3)';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
+        // Eyes
+        ctx.fillStyle = '#000';
+        ctx.fillRect(enemy.x + 20, enemy.y + 8, 2, 2);
         
-        // Progress bar
-        const progress = this.spawnAttackTimer / this.spawnPauseDuration;
-        ctx.fillStyle = 'rgba(255, 255, 0, 0.8)';
-        ctx.fillRect(barX, barY, barWidth * progress, barHeight);
+        // Draw beam when firing
+        if (enemy._phase === 'firing') {
+            ctx.strokeStyle = '#ffff00';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(enemy.x + 30, enemy.y + 12);
+            ctx.lineTo(0, enemy.y + 12);
+            ctx.stroke();
+            
+            // Beam glow effect
+            ctx.shadowColor = '#ffff00';
+            ctx.shadowBlur = 10;
+            ctx.stroke();
+            ctx.shadowBlur = 0;
+        }
     }
-}
+});
 
-class BossExplosion {
-    constructor(x, y, angle, speed) {
-        this.x = x;
-        this.y = y;
-        this.vx = Math.cos(angle * Math.PI / 180) * speed;
-        this.vy = Math.sin(angle * Math.PI / 180) * speed;
-        this.life = 1;
-        this.decay = 0.02;
-        this.size = Math.random() * 6 + 4;
-        this.color = ['#ff6600', '#ff0000', '#ffff00'][Math.floor(Math.random() * 3)];
-    }
+registerEnemyKind('ratboss', {
+    objective: 'ratboss',
+    drops: { chance: 0, count: 0, spread: null }, // Drops its own pile when defeated
+    score: 0,
+    knockback: 0,
+    
+    create(x, y, game) {
+        return new RatBoss(x, y, game);
+    },
+    
+    onSpawn(enemy, gameplay) {
+        // The boss brings its own music
+        gameplay.game.music.play('boss');
+    },
+    
+    onShot(enemy, gameplay, damage) {
+        // Points per hit rather than per kill, and only for hits that land
+        if (enemy.isVulnerable) {
+            gameplay.game.gameData.score += 50;
+        }
+        enemy.takeDamage(damage);
+    },
+    
+    onTouch(enemy, player, gameplay) {
+        // The wreck is harmless while its death animation plays out
+        if (enemy.phase === 'defeated') return false;
+
+        // Ramming the boss (or its charge) strips every shield, or costs two lives without one
+        enemy.hitPlayer(player, gameplay, { allShields: true, lives: 2, shake: [15, 500] });
+        return false;
+    },
     
-    update(deltaTime) {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.life -= this.decay;
-    }
+    attackPlayer(enemy, player, gameplay) {
+        // The tail sweep only hurts once it has wound up, for half a second
+        if (enemy.isTailActive() && enemy.isTailHitting(player)) {
+            enemy.hitPlayer(player, gameplay, { shake: [10, 400] });
+        }
+    },
     
-    render(ctx) {
-        ctx.globalAlpha = this.life;
-        ctx.fillStyle = this.color;
-        ctx.fillRect(this.x, this.y, this.size, this.size);
-        ctx.globalAlpha = 1;
+    // RatBoss overrides update and render
+    render() {}
+});
+
+// The one level check - it has to come after the last registerEnemyKind call,
+// since level objectives are looked up in the registry
+validateLevels(LEVELS);
+
+class BossExplosion extends Particle {
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 6 + 4;
+        const color = ['#ff6600', '#ff0000', '#ffff00'][Math.floor(rng.next() * 3)];
+        super.reset(x, y, angle, speed, size, 0.02, color);
     }
 }
 
 class DamageParticle extends Particle {
-    constructor(x, y, angle, speed = 3) {
-        const size = Math.random() * 3 + 2;
-        super(x, y, angle, speed, size, 0.05, '#ff0000');
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 3 + 2;
+        super.reset(x, y, angle, speed, size, 0.05, '#ff0000');
     }
     
     render(ctx) {
@@ -3664,9 +6319,9 @@ class DamageParticle extends Particle {
 }
 
 class BeamDamageParticle extends Particle {
-    constructor(x, y, angle, speed = 4) {
-        const size = Math.random() * 4 + 3;
-        super(x, y, angle, speed, size, 0.08, '#ffff00'); // Yellow like the beam
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 4 + 3;
+        super.reset(x, y, angle, speed, size, 0.08, '#ffff00'); // Yellow like the beam
     }
     
     render(ctx) {
@@ -3685,10 +6340,10 @@ class BeamDamageParticle extends Particle {
 }
 
 class RocketExplosionParticle extends Particle {
-    constructor(x, y, angle, speed = 5) {
-        const size = Math.random() * 5 + 4;
-        const color = ['#ff6600', '#ff0000', '#ffff00', '#ff8800'][Math.floor(Math.random() * 4)];
-        super(x, y, angle, speed, size, 0.06, color);
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 5 + 4;
+        const color = ['#ff6600', '#ff0000', '#ffff00', '#ff8800'][Math.floor(rng.next() * 4)];
+        super.reset(x, y, angle, speed, size, 0.06, color);
     }
     
     render(ctx) {
@@ -3708,6 +6363,11 @@ class RocketExplosionParticle extends Particle {
 
 class ProximityBomb {
     constructor(x, y, game) {
+        this.reset(x, y, game);
+    }
+    
+    // Pooled through entityPools
+    reset(x, y, game) {
         this.x = x;
         this.y = y;
         this.width = 8;
@@ -3722,8 +6382,8 @@ class ProximityBomb {
         this.speed = 30; // Slow drift speed
         this.lifetime = 15000; // 15 seconds before auto-despawn
         this.age = 0;
-        this.driftDirection = Math.random() * 360; // Random drift direction
-        this.driftSpeed = Math.random() * 20 + 10; // Random drift speed variation
+        this.driftDirection = game.rng.next() * 360; // Random drift direction
+        this.driftSpeed = game.rng.next() * 20 + 10; // Random drift speed variation
     }
     
     update(deltaTime) {
@@ -3752,10 +6412,11 @@ class ProximityBomb {
             }
         }
         
-        // Check if player is close enough to explode
-        if (!this.exploded && this.game.player) {
-            const dx = this.x - this.game.player.x;
-            const dy = this.y - this.game.player.y;
+        // Check if any player is close enough to explode
+        const player = this.exploded ? null : this.game.getNearestPlayer(this.x, this.y);
+        if (player) {
+            const dx = this.x - player.x;
+            const dy = this.y - player.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance < this.explosionRadius) {
@@ -3770,9 +6431,9 @@ class ProximityBomb {
         
         // Create explosion particles
         for (let i = 0; i < 20; i++) {
-            const angle = Math.random() * 360;
-            const speed = Math.random() * 5 + 3;
-            this.game.particles.push(new ExplosionParticle(this.x, this.y, angle, speed));
+            const angle = this.game.cosmeticRng.next() * 360;
+            const speed = this.game.cosmeticRng.next() * 5 + 3;
+            this.game.particles.push(entityPools.acquire(ExplosionParticle, this.x, this.y, angle, speed, this.game.cosmeticRng));
         }
         
         // Trigger screen shake
@@ -3780,40 +6441,16 @@ class ProximityBomb {
             this.game.triggerScreenShake(50, 300);
         }
         
-        // Check if player was hit by explosion
-        if (this.game.player) {
-            const dx = this.x - this.game.player.x;
-            const dy = this.y - this.game.player.y;
+        // Check which players were hit by explosion
+        this.game.getActivePlayers().forEach(player => {
+            const dx = this.x - player.x;
+            const dy = this.y - player.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance < this.explosionRadius) {
-                // Damage the player (same logic as enemy collision)
-                if (this.game.player.shieldLevel > 0) {
-                    this.game.player.shieldLevel--;
-                    this.game.player.shieldRechargeTimer = 0;
-                    console.log('Landmine explosion hit player! Shield damaged. Shields remaining:', this.game.player.shieldLevel);
-                } else {
-                    this.game.gameData.lives--;
-                    console.log('Landmine explosion hit player! Life lost. Lives remaining:', this.game.gameData.lives);
-                }
-                
-                // Trigger hit effects on player
-                this.game.player.hit();
-                // Decloak immediately when hit
-                this.game.player.decloak();
-                
-                // Trigger screen shake for landmine hit
-                if (this.game.triggerScreenShake) {
-                    this.game.triggerScreenShake(15, 400);
-                }
-                
-                // Check for game over
-                if (this.game.gameData.lives <= 0) {
-                    this.game.gameOver = true;
-                    this.game.changeState('gameOver');
-                }
+                this.game.states.gameplay.damagePlayer(player, { shake: [15, 400] });
             }
-        }
+        });
     }
     
     render(ctx) {
@@ -3831,8 +6468,8 @@ class ProximityBomb {
             ctx.globalAlpha = 1;
         }
         
-        // Blinking effect
-        if (Math.floor(this.blinkTimer / this.blinkInterval) % 2 === 0) {
+        // Blinking effect (always lit with reduced flash)
+        if (this.game.settings.reducedFlash || Math.floor(this.blinkTimer / this.blinkInterval) % 2 === 0) {
             ctx.fillStyle = '#ff0000';
             ctx.fillRect(this.x, this.y, this.width, this.height);
             
@@ -3845,21 +6482,268 @@ class ProximityBomb {
     }
 }
 
+// Bullet patterns - each turns the base angle of a volley (degrees, 180 = straight
+// left) into the angles of the shots in it. volley counts the weapon's shots so far.
+const BULLET_PATTERNS = {
+    aimed: (base) => [base],
+    spread: (base, spec) => {
+        // count shots fanned evenly across arc degrees
+        const angles = [];
+        for (let i = 0; i < spec.count; i++) {
+            angles.push(base + (spec.count > 1 ? (i / (spec.count - 1) - 0.5) * spec.arc : 0));
+        }
+        return angles;
+    },
+    ring: (base, spec) => {
+        const angles = [];
+        for (let i = 0; i < spec.count; i++) {
+            angles.push(base + i * 360 / spec.count);
+        }
+        return angles;
+    },
+    spiral: (base, spec, volley) => BULLET_PATTERNS.ring(base + volley * spec.turn, spec)
+};
+
+// A gun on an enemy, built from a spec in its kind (or on the rat boss per attack):
+//   pattern  - BULLET_PATTERNS key; count, arc and turn as that pattern needs
+//   aimed    - centre each volley on the nearest visible player; when every player
+//              is cloaked the volley goes roughly straight ahead instead
+//   angle    - base angle when not aimed (default 180)
+//   interval - ms between volleys; delay is ms before the first (default interval)
+//   speed    - shot speed in px/s (default 180)
+//   homing   - degrees per second shots turn towards their target, lost on cloaking
+//   active(enemy) - only fires while this returns true
+class EnemyWeapon {
+    constructor(spec) {
+        this.spec = spec;
+        this.timer = 0;
+        this.delay = spec.delay !== undefined ? spec.delay : spec.interval;
+        this.volley = 0;
+    }
+    
+    update(deltaTime, enemy) {
+        if (this.spec.active && !this.spec.active(enemy)) return;
+        
+        this.timer += deltaTime;
+        if (this.timer >= this.delay) {
+            this.timer = 0;
+            this.delay = this.spec.interval;
+            this.fire(enemy);
+        }
+    }
+    
+    fire(enemy) {
+        const spec = this.spec;
+        const game = enemy.game;
+        const muzzle = enemy.getMuzzle();
+        
+        let base = spec.angle !== undefined ? spec.angle : 180;
+        let target = null;
+        if (spec.aimed) {
+            target = game.getNearestPlayer(muzzle.x, muzzle.y, true);
+            if (target) {
+                const dx = target.x + target.width / 2 - muzzle.x;
+                const dy = target.y + target.height / 2 - muzzle.y;
+                base = Math.atan2(dy, dx) * 180 / Math.PI;
+            } else {
+                // Nobody to see - fire blind somewhere ahead
+                base = 180 + (game.rng.next() - 0.5) * 60;
+            }
+        }
+        
+        for (const angle of BULLET_PATTERNS[spec.pattern](base, spec, this.volley)) {
+            game.enemyProjectiles.push(entityPools.acquire(EnemyProjectile, muzzle.x, muzzle.y, game, angle, spec.speed || 180, spec.homing ? target : null, spec.homing || 0));
+        }
+        this.volley++;
+    }
+}
+
+class EnemyProjectile {
+    constructor(...args) {
+        this.reset(...args);
+    }
+    
+    // Pooled through entityPools
+    reset(x, y, game, angle, speed, target = null, homing = 0) {
+        this.width = 6;
+        this.height = 6;
+        this.x = x - this.width / 2;
+        this.y = y - this.height / 2;
+        this.game = game;
+        this.angle = angle;
+        this.speed = speed;
+        this.target = target; // Player it steers towards, if homing
+        this.homing = homing; // Degrees per second
+        this.damage = 1; // Lives lost when there's no shield
+        this.lifetime = 6000;
+        this.age = 0;
+        this.spent = false;
+    }
+    
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (this.age >= this.lifetime) {
+            this.spent = true;
+            return;
+        }
+        
+        // Cloaking (or dropping out) shakes off a homing shot - it flies straight from then on
+        if (this.target && (this.target.isCloaked || this.target.out)) {
+            this.target = null;
+        }
+        if (this.target) {
+            const dx = this.target.x + this.target.width / 2 - this.x;
+            const dy = this.target.y + this.target.height / 2 - this.y;
+            let turn = Math.atan2(dy, dx) * 180 / Math.PI - this.angle;
+            turn = ((turn + 540) % 360) - 180; // Shortest way round
+            const maxTurn = this.homing * deltaTime / 1000;
+            this.angle += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        }
+        
+        const turboMultiplier = this.game.gameData.turboMultiplier || 1;
+        const radians = this.angle * Math.PI / 180;
+        this.x += Math.cos(radians) * this.speed * turboMultiplier * deltaTime / 1000;
+        this.y += Math.sin(radians) * this.speed * turboMultiplier * deltaTime / 1000;
+        
+        // Gone once it leaves the screen
+        if (this.x < -this.width || this.x > this.game.width + this.width ||
+            this.y < -this.height || this.y > this.game.height + this.height) {
+            this.spent = true;
+        }
+    }
+    
+    hits(player) {
+        return this.x < player.x + player.width && this.x + this.width > player.x &&
+               this.y < player.y + player.height && this.y + this.height > player.y;
+    }
+    
+    render(ctx) {
+        const cx = this.x + this.width / 2;
+        const cy = this.y + this.height / 2;
+        
+        // Soft glow with a hot centre
+        ctx.fillStyle = 'rgba(255, 80, 40, 0.35)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, this.width, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#ffcc66';
+        ctx.beginPath();
+        ctx.arc(cx, cy, this.width / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// Lobbed by the Rat Boss - flies over everything to a marked spot and bursts there.
+// Lives in game.enemyProjectiles alongside the plain shots.
+class CheeseBomb {
+    constructor(...args) {
+        this.reset(...args);
+    }
+    
+    // Pooled through entityPools
+    reset(x, y, game, targetX, targetY) {
+        this.startX = x;
+        this.startY = y;
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.width = 14;
+        this.height = 14;
+        this.x = x - this.width / 2;
+        this.y = y - this.height / 2;
+        this.game = game;
+        this.blastRadius = 40; // Same circle as the landing marker
+        this.flightTime = 1000;
+        this.age = 0;
+        this.damage = 1;
+        this.burst = false;
+        this.spent = false;
+    }
+    
+    update(deltaTime) {
+        // The burst only lasts the step it happens on
+        if (this.burst) {
+            this.spent = true;
+            return;
+        }
+        
+        this.age += deltaTime;
+        const t = Math.min(1, this.age / this.flightTime);
+        // Straight line to the target, lifted into an arc
+        const lift = Math.sin(t * Math.PI) * 120;
+        this.x = this.startX + (this.targetX - this.startX) * t - this.width / 2;
+        this.y = this.startY + (this.targetY - this.startY) * t - lift - this.height / 2;
+        
+        if (t >= 1) {
+            this.burst = true;
+            for (let i = 0; i < 16; i++) {
+                const angle = this.game.cosmeticRng.next() * 360;
+                const speed = this.game.cosmeticRng.next() * 4 + 2;
+                this.game.particles.push(entityPools.acquire(ExplosionParticle, this.targetX, this.targetY, angle, speed, this.game.cosmeticRng));
+            }
+        }
+    }
+    
+    hits(player) {
+        // Harmless in the air; the burst hurts anything touching the marked circle
+        if (!this.burst) return false;
+        const dx = this.targetX - Math.max(player.x, Math.min(this.targetX, player.x + player.width));
+        const dy = this.targetY - Math.max(player.y, Math.min(this.targetY, player.y + player.height));
+        return dx * dx + dy * dy <= this.blastRadius * this.blastRadius;
+    }
+    
+    render(ctx) {
+        if (this.burst) return;
+        const t = Math.min(1, this.age / this.flightTime);
+        
+        // Landing marker - fills in as the bomb comes down
+        ctx.strokeStyle = 'rgba(255, 60, 0, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.targetX, this.targetY, this.blastRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = 'rgba(255, 60, 0, 0.25)';
+        ctx.beginPath();
+        ctx.arc(this.targetX, this.targetY, this.blastRadius * t, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Wedge of cheese with holes
+        const cx = this.x + this.width / 2;
+        const cy = this.y + this.height / 2;
+        ctx.fillStyle = '#ffd23f';
+        ctx.beginPath();
+        ctx.moveTo(cx - 8, cy + 6);
+        ctx.lineTo(cx + 8, cy + 6);
+        ctx.lineTo(cx + 8, cy - 6);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#c99a00';
+        ctx.fillRect(cx + 2, cy + 1, 3, 3);
+        ctx.fillRect(cx + 5, cy - 3, 2, 2);
+    }
+}
+
 class ExplosionParticle extends Particle {
-    constructor(x, y, angle, speed = 4) {
-        const size = Math.random() * 4 + 2;
-        super(x, y, angle, speed, size, 0.05, '#ff6600');
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 4 + 2;
+        super.reset(x, y, angle, speed, size, 0.05, '#ff6600');
     }
 }
 
 class Bullet {
-    constructor(x, y, game) {
+    // Pooled through entityPools - subclasses override reset() rather than the constructor
+    constructor(...args) {
+        this.reset(...args);
+    }
+    
+    reset(x, y, game) {
         this.x = x;
         this.y = y;
         this.width = 8;
         this.height = 3;
         this.speed = 500;
         this.game = game;
+        this.damage = 1;
+        this.damageType = 'bullet'; // Key into an enemy kind's armor
     }
     
     update(deltaTime) {
@@ -3877,10 +6761,11 @@ class Bullet {
 }
 
 class DiagonalBullet extends Bullet {
-    constructor(x, y, game, angle) {
-        super(x, y, game);
+    reset(x, y, game, angle) {
+        super.reset(x, y, game);
         this.angle = angle;
         this.speed = 400; // Slightly slower than regular bullets
+        this.damageType = 'diagonal';
     }
     
     update(deltaTime) {
@@ -3898,11 +6783,14 @@ class DiagonalBullet extends Bullet {
 }
 
 class Rocket extends Bullet {
-    constructor(x, y, game) {
-        super(x, y, game);
+    reset(x, y, game, owner = null) {
+        super.reset(x, y, game);
+        this.owner = owner; // Player that fired it
         this.width = 6;
         this.height = 6;
         this.speed = 300;
+        this.damage = 3;
+        this.damageType = 'rocket';
         this.deployed = false;
         this.deployTimer = 0;
         this.deployDelay = 500; // 0.5 seconds to deploy
@@ -3965,29 +6853,45 @@ class Rocket extends Bullet {
     }
     
     findTarget() {
+        // In co-op, leave enemies the other player's rockets are already chasing
+        // unless there is nothing else to hit
+        const claimed = new Set();
+        for (const bullet of this.game.bullets) {
+            if (bullet instanceof Rocket && bullet.owner !== this.owner && bullet.target) {
+                claimed.add(bullet.target);
+            }
+        }
+        
         let nearestDistance = Infinity;
         let nearestEnemy = null;
+        let claimedDistance = Infinity;
+        let nearestClaimed = null;
         
         for (const enemy of this.game.enemies) {
             const dx = enemy.x - this.x;
             const dy = enemy.y - this.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            if (distance < nearestDistance) {
+            if (claimed.has(enemy)) {
+                if (distance < claimedDistance) {
+                    claimedDistance = distance;
+                    nearestClaimed = enemy;
+                }
+            } else if (distance < nearestDistance) {
                 nearestDistance = distance;
                 nearestEnemy = enemy;
             }
         }
         
-        this.target = nearestEnemy;
+        this.target = nearestEnemy || nearestClaimed;
     }
     
     createSmoke() {
         // Create smoke particles behind the rocket
         for (let i = 0; i < 3; i++) {
-            const offsetX = Math.random() * 10 - 5;
-            const offsetY = Math.random() * 10 - 5;
-            this.game.particles.push(new SmokeParticle(this.x - 10 + offsetX, this.y + offsetY));
+            const offsetX = this.game.cosmeticRng.next() * 10 - 5;
+            const offsetY = this.game.cosmeticRng.next() * 10 - 5;
+            this.game.particles.push(entityPools.acquire(SmokeParticle, this.x - 10 + offsetX, this.y + offsetY, this.game.cosmeticRng));
         }
     }
     
@@ -4009,11 +6913,11 @@ class Rocket extends Bullet {
 }
 
 class SmokeParticle extends Particle {
-    constructor(x, y) {
+    reset(x, y, rng) {
         // Smoke particles use random direction instead of angle
-        const randomAngle = Math.random() * 360;
-        const size = Math.random() * 3 + 2;
-        super(x, y, randomAngle, 1, size, 0.02, '#666666');
+        const randomAngle = rng.next() * 360;
+        const size = rng.next() * 3 + 2;
+        super.reset(x, y, randomAngle, 1, size, 0.02, '#666666');
     }
 }
 
@@ -4032,7 +6936,7 @@ class Star {
         // Wrap stars to the right side when they go off the left
         if (this.x < -10) {
             this.x += this.game.width + 20; // Wrap to right side with some buffer
-            this.y = Math.random() * this.game.height; // Randomize Y position for variety
+            this.y = this.game.cosmeticRng.next() * this.game.height; // Randomize Y position for variety
         }
     }
     
@@ -4043,21 +6947,26 @@ class Star {
 }
 
 class HitSpark extends Particle {
-    constructor(x, y, angle, speed = 4) {
-        const size = Math.random() * 3 + 2; // Bigger than regular particles
-        super(x, y, angle, speed, size, 0.03, '#ffff00'); // Yellow sparks
+    reset(x, y, angle, speed, rng) {
+        const size = rng.next() * 3 + 2; // Bigger than regular particles
+        super.reset(x, y, angle, speed, size, 0.03, '#ffff00'); // Yellow sparks
     }
 }
 
 class AsteroidExplosion extends Particle {
-    constructor(x, y, angle) {
-        const size = Math.random() * 4 + 3; // Bigger than regular particles
-        super(x, y, angle, 3, size, 0.015, '#ffff00'); // Faster speed, slower decay, yellow color
+    reset(x, y, angle, rng) {
+        const size = rng.next() * 4 + 3; // Bigger than regular particles
+        super.reset(x, y, angle, 3, size, 0.015, '#ffff00'); // Faster speed, slower decay, yellow color
     }
 }
 
 class Metal {
     constructor(x, y, game) {
+        this.reset(x, y, game);
+    }
+    
+    // Pooled through entityPools
+    reset(x, y, game) {
         this.x = x;
         this.y = y;
         this.width = 8;
@@ -4081,10 +6990,11 @@ class Metal {
         const turboMultiplier = this.game.gameData.turboMultiplier || 1;
         this.x -= this.driftSpeed * turboMultiplier * deltaTime / 1000;
         
-        // Check if player is close enough to collect
-        if (!this.collected && this.game && this.game.player) {
-            const dx = this.x - this.game.player.x;
-            const dy = this.y - this.game.player.y;
+        // Check if any player is close enough to collect
+        const player = this.collected ? null : this.game.getNearestPlayer(this.x, this.y);
+        if (player) {
+            const dx = this.x - player.x;
+            const dy = this.y - player.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance < this.collectRadius) {
@@ -4137,9 +7047,9 @@ class ControllerTestState extends GameState {
         }
     }
     
-    handleInput(keys) {
-        // Return to menu with any key or controller button
-        if (keys['Escape'] || keys['StartPressed'] || keys['KeyA'] || keys['KeyB'] || keys['KeyX'] || keys['KeyY']) {
+    handleInput(input) {
+        // Return to menu with any menu action
+        if (input.justPressed('pause') || input.justPressed('confirm') || input.justPressed('back')) {
             this.game.changeState('menu');
         }
     }
@@ -4165,7 +7075,7 @@ class ControllerTestState extends GameState {
             ctx.fillText('Controller Connected!', this.game.width / 2, 220);
             
             // Draw controller info
-            const controller = this.game.controllers[0];
+            const controller = this.game.input.getController();
             if (controller) {
                 ctx.fillStyle = '#fff';
                 ctx.font = '18px monospace';
@@ -4192,52 +7102,70 @@ class ControllerTestState extends GameState {
     }
 }
 
-// Start the game when the page loads
+// Start the game when the page loads (browser only - simulate.js runs it headless under Node)
 let game;
-window.addEventListener('load', () => {
-    game = new Game();
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        game = new Game();
+    
+        // Expose controller debug functions to global scope for console access
+        window.dumpController = () => {
+            if (game) {
+                game.dumpCurrentControllerState();
+            } else {
+                console.log('Game not initialized yet');
+            }
+        };
     
-    // Expose controller debug functions to global scope for console access
-    window.dumpController = () => {
-        if (game) {
-            game.dumpCurrentControllerState();
-        } else {
-            console.log('Game not initialized yet');
-        }
-    };
+        window.dumpControllerRaw = () => {
+            const controller = game && game.input.getController();
+            if (controller) {
+                console.log('Raw controller object:', controller);
+                console.log('All axes:', controller.axes);
+                console.log('All buttons:', controller.buttons);
+            } else {
+                console.log('No controller connected');
+            }
+        };
     
-    window.dumpControllerRaw = () => {
-        if (game && game.controllers && game.controllers.length > 0) {
-            const controller = game.controllers[0];
-            console.log('Raw controller object:', controller);
-            console.log('All axes:', controller.axes);
-            console.log('All buttons:', controller.buttons);
-        } else {
-            console.log('No controller connected');
-        }
-    };
+        window.dumpKeys = () => {
+            if (game) {
+                console.log('Current keys state:', game.keys);
+                console.log('Current action state:', game.input.state);
+            } else {
+                console.log('Game not initialized yet');
+            }
+        };
     
-    window.dumpKeys = () => {
-        if (game) {
-            console.log('Current keys state:', {
-                ArrowUp: game.keys['ArrowUp'],
-                ArrowDown: game.keys['ArrowDown'],
-                ArrowLeft: game.keys['ArrowLeft'],
-                ArrowRight: game.keys['ArrowRight'],
-                ControllerSpace: game.keys['ControllerSpace'],
-                ControllerQ: game.keys['ControllerQ']
-            });
-        } else {
-            console.log('Game not initialized yet');
-        }
-    };
+        // Play a replay from its JSON text, e.g. playReplay(await file.text())
+        window.playReplay = (text) => {
+            if (game) {
+                game.replay.play(ReplayManager.parse(text));
+            } else {
+                console.log('Game not initialized yet');
+            }
+        };
     
-    window.dumpInitialButtonStates = () => {
-        if (game) {
-            console.log('Initial button states:', game.initialButtonStates);
-        } else {
-            console.log('Game not initialized yet');
-        }
-    };
-});
+        // Start a fresh run from a known seed, e.g. playSeed(1234)
+        window.playSeed = (seed) => {
+            if (game) {
+                game.playSeed(seed);
+            } else {
+                console.log('Game not initialized yet');
+            }
+        };
+    
+        window.dumpInitialButtonStates = () => {
+            if (game) {
+                console.log('Initial button states:', game.initialButtonStates);
+            } else {
+                console.log('Game not initialized yet');
+            }
+        };
+    });
+}
 
+// Export the simulation for the headless runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Game, GameplayState, Player, Enemy, RatBoss, RAT_BOSS_STAGES, Bullet, EnemyProjectile, ReplayManager, Random, LEVELS };
+}
@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { simulate } = require('../simulate.js');
+const { Game, Enemy, RatBoss, RAT_BOSS_STAGES, Bullet, EnemyProjectile, ReplayManager, LEVELS } = require('../src/script.js');
+
+// Deterministic regression checks - run with `npm test`. A seeded run must play out the
+// same on every machine, so a change to any of these numbers is a gameplay change.
+
+// The game logs a lot; keep the test output readable
+console.log = () => {};
+
+// Headless game sitting at the start of level 1
+function createGame(seed) {
+    const game = new Game({ headless: true });
+    game.playSeed(seed);
+    return game;
+}
+
+// A bullet sitting right on top of an enemy, so the next collision check hits it
+function bulletOn(enemy, game) {
+    return new Bullet(enemy.x + 2, enemy.y + 2, game);
+}
+
+// Advance a boss through its own update only, in fixed steps
+function runBoss(boss, ms, step = 1000 / 120) {
+    for (let t = 0; t < ms; t += step) {
+        boss.update(step);
+    }
+}
+
+// Boss that has slid into place and started its first attack
+function createBoss(game) {
+    const boss = new RatBoss(game.width * 0.6, 200, game);
+    boss.update(1000 / 120);
+    return boss;
+}
+
+test('a fixed seed with autofire ends the same way every time', () => {
+    const report = simulate({ seed: 1, input: 'autofire', seconds: 300 });
+
+    assert.strictEqual(report.state, 'gameOver');
+    assert.strictEqual(report.level, 2);
+    assert.strictEqual(report.score, 2100);
+    assert.strictEqual(report.frames, 9170);
+});
+
+test('checkLevelCompletion waits for every objective', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    game.enemies = [];
+    game.metal = [];
+
+    // One short of the asteroid objective
+    gameplay.spawnCounts.asteroids = LEVELS[0].objectives.asteroids - 1;
+    gameplay.checkLevelCompletion();
+    assert.strictEqual(gameplay.levelComplete, false);
+
+    gameplay.spawnCounts.asteroids = LEVELS[0].objectives.asteroids;
+    gameplay.checkLevelCompletion();
+    assert.strictEqual(gameplay.levelComplete, true);
+});
+
+test('checkLevelCompletion waits for the screen to clear', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    game.metal = [];
+    gameplay.spawnCounts.asteroids = LEVELS[0].objectives.asteroids;
+
+    // An enemy still on screen holds the level open
+    game.enemies = [{ x: 100 }];
+    gameplay.checkLevelCompletion();
+    assert.strictEqual(gameplay.levelComplete, false);
+
+    game.enemies = [];
+    gameplay.checkLevelCompletion();
+    assert.strictEqual(gameplay.levelComplete, true);
+});
+
+test('a replay plays back to the same result as the recorded run', () => {
+    let recorded;
+    const original = simulate({ seed: 77, input: 'weave', seconds: 120, onFrame: (game) => { recorded = game; } });
+    const text = recorded.replay.serialize();
+    const playback = simulate({ replay: text, seconds: 120 });
+
+    assert.deepStrictEqual(playback, original);
+});
+
+test('a replay from another format version is rejected', () => {
+    let recorded;
+    simulate({ seed: 77, input: 'idle', seconds: 1, onFrame: (game) => { recorded = game; } });
+    const data = JSON.parse(recorded.replay.serialize());
+    data.version = 2;
+
+    assert.throws(() => ReplayManager.parse(JSON.stringify(data)), /Unsupported replay version/);
+});
+
+test('a multi-hit enemy survives a bullet until its health runs out', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    const snake = new Enemy(600, 300, 1, 'snake', game);
+    game.enemies = [snake];
+
+    game.bullets = [bulletOn(snake, game)];
+    gameplay.checkCollisions();
+    assert.deepStrictEqual(game.enemies, [snake]);
+    assert.strictEqual(snake.health, 1);
+    assert.strictEqual(game.bullets.length, 0);
+
+    const score = game.gameData.score;
+    game.bullets = [bulletOn(snake, game)];
+    gameplay.checkCollisions();
+    assert.strictEqual(game.enemies.length, 0);
+    assert.ok(game.gameData.score > score);
+});
+
+test('enemies destroyed in the same check are all removed', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    const first = new Enemy(600, 100, 1, 'mouse', game);
+    const second = new Enemy(600, 200, 1, 'mouse', game);
+    const third = new Enemy(600, 300, 1, 'mouse', game);
+    game.enemies = [first, second, third];
+
+    // Removing the first must not skip the one straight after it
+    game.bullets = [bulletOn(first, game), bulletOn(second, game)];
+    gameplay.checkCollisions();
+    assert.deepStrictEqual(game.enemies, [third]);
+});
+
+test('spawnEnemy builds the kind by id and counts it towards its objective', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    game.enemies = [];
+
+    gameplay.spawnEnemy('snake');
+    assert.strictEqual(game.enemies.length, 1);
+    assert.strictEqual(game.enemies[0].kind, 'snake');
+    assert.strictEqual(gameplay.spawnCounts.snakes, 1);
+});
+
+test('armor scales damage by projectile type', () => {
+    const game = createGame(1);
+    const snake = new Enemy(600, 300, 1, 'snake', game);
+    const asteroid = new Enemy(600, 300, 1, 'asteroid', game);
+
+    assert.strictEqual(snake.getDamageFrom({ damage: 1, damageType: 'bullet' }), 1);
+    assert.strictEqual(snake.getDamageFrom({ damage: 1, damageType: 'diagonal' }), 0.5);
+    assert.strictEqual(asteroid.getDamageFrom({ damage: 1, damageType: 'diagonal' }), 1);
+});
+
+test('a large asteroid breaks into fragments that do not count as asteroids', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    const asteroid = new Enemy(600, 300, 1, 'asteroid', game);
+    asteroid.sizeVariation = 1.2;
+    asteroid.health = 1;
+    game.enemies = [asteroid];
+    const asteroids = gameplay.spawnCounts.asteroids;
+
+    game.bullets = [bulletOn(asteroid, game)];
+    gameplay.checkCollisions();
+    assert.ok(game.enemies.length >= 2 && game.enemies.length <= 3);
+    assert.ok(game.enemies.every(enemy => enemy.kind === 'fragment'));
+    assert.strictEqual(gameplay.spawnCounts.asteroids, asteroids);
+});
+
+test('a homing enemy shot loses its target when the player cloaks', () => {
+    const game = createGame(1);
+    const player = game.getActivePlayers()[0];
+    const shot = new EnemyProjectile(600, 300, game, 180, 100, player, 90);
+
+    shot.update(1000 / 120);
+    assert.strictEqual(shot.target, player);
+
+    player.isCloaked = true;
+    shot.update(1000 / 120);
+    assert.strictEqual(shot.target, null);
+});
+
+test('the rat boss stops at each stage threshold and waits out the transition', () => {
+    const game = createGame(1);
+    const boss = createBoss(game);
+    assert.strictEqual(boss.phase, 'attacking');
+
+    // A hit big enough to skip a stage stops at the threshold
+    boss.takeDamage(50);
+    assert.strictEqual(boss.health, boss.maxHealth * RAT_BOSS_STAGES[0].above);
+    assert.strictEqual(boss.phase, 'transition');
+    assert.strictEqual(boss.isVulnerable, false);
+
+    // No damage while the telegraph plays
+    boss.takeDamage(10);
+    assert.strictEqual(boss.health, boss.maxHealth * RAT_BOSS_STAGES[0].above);
+
+    runBoss(boss, boss.transitionDuration);
+    assert.strictEqual(boss.phase, 'attacking');
+    assert.strictEqual(boss.stage, 1);
+    assert.strictEqual(boss.isVulnerable, true);
+    assert.strictEqual(boss.currentAttack, RAT_BOSS_STAGES[1].attacks[0]);
+
+    boss.takeDamage(50);
+    assert.strictEqual(boss.health, boss.maxHealth * RAT_BOSS_STAGES[1].above);
+    assert.strictEqual(boss.phase, 'transition');
+});
+
+test('the rat boss works through its stage attacks in order', () => {
+    const game = createGame(1);
+    const boss = createBoss(game);
+    const seen = [boss.currentAttack];
+
+    for (let t = 0; t < 20000 && seen.length < 4; t += 1000 / 120) {
+        boss.update(1000 / 120);
+        if (boss.currentAttack !== seen[seen.length - 1]) {
+            seen.push(boss.currentAttack);
+        }
+    }
+    const attacks = RAT_BOSS_STAGES[0].attacks;
+    assert.deepStrictEqual(seen, [...attacks, attacks[0]]);
+});
+
+test('touching the defeated rat boss does no damage', () => {
+    const game = createGame(1);
+    const gameplay = game.states.gameplay;
+    const player = game.getActivePlayers()[0];
+    const boss = createBoss(game);
+    boss.defeat();
+    boss.x = player.x;
+    boss.y = player.y;
+    game.enemies = [boss];
+    const shields = player.shieldLevel;
+    const lives = game.gameData.lives;
+
+    gameplay.checkCollisions();
+    assert.strictEqual(player.shieldLevel, shields);
+    assert.strictEqual(game.gameData.lives, lives);
+});